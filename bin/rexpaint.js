@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+"use strict";
+
+/*
+  The `rexpaint` command-line tool: inspects, prints, converts, merges and validates .xp files.
+  Run `rexpaint --help` for its usage.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const rexpaint = require("../index.js");
+
+const USAGE = `Usage: rexpaint <command> [options]
+
+Commands:
+  info <file>                Prints the version, layers, size, glyphs and colors of an image
+  cat <file>                 Prints an image to the terminal
+  convert <input> <output>   Converts an image, the formats being chosen by file extension
+  merge <input> <output>     Flattens the layers of an image into a single layer
+  validate <file...>         Checks that files are .xp files that REXPaint can open
+
+Options:
+  --layers <list>            The layers to use, as comma-separated indices or "all" (the default)
+  --color-depth <24|8|4>     The colors supported by the terminal, for cat and .ans files (defaults to 24)
+  --font <file.png>          A 16x16 sheet of CP437 glyphs, for .png and .xpm files
+  --width <columns>          The width of .ans files, for ANSI art that relies on line wrapping
+  --json                     Prints the result of info as JSON
+  -h, --help                 Prints this message
+
+Supported formats:
+  reading: .xp, .csv, .xml, .txt, .ans
+  writing: .xp, .csv, .xml, .txt, .ans, .html, .bbcode, .png, .xpm
+`;
+
+/** Options that take a value; the others are flags. **/
+const VALUE_OPTIONS = ["layers", "color-depth", "font", "width"];
+
+/**
+  Thrown for invalid command-line arguments, which make `main` print the usage and exit with code 2.
+**/
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+  Splits `args` into positional arguments and options (`--name value`, `--name=value` or `--flag`).
+
+  @param {string[]} args
+  @returns {{positional: string[], options: Object<string, string | boolean>}}
+**/
+function parseArgs(args) {
+  let positional = [];
+  let options = {};
+
+  for (let n = 0; n < args.length; n++) {
+    let arg = args[n];
+    if (arg === "-h") arg = "--help";
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) {
+        if (n + 1 >= args.length) throw new UsageError(`Missing value for --${name}`);
+        value = args[++n];
+      }
+      options[name] = value;
+    } else if (["json", "help"].includes(name) && value === undefined) {
+      options[name] = true;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  return {positional, options};
+}
+
+/**
+  Parses the `--layers` option into a `LayerOption`.
+  @param {string | undefined} value
+  @returns {"all" | number[]}
+**/
+function parseLayers(value) {
+  if (value === undefined || value === "all") return "all";
+
+  return value.split(",").map(index => {
+    if (!/^\d+$/.test(index.trim())) throw new UsageError(`Invalid layer index in --layers: ${index}`);
+    return +index;
+  });
+}
+
+/**
+  Parses the `--color-depth` option.
+  @param {string | undefined} value
+  @returns {24 | 8 | 4}
+**/
+function parseColorDepth(value) {
+  if (value === undefined) return 24;
+  if (!["24", "8", "4"].includes(value)) throw new UsageError(`Expected --color-depth to be 24, 8 or 4, got ${value}`);
+  return +value;
+}
+
+/**
+  Returns the extension of `file`, in lower case.
+  @param {string} file
+  @returns {string}
+**/
+function extension(file) {
+  return path.extname(file).toLowerCase();
+}
+
+/**
+  Reads the image at `file`, using the format given by its extension.
+
+  @param {string} file
+  @param {Object<string, string | boolean>} options
+  @returns {Promise<rexpaint.Image>}
+**/
+async function readImage(file, options) {
+  let buffer = fs.readFileSync(file);
+
+  switch (extension(file)) {
+    case ".xp":
+      return await rexpaint.fromBuffer(buffer);
+    case ".csv":
+      return rexpaint.fromCSV(buffer.toString("utf8"));
+    case ".xml":
+      return rexpaint.fromXML(buffer.toString("utf8"));
+    case ".txt": {
+      let image = new rexpaint.Image(-1);
+      image.addLayer(rexpaint.Layer.fromText(buffer.toString("utf8").replace(/\r?\n$/, "")));
+      return image;
+    }
+    case ".ans": {
+      let width = options.width === undefined ? undefined : +options.width;
+      if (width !== undefined && !(Number.isInteger(width) && width > 0)) {
+        throw new UsageError(`Expected --width to be a positive integer, got ${options.width}`);
+      }
+      return rexpaint.fromAnsi(buffer, {width});
+    }
+    default:
+      throw new UsageError(`Unsupported input format: ${file}`);
+  }
+}
+
+/**
+  Writes the `layers` of `image` to `file`, using the format given by its extension.
+  The formats that only support a single layer get the merged layers.
+
+  @param {rexpaint.Image} image
+  @param {string} file
+  @param {Object<string, string | boolean>} options
+  @returns {Promise<void>}
+**/
+async function writeImage(image, file, options) {
+  let layers = parseLayers(options.layers);
+  let colorDepth = parseColorDepth(options["color-depth"]);
+  let font = options.font === undefined ? undefined : fs.readFileSync(options.font);
+  let merged = () => {
+    let layer = image.mergeLayers(layers);
+    if (layer === null) throw new Error("No layers were selected");
+    return layer;
+  };
+
+  let output;
+  switch (extension(file)) {
+    case ".xp":
+      output = await rexpaint.toBuffer(selectLayers(image, layers));
+      break;
+    case ".xml":
+      output = selectLayers(image, layers).toXML();
+      break;
+    case ".csv":
+      output = singleLayer(image, merged()).toCSV(0);
+      break;
+    case ".txt":
+      output = merged().toText().join("\n") + "\n";
+      break;
+    case ".ans":
+      output = merged().toAnsi({colorDepth}) + "\n";
+      break;
+    case ".html":
+      output = rexpaint.toHTML(merged());
+      break;
+    case ".bbcode":
+      output = rexpaint.toBBCode(merged()) + "\n";
+      break;
+    case ".png":
+      output = rexpaint.renderToPng(merged(), {font});
+      break;
+    case ".xpm":
+      output = rexpaint.toXPM(merged(), {font, name: path.basename(file, path.extname(file)).replace(/\W/g, "_")});
+      break;
+    default:
+      throw new UsageError(`Unsupported output format: ${file}`);
+  }
+
+  fs.writeFileSync(file, output);
+}
+
+/**
+  Returns an image with the `layers` of `image`, or `image` itself if all of them are selected.
+  @param {rexpaint.Image} image
+  @param {"all" | number[]} layers
+  @returns {rexpaint.Image}
+**/
+function selectLayers(image, layers) {
+  if (layers === "all") return image;
+
+  let res = new rexpaint.Image(image.version);
+  for (let l of layers) {
+    if (!image.layers[l]) throw new Error(`Invalid layer index ${l}: the image has ${image.layers.length} layers`);
+    res.layers.push(image.layers[l]);
+  }
+  return res;
+}
+
+/**
+  Returns an image whose only layer is `layer`, with the same version as `image`.
+  @param {rexpaint.Image} image
+  @param {rexpaint.Layer} layer
+  @returns {rexpaint.Image}
+**/
+function singleLayer(image, layer) {
+  let res = new rexpaint.Image(image.version);
+  res.layers.push(layer);
+  return res;
+}
+
+/**
+  Returns the statistics printed by `rexpaint info`.
+  Cells are counted as visible like `Image::mergeLayers` draws them: hidden layers have no visible cells,
+  and the transparent cells of a layer are the ones whose background is its `transparentKey`.
+  @param {rexpaint.Image} image
+  @returns {Object}
+**/
+function describe(image) {
+  let glyphs = new Map();
+  let layers = image.layers.map(layer => {
+    let visible = 0;
+    for (let i = 0; layer.visible && i < layer.width * layer.height; i++) {
+      if (layer._isTransparent(i)) continue;
+      visible++;
+      glyphs.set(layer.glyphs[i], (glyphs.get(layer.glyphs[i]) || 0) + 1);
+    }
+    return {width: layer.width, height: layer.height, visible: layer.visible, visibleCells: visible};
+  });
+
+  let palette = rexpaint.Palette.fromImage(image);
+  return {
+    version: image.version,
+    width: image.width,
+    height: image.height,
+    layers,
+    glyphs: [...glyphs].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([glyph, count]) => ({glyph, count})),
+    colors: palette.colors.map((color, n) => ({color: color.hex, count: palette.counts[n]}))
+  };
+}
+
+/**
+  Formats `list` as the first `max` elements formatted with `format`, followed by the number of the other ones.
+  @template T
+  @param {T[]} list
+  @param {(element: T) => string} format
+  @param {number} [max]
+  @returns {string}
+**/
+function summarize(list, format, max = 10) {
+  let res = list.slice(0, max).map(format).join(", ");
+  if (list.length > max) res += `, and ${list.length - max} more`;
+  return res;
+}
+
+const COMMANDS = {
+  async info(positional, options, io) {
+    if (positional.length !== 1) throw new UsageError("Expected one file");
+
+    let info = describe(await readImage(positional[0], options));
+    if (options.json) {
+      io.stdout.write(JSON.stringify(info, null, 2) + "\n");
+      return 0;
+    }
+
+    let lines = [
+      `version: ${info.version}`,
+      `size: ${info.width}x${info.height}`,
+      `layers: ${info.layers.length}`,
+      ...info.layers.map((layer, l) => `  layer ${l}: ${layer.width}x${layer.height}, ${layer.visible ? layer.visibleCells + " visible cells" : "hidden"}`),
+      `glyphs: ${info.glyphs.length} (${summarize(info.glyphs, ({glyph, count}) => {
+        return `${glyph} '${rexpaint.Codepage.DEFAULT.toUnicode(glyph) || " "}' x${count}`;
+      })})`,
+      `colors: ${info.colors.length} (${summarize(info.colors, ({color, count}) => `#${color} x${count}`)})`
+    ];
+    io.stdout.write(lines.join("\n") + "\n");
+    return 0;
+  },
+
+  async cat(positional, options, io) {
+    if (positional.length !== 1) throw new UsageError("Expected one file");
+
+    let image = await readImage(positional[0], options);
+    let layers = parseLayers(options.layers);
+    if (image.mergeLayers(layers) === null) throw new Error("No layers were selected");
+
+    io.stdout.write(image.toAnsi({layers, colorDepth: parseColorDepth(options["color-depth"])}) + "\n");
+    return 0;
+  },
+
+  async convert(positional, options) {
+    if (positional.length !== 2) throw new UsageError("Expected an input and an output file");
+
+    await writeImage(await readImage(positional[0], options), positional[1], options);
+    return 0;
+  },
+
+  async merge(positional, options) {
+    if (positional.length !== 2) throw new UsageError("Expected an input and an output file");
+    if (extension(positional[1]) !== ".xp") throw new UsageError("Expected the output file to be an .xp file");
+
+    let image = await readImage(positional[0], options);
+    let layer = image.mergeLayers(parseLayers(options.layers));
+    if (layer === null) throw new Error("No layers were selected");
+
+    fs.writeFileSync(positional[1], await rexpaint.toBuffer(singleLayer(image, layer)));
+    return 0;
+  },
+
+  async validate(positional, options, io) {
+    if (positional.length === 0) throw new UsageError("Expected at least one file");
+
+    let valid = true;
+    for (let file of positional) {
+      let diagnostics = [];
+      try {
+        let image = await rexpaint.fromBuffer(fs.readFileSync(file), {
+          strict: false,
+          onError: (error) => diagnostics.push(error.message)
+        });
+        if (diagnostics.length === 0) image.validate();
+      } catch (error) {
+        diagnostics.push(error.message);
+      }
+
+      if (diagnostics.length === 0) {
+        io.stdout.write(`${file}: ok\n`);
+      } else {
+        valid = false;
+        for (let message of diagnostics) io.stdout.write(`${file}: ${message}\n`);
+      }
+    }
+
+    return valid ? 0 : 1;
+  }
+};
+
+/**
+  Runs the command-line tool with the arguments `args` (without the node executable and script), and returns the exit code:
+  0 on success, 1 on errors (including invalid files for `validate`) and 2 on invalid arguments.
+
+  @param {string[]} args
+  @param {{stdout: {write: (chunk: string) => any}, stderr: {write: (chunk: string) => any}}} [io]
+  @returns {Promise<number>}
+**/
+async function main(args, io = {stdout: process.stdout, stderr: process.stderr}) {
+  try {
+    let {positional, options} = parseArgs(args);
+    if (options.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+
+    let command = positional.shift();
+    if (!command) throw new UsageError("Expected a command");
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) throw new UsageError(`Unknown command: ${command}`);
+
+    return await COMMANDS[command](positional, options, io);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`rexpaint: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    io.stderr.write(`rexpaint: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = main;
+module.exports.describe = describe;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exitCode = code);
+}
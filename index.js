@@ -14,17 +14,30 @@
  */
 "use strict";
 
+// Both are replaced by empty modules in browser builds (see the "browser" field of package.json)
 const zlib = require('zlib');
+const stream = require('stream');
+const compression = require('./lib/compression.js');
+const png = require('./lib/png.js');
+const DEFAULT_FONT = require('./lib/font.js');
 
 /**
  * @overload
- * @param {Buffer} buffer
+ * @param {BinaryData} buffer
  * @param {(image: Image) => void} callback
  * @returns {void}
  */
 /**
  * @overload
- * @param {Buffer} buffer
+ * @param {BinaryData} buffer
+ * @param {ReadOptions} options
+ * @param {(image: Image) => void} callback
+ * @returns {void}
+ */
+/**
+ * @overload
+ * @param {BinaryData} buffer
+ * @param {ReadOptions} [options]
  * @returns {Promise<Image>}
  */
 /**
@@ -32,22 +45,27 @@ const zlib = require('zlib');
  * The promise/callback will receive an `Image` instance with the corresponding image data.
  *
  * @overload
- * @param {Buffer} buffer
+ * @param {BinaryData} buffer
+ * @param {ReadOptions} [options]
  * @param {(image: Image) => void} [callback]
  * @returns {Promise<Image> | undefined}
  */
-function fromBuffer(buffer, callback) {
+function fromBuffer(buffer, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
   let p = new Promise((resolve, reject) => {
-    zlib.unzip(buffer, (err, inflated) => {
-      if (err) reject(err);
-      try {
-        let res = loadInflatedBuffer(inflated);
-        resolve(res);
-      } catch (e) {
-        reject(e);
-      }
-    });
-  });
+    let bytes = toBytes(buffer);
+    if (options.inflated) {
+      resolve(bytes);
+      return;
+    }
+
+    compression.resolve(options.compression).inflate(bytes).then(resolve, reject);
+  }).then(inflated => loadInflatedBuffer(inflated, options));
 
   if (callback) {
     p.then(res => callback(null, res)).catch(e => callback(e));
@@ -59,6 +77,7 @@ function fromBuffer(buffer, callback) {
 /**
  * @overload
  * @param {Image} image
+ * @param {WriteOptions} [options]
  * @returns {Promise<Buffer>}
  */
 /**
@@ -66,27 +85,43 @@ function fromBuffer(buffer, callback) {
  * @param {(encoded: Buffer) => void} callback
  * @returns {void}
  */
+/**
+ * @param {Image} image
+ * @param {WriteOptions} options
+ * @param {(encoded: Buffer) => void} callback
+ * @returns {void}
+ */
 /**
  * Exports the given `Image` instance as a REXPaint .xp file, calling `callback` if it is set and returning a Promise otherwise.
- * The promise/callback will receive a `Buffer` with the exported, gzipped data.
+ * The promise/callback will receive a `Buffer` with the exported, gzipped data (an `Uint8Array` outside of Node),
+ * or an error if REXPaint couldn't open the image (see `Image::validate`).
  *
  * @overload
  * @param {Image} image
+ * @param {WriteOptions} [options]
  * @param {(encoded: Buffer) => void} [callback]
  * @returns {Promise<Buffer> | void}
  */
-function toBuffer(image, callback) {
+function toBuffer(image, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
   if (!(image instanceof Image)) {
     throw new Error("Expected 'image' to be an instance of Image, got " + image);
   }
 
   let p = new Promise((resolve, reject) => {
     let res = writeInflatedBuffer(image);
-    zlib.gzip(res, (err, deflated) => {
-      if (err) reject(err);
-      resolve(deflated);
-    });
-  });
+    if (options.inflated) {
+      resolve(res);
+      return;
+    }
+
+    compression.resolve(options.compression).deflate(res, {format: "gzip", level: options.level}).then(resolve, reject);
+  }).then(wrapBytes);
 
   if (callback) {
     p.then(res => callback(null, res)).catch(e => callback(e));
@@ -95,85 +130,713 @@ function toBuffer(image, callback) {
   }
 }
 
-function loadInflatedBuffer(buffer) {
-  let version = buffer.readUInt32LE(0);
+/**
+ * @typedef {Object} ReadOptions
+ * @property {boolean} [inflated] Set to true if `buffer` was already inflated, in which case it won't be decompressed.
+ * @property {string | CompressionBackend} [compression] The compression backend to decompress `buffer` with, defaults to the one set with {@link setCompression}.
+ * @property {boolean} [strict] Defaults to true. If set to false, the parser will recover as many full layers as it can instead of throwing on invalid data.
+ * @property {(error: XpParseError) => void} [onError] Called with each error that the parser recovered from, if `strict` is false.
+ */
+
+/**
+ * Synchronous version of {@link fromBuffer}: parses the given buffer as a REXPaint image and returns an `Image` instance.
+ * Throws if the buffer couldn't be inflated or parsed.
+ *
+ * @param {BinaryData} buffer
+ * @param {ReadOptions} [options]
+ * @returns {Image}
+ */
+function fromBufferSync(buffer, options = {}) {
+  let bytes = toBytes(buffer);
+  let inflated = options.inflated ? bytes : compression.resolve(options.compression).inflateSync(bytes);
+  return loadInflatedBuffer(inflated, options);
+}
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {boolean} [inflated] Set to true to get the raw, uncompressed data instead of gzipped data.
+ * @property {number} [level] The zlib compression level, from 0 (no compression) to 9 (best compression).
+ * @property {string | CompressionBackend} [compression] The compression backend to gzip the data with, defaults to the one set with {@link setCompression}.
+ */
+
+/**
+ * Synchronous version of {@link toBuffer}: exports the given `Image` instance as a REXPaint .xp file and returns a `Buffer` with the gzipped data.
+ * Throws if REXPaint couldn't open the image (see `Image::validate`).
+ *
+ * @param {Image} image
+ * @param {WriteOptions} [options]
+ * @returns {Buffer}
+ */
+function toBufferSync(image, options = {}) {
+  if (!(image instanceof Image)) {
+    throw new Error("Expected 'image' to be an instance of Image, got " + image);
+  }
+
+  let res = writeInflatedBuffer(image);
+  if (options.inflated) return wrapBytes(res);
+
+  return wrapBytes(compression.resolve(options.compression).deflateSync(res, {format: "gzip", level: options.level}));
+}
+
+/**
+ * @typedef {Buffer | Uint8Array | ArrayBuffer} BinaryData
+ * Binary data, as read from a file or received over the network.
+ */
+
+/**
+ * Returns the bytes of `data` as an `Uint8Array`, without copying them.
+ *
+ * @param {BinaryData | DataView} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error("Expected a Buffer, an Uint8Array or an ArrayBuffer, got " + data);
+}
+
+/**
+ * Returns `bytes` as a `Buffer` in Node, so that the output doesn't depend on the compression backend, and as is elsewhere.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Buffer | Uint8Array}
+ */
+function wrapBytes(bytes) {
+  if (typeof Buffer !== "function" || Buffer.isBuffer(bytes)) return bytes;
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Returns a `DataView` over the bytes of `bytes`.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {DataView}
+ */
+function dataView(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Sets the compression backend used by {@link fromBuffer}, {@link toBuffer}, their synchronous versions and the PNG functions
+ * when they aren't given a `compression` option. Returns the previous backend.
+ *
+ * `backend` is either the name of a built-in backend or an object implementing `CompressionBackend`. The built-in backends are:
+ * - `"node"`: Node's zlib module, the default in Node
+ * - `"streams"`: the CompressionStream web API, asynchronous only
+ * - `"bundled"`: a small, synchronous DEFLATE implementation written in JavaScript, the default everywhere else
+ *
+ * @param {string | CompressionBackend} backend
+ * @returns {CompressionBackend}
+ */
+function setCompression(backend) {
+  return compression.setDefault(backend);
+}
+
+/** The size, in bytes, of a single cell in an inflated REXPaint file. **/
+const PIXEL_SIZE = 10;
+
+/**
+  Reads the cell at `offset` in the inflated data, returning it as a new `Pixel` instance.
+
+  @param {DataView} view
+  @param {number} offset
+  @returns {Pixel}
+**/
+function readPixel(view, offset) {
+  let asciiCode = view.getUint32(offset, true);
+  let fg = new Color(view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6));
+  let bg = new Color(view.getUint8(offset + 7), view.getUint8(offset + 8), view.getUint8(offset + 9));
+
+  return new Pixel(asciiCode, fg, bg);
+}
+
+/**
+  Writes `pixel` at `offset` in the inflated data; the cell takes up `PIXEL_SIZE` bytes.
+
+  @param {Pixel} pixel
+  @param {DataView} view
+  @param {number} offset
+**/
+function writePixel(pixel, view, offset) {
+  view.setUint32(offset, pixel.asciiCode, true);
+
+  view.setUint8(offset + 4, pixel.fg.r);
+  view.setUint8(offset + 5, pixel.fg.g);
+  view.setUint8(offset + 6, pixel.fg.b);
+
+  view.setUint8(offset + 7, pixel.bg.r);
+  view.setUint8(offset + 8, pixel.bg.g);
+  view.setUint8(offset + 9, pixel.bg.b);
+}
+
+/**
+  The error thrown when an inflated REXPaint file couldn't be parsed.
+
+  `reason` is one of:
+  - `"truncated"`: the data ended before the end of the last layer
+  - `"trailing-data"`: there are extra bytes after the last layer
+  - `"layer-count"`: the layer count is implausible: the data is too short to contain that many layers
+  - `"layer-size"`: a layer doesn't have the same dimensions as the first layer
+  - `"empty-layer"`: a layer has a width or height of zero
+
+  `layer`, `x` and `y` are set whenever the error can be traced to a layer or a cell, and are `null` otherwise.
+**/
+class XpParseError extends Error {
+  /**
+    @param {string} reason
+    @param {string} message
+    @param {{offset: number, layer?: number, x?: number, y?: number}} location
+  **/
+  constructor(reason, message, location) {
+    let position = `at byte ${location.offset}`;
+    if (Number.isInteger(location.layer)) position += `, layer ${location.layer}`;
+    if (Number.isInteger(location.x)) position += `, cell (${location.x}, ${location.y})`;
+    super(`${message} (${position})`);
+
+    this.name = "XpParseError";
+    this.reason = reason;
+    this.offset = location.offset;
+    this.layer = Number.isInteger(location.layer) ? location.layer : null;
+    this.x = Number.isInteger(location.x) ? location.x : null;
+    this.y = Number.isInteger(location.y) ? location.y : null;
+  }
+}
+
+/**
+  Reads the cells of `layer` from the inflated `buffer`, starting at `offset`.
+  The cells are stored column by column, taking up `PIXEL_SIZE` bytes each.
+
+  @param {Layer} layer
+  @param {Uint8Array} buffer
+  @param {number} offset
+**/
+function readLayer(layer, buffer, offset) {
+  let {width, height, glyphs, fg, bg} = layer;
+  let view = dataView(buffer);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      let i = x + width * y;
+      glyphs[i] = view.getUint32(offset, true);
+      fg[3 * i] = buffer[offset + 4];
+      fg[3 * i + 1] = buffer[offset + 5];
+      fg[3 * i + 2] = buffer[offset + 6];
+      bg[3 * i] = buffer[offset + 7];
+      bg[3 * i + 1] = buffer[offset + 8];
+      bg[3 * i + 2] = buffer[offset + 9];
+      offset += PIXEL_SIZE;
+    }
+  }
+}
+
+/**
+  Writes the cells of `layer` to the inflated `buffer`, starting at `offset`.
+  The cells are stored column by column, taking up `PIXEL_SIZE` bytes each.
+
+  @param {Layer} layer
+  @param {Uint8Array} buffer
+  @param {number} offset
+**/
+function writeLayer(layer, buffer, offset) {
+  let {width, height, glyphs, fg, bg} = layer;
+  let view = dataView(buffer);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      let i = x + width * y;
+      view.setUint32(offset, glyphs[i], true);
+      buffer[offset + 4] = fg[3 * i];
+      buffer[offset + 5] = fg[3 * i + 1];
+      buffer[offset + 6] = fg[3 * i + 2];
+      buffer[offset + 7] = bg[3 * i];
+      buffer[offset + 8] = bg[3 * i + 1];
+      buffer[offset + 9] = bg[3 * i + 2];
+      offset += PIXEL_SIZE;
+    }
+  }
+}
+
+function loadInflatedBuffer(buffer, options = {}) {
+  let strict = options.strict !== false;
+  let report = (error) => {
+    if (strict) throw error;
+    if (options.onError) options.onError(error);
+  };
+
+  if (buffer.length < 8) {
+    throw new XpParseError("truncated", `Expected an 8-byte header, got ${buffer.length} bytes`, {offset: buffer.length});
+  }
+
+  let view = dataView(buffer);
+  let version = view.getInt32(0, true);
   let res = new Image(version);
 
-  let numLayers = buffer.readUInt32LE(4);
+  let numLayers = view.getUint32(4, true);
+  if (numLayers > (buffer.length - 8) / 8) {
+    report(new XpParseError(
+      "layer-count",
+      `Implausible layer count ${numLayers} for ${buffer.length} bytes of data`,
+      {offset: 4}
+    ));
+  }
+
   let offset = 8;
   for (let i=0; i < numLayers; i++) {
-    let width = buffer.readUInt32LE(offset);
-    offset += 4;
-    let height = buffer.readUInt32LE(offset);
-    offset += 4;
+    if (buffer.length - offset < 8) {
+      report(new XpParseError("truncated", "Unexpected end of data in layer header", {offset: buffer.length, layer: i}));
+      return res;
+    }
 
-    let layer = new Layer(width, height);
-    for (let x = 0; x < layer.width; x++) {
-      for (let y = 0; y < layer.height; y++) {
-        let pixel = {};
-        let asciiCode = buffer.readUInt32LE(offset);
-        offset += 4;
+    let width = view.getUint32(offset, true);
+    let height = view.getUint32(offset + 4, true);
+    let layerOffset = offset;
+    offset += 8;
 
-        let r = buffer.readUInt8(offset++);
-        let g = buffer.readUInt8(offset++);
-        let b = buffer.readUInt8(offset++);
-        let fg = new Color(r, g, b);
+    let size = PIXEL_SIZE * width * height;
+    let remaining = buffer.length - offset;
+    if (width * height > remaining / PIXEL_SIZE) {
+      let cell = Math.floor(remaining / PIXEL_SIZE);
+      // Past 2^53 the byte count would be rounded, and no data could hold that layer anyway
+      let message = Number.isSafeInteger(size)
+        ? `Unexpected end of data: expected ${size} bytes for a ${width}x${height} layer, got ${remaining}`
+        : `Unexpected end of data: implausible layer size ${width}x${height} for the remaining ${remaining} bytes`;
+      report(new XpParseError("truncated", message, {offset: buffer.length, layer: i, x: Math.floor(cell / height), y: cell % height}));
+      return res;
+    }
 
-        r = buffer.readUInt8(offset++);
-        g = buffer.readUInt8(offset++);
-        b = buffer.readUInt8(offset++);
-        let bg = new Color(r, g, b);
+    if (width === 0 || height === 0) {
+      report(new XpParseError("empty-layer", `Layer has a size of ${width}x${height}`, {offset: layerOffset, layer: i}));
+      continue;
+    }
 
-        layer.set(x, y, new Pixel(asciiCode, fg, bg));
-      }
+    if (res.layers.length > 0 && (width !== res.width || height !== res.height)) {
+      report(new XpParseError(
+        "layer-size",
+        `Expected layer to be ${res.width}x${res.height}, got ${width}x${height}`,
+        {offset: layerOffset, layer: i}
+      ));
+      offset += size;
+      continue;
     }
 
+    let layer = new Layer(width, height);
+    readLayer(layer, buffer, offset);
+    offset += size;
+
     res.layers.push(layer);
   }
 
+  if (offset < buffer.length) {
+    report(new XpParseError(
+      "trailing-data",
+      `Unexpected ${buffer.length - offset} bytes after the last layer`,
+      {offset}
+    ));
+  }
+
   return res;
 }
 
 function writeInflatedBuffer(image) {
-  const PIXEL_SIZE = 10;
+  image.validate();
+
   let size = 8;
   for (let layer of image.layers) {
     size += 8 + PIXEL_SIZE * layer.width * layer.height;
   }
-  let res = Buffer.alloc(size, 0);
+  let res = new Uint8Array(size);
+  let view = dataView(res);
 
-  res.writeUInt32LE(image.version, 0);
-  res.writeUInt32LE(image.layers.length, 4);
+  view.setInt32(0, image.version | 0, true);
+  view.setUint32(4, image.layers.length, true);
 
   let offset = 8;
   for (let layer of image.layers) {
-    res.writeUInt32LE(layer.width, offset);
+    view.setUint32(offset, layer.width, true);
     offset += 4;
-    res.writeUInt32LE(layer.height, offset);
+    view.setUint32(offset, layer.height, true);
     offset += 4;
 
-    for (let x = 0; x < layer.width; x++) {
-      for (let y = 0; y < layer.height; y++) {
-        let pixel = layer.get(x, y);
-        res.writeUInt32LE(pixel.asciiCode, offset);
-        offset += 4;
+    writeLayer(layer, res, offset);
+    offset += PIXEL_SIZE * layer.width * layer.height;
+  }
+
+  if (offset != size) {
+    throw new Error("Internal error: expected offset to match size!");
+  }
 
-        res.writeUInt8(pixel.fg.r, offset++);
-        res.writeUInt8(pixel.fg.g, offset++);
-        res.writeUInt8(pixel.fg.b, offset++);
+  return res;
+}
+
+/**
+ * @typedef {Object} StreamHeader
+ * Emitted once by {@link XpReadStream}, before anything else.
+ * @property {"header"} type
+ * @property {number} version
+ * @property {number} layerCount
+ */
+
+/**
+ * @typedef {Object} StreamLayer
+ * Emitted by {@link XpReadStream} at the start of each layer, before its columns.
+ * @property {"layer"} type
+ * @property {number} layer The index of the layer.
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} StreamColumn
+ * Emitted by {@link XpReadStream} for each column of a layer, from left to right.
+ * Contains `pixels` (from top to bottom), or `data` (the raw cells, `PIXEL_SIZE` bytes each) if the stream was created with `raw: true`.
+ * @property {"column"} type
+ * @property {number} layer The index of the layer.
+ * @property {number} x The index of the column.
+ * @property {Pixel[]} [pixels]
+ * @property {Buffer} [data]
+ */
+
+/**
+ * @typedef {Object} ReadStreamOptions
+ * @property {boolean} [inflated] Set to true if the written data is already inflated, in which case zlib won't be used.
+ * @property {boolean} [raw] Set to true to receive the raw cell data in column chunks instead of `Pixel` instances.
+ */
+
+// The streams are only available in Node; elsewhere, creating one throws
+const Transform = stream.Transform || class {
+  constructor() {
+    throw new Error("XpReadStream and XpWriteStream require Node's stream module");
+  }
+};
+
+/**
+  A Transform stream, which receives the bytes of a REXPaint file and emits its content bit by bit,
+  as `StreamHeader`, `StreamLayer` and `StreamColumn` objects.
+  Only one column is held in memory at a time, so this can be used to process images too big to be loaded at once.
+**/
+class XpReadStream extends Transform {
+  /**
+    @param {ReadStreamOptions} [options]
+  **/
+  constructor(options = {}) {
+    super({readableObjectMode: true});
+
+    this.raw = !!options.raw;
+
+    this._pending = Buffer.alloc(0);
+    this._offset = 0;
+    this._layerCount = null;
+    this._layerIndex = 0;
+    this._layer = null;
+    this._column = 0;
+
+    if (options.inflated) {
+      this._inflate = null;
+    } else {
+      this._inflate = zlib.createUnzip();
+      this._inflate.on("data", chunk => this._parse(chunk));
+      this._inflate.on("error", err => this.destroy(err));
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this._inflate) {
+      this._inflate.write(chunk, callback);
+    } else {
+      this._parse(chunk);
+      callback();
+    }
+  }
+
+  _flush(callback) {
+    let finish = () => {
+      if (this.destroyed) return;
+      if (this._layerCount === null || this._layerIndex < this._layerCount || this._pending.length > 0) {
+        let location = {offset: this._offset + this._pending.length};
+        if (this._layerCount !== null) location.layer = this._layerIndex;
+        if (this._layer !== null) {
+          location.x = this._column;
+          location.y = Math.floor(this._pending.length / PIXEL_SIZE);
+        }
+        callback(new XpParseError("truncated", "Unexpected end of data", location));
+      } else {
+        callback();
+      }
+    };
+
+    if (this._inflate) {
+      this._inflate.once("end", finish);
+      this._inflate.end();
+    } else {
+      finish();
+    }
+  }
+
+  _parse(chunk) {
+    if (this.destroyed) return;
 
-        res.writeUInt8(pixel.bg.r, offset++);
-        res.writeUInt8(pixel.bg.g, offset++);
-        res.writeUInt8(pixel.bg.b, offset++);
+    let buffer = this._pending.length > 0 ? Buffer.concat([this._pending, chunk]) : chunk;
+    let view = dataView(buffer);
+    let offset = 0;
+
+    while (true) {
+      if (this._layerCount === null) {
+        if (buffer.length - offset < 8) break;
+        let version = buffer.readInt32LE(offset);
+        this._layerCount = buffer.readUInt32LE(offset + 4);
+        offset += 8;
+        this.push({type: "header", version, layerCount: this._layerCount});
+      } else if (this._layerIndex >= this._layerCount) {
+        if (buffer.length - offset > 0) {
+          this.destroy(new XpParseError(
+            "trailing-data",
+            `Unexpected ${buffer.length - offset} bytes after the last layer`,
+            {offset: this._offset + offset}
+          ));
+          return;
+        }
+        break;
+      } else if (this._layer === null) {
+        if (buffer.length - offset < 8) break;
+        let width = buffer.readUInt32LE(offset);
+        let height = buffer.readUInt32LE(offset + 4);
+        offset += 8;
+        this._layer = {width, height};
+        this._column = 0;
+        this.push({type: "layer", layer: this._layerIndex, width, height});
+      } else if (this._column >= this._layer.width) {
+        this._layer = null;
+        this._layerIndex++;
+      } else {
+        let columnSize = this._layer.height * PIXEL_SIZE;
+        if (buffer.length - offset < columnSize) break;
+
+        let column = {type: "column", layer: this._layerIndex, x: this._column};
+        if (this.raw) {
+          column.data = Buffer.from(buffer.subarray(offset, offset + columnSize));
+        } else {
+          column.pixels = new Array(this._layer.height);
+          for (let y = 0; y < this._layer.height; y++) {
+            column.pixels[y] = readPixel(view, offset + y * PIXEL_SIZE);
+          }
+        }
+        offset += columnSize;
+        this._column++;
+        this.push(column);
       }
     }
+
+    this._offset += offset;
+    this._pending = Buffer.from(buffer.subarray(offset));
   }
+}
 
-  if (offset != size) {
-    throw new Error("Internal error: expected offset to match size!");
+/**
+ * @typedef {Object} WriteStreamOptions
+ * @property {number} [version] The version of the image, if no `StreamHeader` is written first.
+ * @property {number} [layerCount] The number of layers of the image, if no `StreamHeader` is written first.
+ * @property {boolean} [inflated] Set to true to get the raw, uncompressed data instead of gzipped data.
+ * @property {number} [level] The zlib compression level, from 0 (no compression) to 9 (best compression).
+ */
+
+/**
+  A Transform stream, which receives the content of a REXPaint image and emits the bytes of the corresponding, gzipped .xp file.
+
+  It accepts the objects emitted by `XpReadStream` (`StreamHeader`, `StreamLayer` and `StreamColumn`), as well as whole `Layer` instances.
+  Because the layer count is at the beginning of the file, it has to be known ahead of time:
+  either write a `StreamHeader` first or set the `version` and `layerCount` options.
+**/
+class XpWriteStream extends Transform {
+  /**
+    @param {WriteStreamOptions} [options]
+  **/
+  constructor(options = {}) {
+    super({writableObjectMode: true});
+
+    this._header = null;
+    if (Number.isInteger(options.layerCount)) {
+      this._header = {version: options.version || 0, layerCount: options.layerCount};
+    }
+    this._headerWritten = false;
+    this._layerIndex = 0;
+    this._layer = null;
+    this._column = 0;
+    this._size = null;
+
+    if (options.inflated) {
+      this._deflate = null;
+    } else {
+      let zlibOptions = {};
+      if (options.level !== undefined) zlibOptions.level = options.level;
+      this._deflate = zlib.createGzip(zlibOptions);
+      this._deflate.on("data", chunk => this.push(chunk));
+      this._deflate.on("error", err => this.destroy(err));
+    }
   }
 
-  return res;
+  _transform(object, encoding, callback) {
+    let buffer;
+    try {
+      buffer = this._serialize(object);
+    } catch (e) {
+      callback(e);
+      return;
+    }
+
+    if (this._deflate) {
+      this._deflate.write(buffer, callback);
+    } else {
+      this.push(buffer);
+      callback();
+    }
+  }
+
+  _flush(callback) {
+    if (!this._header) {
+      callback(new Error("No header was written: expected a StreamHeader or the `layerCount` option"));
+      return;
+    }
+
+    let buffer;
+    try {
+      buffer = this._headerWritten ? Buffer.alloc(0) : this._serializeHeader();
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    if (this._layer !== null || this._layerIndex < this._header.layerCount) {
+      callback(new Error(`Expected ${this._header.layerCount} layers, got ${this._layerIndex}`));
+      return;
+    }
+
+    if (this._deflate) {
+      this._deflate.once("end", () => callback());
+      this._deflate.end(buffer);
+    } else {
+      this.push(buffer);
+      callback();
+    }
+  }
+
+  _serializeHeader() {
+    // Same rules as Image::validate, which toBuffer applies to whole images
+    let layerCount = this._header.layerCount;
+    if (!Number.isInteger(layerCount) || layerCount < 1) {
+      throw new Error("Invalid image: REXPaint images need at least one layer, got a layer count of " + layerCount);
+    }
+    if (layerCount > Image.MAX_LAYERS) {
+      throw new Error(`Invalid image: REXPaint images can have at most ${Image.MAX_LAYERS} layers, got ${layerCount}`);
+    }
+
+    let res = Buffer.alloc(8);
+    res.writeInt32LE(this._header.version | 0, 0);
+    res.writeUInt32LE(this._header.layerCount, 4);
+    this._headerWritten = true;
+    return res;
+  }
+
+  _serialize(object) {
+    if (object && object.type === "header") {
+      if (this._headerWritten) throw new Error("Unexpected StreamHeader: the header was already written");
+      this._header = {version: object.version, layerCount: object.layerCount};
+      return this._serializeHeader();
+    }
+
+    if (!this._header) {
+      throw new Error("No header was written: expected a StreamHeader or the `layerCount` option");
+    }
+
+    let chunks = [];
+    if (!this._headerWritten) chunks.push(this._serializeHeader());
+
+    if (object instanceof Layer) {
+      if (this._layer !== null) throw new Error("Unexpected Layer: the previous layer isn't complete");
+      this._startLayer(object.width, object.height, chunks);
+
+      let res = Buffer.alloc(PIXEL_SIZE * object.width * object.height);
+      writeLayer(object, res, 0);
+      chunks.push(res);
+      this._endLayer();
+    } else if (object && object.type === "layer") {
+      if (this._layer !== null) throw new Error("Unexpected StreamLayer: the previous layer isn't complete");
+      this._startLayer(object.width, object.height, chunks);
+    } else if (object && object.type === "column") {
+      if (this._layer === null) throw new Error("Unexpected StreamColumn: no layer was started");
+      if (object.x !== undefined && object.x !== this._column) {
+        throw new Error(`Unexpected StreamColumn: expected column ${this._column}, got ${object.x}`);
+      }
+
+      let columnSize = this._layer.height * PIXEL_SIZE;
+      if (object.data) {
+        if (object.data.length !== columnSize) {
+          throw new Error(`Invalid StreamColumn: expected ${columnSize} bytes, got ${object.data.length}`);
+        }
+        chunks.push(object.data);
+      } else if (Array.isArray(object.pixels) && object.pixels.length === this._layer.height) {
+        let res = Buffer.alloc(columnSize);
+        let view = dataView(res);
+        for (let y = 0; y < this._layer.height; y++) {
+          writePixel(object.pixels[y], view, y * PIXEL_SIZE);
+        }
+        chunks.push(res);
+      } else {
+        throw new Error(`Invalid StreamColumn: expected ${this._layer.height} pixels`);
+      }
+
+      this._column++;
+      if (this._column >= this._layer.width) this._endLayer();
+    } else {
+      throw new Error("Expected a StreamHeader, StreamLayer, StreamColumn or Layer, got " + object);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  _startLayer(width, height, chunks) {
+    if (this._layerIndex >= this._header.layerCount) {
+      throw new Error(`Too many layers: expected ${this._header.layerCount}`);
+    }
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw new Error(`Invalid image: expected layer ${this._layerIndex} to have a non-zero size, got ${width}x${height}`);
+    }
+    if (this._size === null) {
+      this._size = {width, height};
+    } else if (width !== this._size.width || height !== this._size.height) {
+      throw new Error(`Expected all layers to have the same size: layer 0 is ${this._size.width}x${this._size.height}, layer ${this._layerIndex} is ${width}x${height}`);
+    }
+
+    let res = Buffer.alloc(8);
+    res.writeUInt32LE(width, 0);
+    res.writeUInt32LE(height, 4);
+    chunks.push(res);
+
+    this._layer = {width, height};
+    this._column = 0;
+  }
+
+  _endLayer() {
+    this._layer = null;
+    this._layerIndex++;
+  }
+}
+
+/**
+  Creates a new `XpReadStream`, which parses a REXPaint file as it is written to it.
+
+  @param {ReadStreamOptions} [options]
+  @returns {XpReadStream}
+**/
+function createReadStream(options) {
+  return new XpReadStream(options);
+}
+
+/**
+  Creates a new `XpWriteStream`, which encodes a REXPaint file as its layers are written to it.
+
+  @param {WriteStreamOptions} [options]
+  @returns {XpWriteStream}
+**/
+function createWriteStream(options) {
+  return new XpWriteStream(options);
 }
 
 /**
@@ -191,12 +854,19 @@ class Image {
   constructor(version) {
     this.version = version;
     this.layers = [];
+    /**
+      The codepage used to turn the glyphs of the image into text, by `Image::toAnsi`, `toHTML` and `toBBCode`:
+      a `Codepage`, the name of a registered one, or null for `Codepage.DEFAULT`.
+      It isn't stored in .xp files.
+      @type {Codepage | string | null}
+    **/
+    this.codepage = null;
   }
 
   /**
     Sets the pixel on the `l`-th layer at `x`, `y`.
     Expects `l`, `x` and `y` to be positive integers and `pixel` to be a `Pixel` instance.
-    Returns false if any of the above conditions isn't met, otherwise returns true and sets the corresponding pixel.
+    Returns false if any of the above conditions isn't met or if the layer is locked, otherwise returns true and sets the corresponding pixel.
 
     *Note: the Pixel instance will be cloned before being put in the raster.*
 
@@ -206,7 +876,7 @@ class Image {
     @param {Pixel} pixel The pixel to draw.
   **/
   set(l, x, y, pixel) {
-    if (typeof l === "number" && this.layers[l]) {
+    if (typeof l === "number" && this.layers[l] && !this.layers[l].locked) {
       return this.layers[l].set(x, y, pixel);
     } else {
       return false;
@@ -217,7 +887,7 @@ class Image {
     Gets the pixel on the `l`-th layer at `x`, `y`.
     Returns null if the coordinates were out of bound.
 
-    *Note: the returned Pixel instance will not be a clone of the pixel in the raster (modifying it will modify the image).*
+    *Note: the returned Pixel instance is a view into the layer (modifying it will modify the image).*
 
     @param {number} l The layer to get the pixel from.
     @param {number} x The column of the pixel to retrieve.
@@ -233,72 +903,545 @@ class Image {
   }
 
   /**
-    Merges different layers together, producing a single layer, similar to the multi-layer view of REXPaint.
-    The returned layer will be a clone of the topmost, non-transparent pixels.
-
-    If `layers` is equal to "all", all of the layers will be merged.
-    If `layers` is a single number `x`, it will be interpreted as `[x]`.
-    Otherwise, `layers` is interpreted as an array of layer indices. The layers will be merged in that order.
+    Iterates over the cells of the selected `layers` (all of them by default), as `{layer, x, y, pixel}` objects,
+    where `layer` is the index of the layer. Layers are selected like `Image::mergeLayers` does, and visited in that order;
+    the cells of each layer are visited in row-major order.
 
-    Returns null if no layers were available or were selected.
+    *Note: `pixel` is a view into the layer (modifying it will modify the image).*
 
-    @param {LayerOption} layers
-    @returns {Layer | null}
+    @param {{layers?: LayerOption}} [options]
+    @returns {Generator<CellEntry & {layer: number}>}
   **/
-  mergeLayers(layers = "all") {
-    if (this.layers.length === 0) return null;
-
-    if (layers === "all") {
-      layers = new Array(this.layers.length).fill(0).map((_, i) => i);
-    } else if (Number.isInteger(layers)) {
-      if (layers >= 0 && layers < this.layers.length) {
-        layers = [layers];
-      } else {
-        layers = [];
+  *cells(options = {}) {
+    let layers = this._layerIndices(options.layers === undefined ? "all" : options.layers);
+    for (let index of layers) {
+      for (let cell of this.layers[index].cells()) {
+        yield {layer: index, x: cell.x, y: cell.y, pixel: cell.pixel};
       }
-    } else if (Array.isArray(layers)) {
-      layers = layers.filter(l => Number.isInteger(l) && l >= 0 && l < this.layers.length);
-    } else {
-      return null;
     }
+  }
+
+  /**
+    Merges different layers together, producing a single layer, similar to the multi-layer view of REXPaint.
+    The bottom layer is copied as is, and the non-transparent cells of each following layer are drawn over it according to their `blendMode` (see `BlendMode`).
+    Hidden layers (whose `visible` property is false) are left out.
+
+    If `layers` is equal to "all", all of the layers will be merged.
+    If `layers` is a single number `x`, it will be interpreted as `[x]`.
+    Otherwise, `layers` is interpreted as an array of layer indices. The layers will be merged in that order.
+
+    Cells are transparent if their background is `options.transparentKey`, or if they are transparent in their own layer (see `Layer::transparentKey`) when it isn't set.
+    The merged layer keeps the key of its cells in its `transparentKey`: `options.transparentKey` if it is set, and the key of the bottom layer otherwise.
+
+    Returns null if no layers were available or were selected.
 
+    @param {LayerOption} layers
+    @param {{transparentKey?: Color | string | number[]}} [options]
+    @returns {Layer | null}
+  **/
+  mergeLayers(layers = "all", options = {}) {
+    layers = this._layerIndices(layers).filter(index => this.layers[index].visible);
     if (layers.length === 0) return null;
 
+    let key = null;
+    if (options.transparentKey !== undefined) {
+      key = Color.from(options.transparentKey);
+      if (key === null) throw new Error("Expected 'transparentKey' to be a color, got " + options.transparentKey);
+    }
+    let isTransparent = key === null
+      ? (layer, i) => layer._isTransparent(i)
+      : (layer, i) => layer.bg[3 * i] === key.r && layer.bg[3 * i + 1] === key.g && layer.bg[3 * i + 2] === key.b;
+    for (let index of layers) expectBlending(this.layers[index]);
+
     let res = new Layer(this.width, this.height);
-    for (let index of layers) {
-      for (let y = 0; y < this.height; y++) {
-        for (let x = 0; x < this.width; x++) {
-          let pixel = this.get(index, x, y);
-          if (!res.get(x, y) || !pixel.transparent) {
-            res.set(x, y, Pixel.from(pixel));
+    res.transparentKey = key === null ? this.layers[layers[0]].transparentKey : key;
+    layers.forEach((index, n) => {
+      let layer = this.layers[index];
+
+      if (n === 0 && layer.width === res.width && layer.height === res.height) {
+        res.glyphs.set(layer.glyphs);
+        res.fg.set(layer.fg);
+        res.bg.set(layer.bg);
+        return;
+      }
+
+      // Layers of different sizes: only merge the overlapping area
+      let width = Math.min(layer.width, res.width);
+      let height = Math.min(layer.height, res.height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let i = x + layer.width * y;
+          if (n === 0) {
+            res._copyCell(x + res.width * y, layer, i);
+          } else if (!isTransparent(layer, i)) {
+            res._blendCell(x + res.width * y, layer, i);
           }
         }
       }
-    }
+    });
+
     return res;
   }
 
   /**
-   * @returns {number}
+    Returns the merged `layers` of the image as a string of ANSI escape codes, see `Layer::toAnsi`.
+    Returns an empty string if no layers were available or were selected.
+    The glyphs are mapped with `options.codepage`, which defaults to `this.codepage`.
+
+    @param {AnsiOptions & {layers?: LayerOption, transparentKey?: Color | string | number[]}} [options]
+    @returns {string}
+  **/
+  toAnsi(options = {}) {
+    let layer = this.mergeLayers(options.layers, options);
+    return layer === null ? "" : layer.toAnsi({...options, codepage: resolveCodepage(options.codepage, this)});
+  }
+
+  /**
+   * @returns {Object}
    */
+  toJSON() {
+    return {
+      version: this.version,
+      layers: this.layers
+    };
+  }
+
+  /**
+    Exports the `l`-th layer of the image as CSV, like REXPaint does.
+    The first line is the header (`x,y,glyph,fg,bg`), and each following line describes a cell, row by row:
+    its coordinates, its CP437 code and its foreground and background colors as hex strings.
+
+    @param {number} [l]
+    @returns {string}
+  **/
+  toCSV(l = 0) {
+    let layer = this.layers[l];
+    if (!layer) throw new Error(`Invalid layer index ${l}: the image has ${this.layers.length} layers`);
+
+    let lines = [CSV_HEADER];
+    for (let y = 0; y < layer.height; y++) {
+      for (let x = 0; x < layer.width; x++) {
+        let i = x + layer.width * y;
+        let fg = rgb2hex(layer.fg[3 * i], layer.fg[3 * i + 1], layer.fg[3 * i + 2]);
+        let bg = rgb2hex(layer.bg[3 * i], layer.bg[3 * i + 1], layer.bg[3 * i + 2]);
+        lines.push(`${x},${y},${layer.glyphs[i]},${fg},${bg}`);
+      }
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+    Exports the image as XML, like REXPaint does.
+    The root `<image>` element holds the version, size and layer count of the image, and contains one `<layer>` element per layer,
+    each made of `<row>` elements containing one `<cell>` per column, with the `ascii` code and the `fg` and `bg` hex colors of the cell as attributes.
+
+    @returns {string}
+  **/
+  toXML() {
+    let lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<image version="${this.version | 0}" width="${this.width || 0}" height="${this.height || 0}" layers="${this.layers.length}">`
+    ];
+
+    this.layers.forEach((layer, l) => {
+      lines.push(`  <layer index="${l}" width="${layer.width}" height="${layer.height}">`);
+      for (let y = 0; y < layer.height; y++) {
+        lines.push(`    <row index="${y}">`);
+        for (let x = 0; x < layer.width; x++) {
+          let i = x + layer.width * y;
+          let fg = rgb2hex(layer.fg[3 * i], layer.fg[3 * i + 1], layer.fg[3 * i + 2]);
+          let bg = rgb2hex(layer.bg[3 * i], layer.bg[3 * i + 1], layer.bg[3 * i + 2]);
+          lines.push(`      <cell ascii="${layer.glyphs[i]}" fg="${fg}" bg="${bg}"/>`);
+        }
+        lines.push("    </row>");
+      }
+      lines.push("  </layer>");
+    });
+
+    lines.push("</image>");
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+    Copies the layers of `src` onto the layers of this image with the same index, see `Layer::blit`.
+    Layers that only exist in one of the two images and locked layers are left as is.
+    Returns the number of cells that were changed.
+
+    @param {Image} src
+    @param {number} dx
+    @param {number} dy
+    @param {{sx?: number, sy?: number, w?: number, h?: number, skipTransparent?: boolean}} [options]
+    @returns {number}
+  **/
+  blit(src, dx, dy, options = {}) {
+    if (!(src instanceof Image)) throw new Error("Invalid argument: expected `src` to be an Image, got " + src);
+
+    let changed = 0;
+    for (let l = 0; l < Math.min(this.layers.length, src.layers.length); l++) {
+      if (this.layers[l].locked) continue;
+      changed += this.layers[l].blit(src.layers[l], dx, dy, options);
+    }
+    return changed;
+  }
+
+  /**
+    Adds a layer on top of the others, and returns it.
+    `layer` is either a `Layer` of the same size as the other layers, or options for a new layer: `fill` is the pixel it is filled with (defaults to `Pixel.TRANSPARENT`),
+    `width` and `height` are its size, which are only needed for the first layer of an image,
+    and `name`, `visible`, `locked`, `blendMode` and `opacity` set the properties of the same name.
+
+    Throws if the layer doesn't have the same size as the other layers, or if the image already has `Image.MAX_LAYERS` layers.
+
+    @param {Layer | LayerOptions} [layer]
+    @returns {Layer}
+  **/
+  addLayer(layer = {}) {
+    return this.insertLayer(this.layers.length, layer);
+  }
+
+  /**
+    Inserts a layer at `index`, moving the layers from `index` onwards up by one, and returns it.
+    `layer` is the same as in `Image::addLayer`, and defaults to a new transparent layer.
+
+    @param {number} index
+    @param {Layer | LayerOptions} [layer]
+    @returns {Layer}
+  **/
+  insertLayer(index, layer = {}) {
+    this._expectIndex(index, this.layers.length + 1);
+    if (this.layers.length >= Image.MAX_LAYERS) {
+      throw new Error(`Cannot add a layer: REXPaint images can have at most ${Image.MAX_LAYERS} layers`);
+    }
+
+    if (!(layer instanceof Layer)) {
+      let width = layer.width === undefined ? this.width : layer.width;
+      let height = layer.height === undefined ? this.height : layer.height;
+      if (width === null || height === null) {
+        throw new Error("Expected 'width' and 'height' to be set for the first layer of an image");
+      }
+      expectIntegers({width, height});
+      if (width <= 0 || height <= 0) throw new Error(`Invalid size: expected a positive width and height, got ${width}x${height}`);
+
+      let fill = layer.fill === undefined ? Pixel.TRANSPARENT : layer.fill;
+      expectPixel(fill);
+      let options = layer;
+      layer = new Layer(width, height).fill(fill);
+      for (let property of ["name", "visible", "locked", "blendMode", "opacity"]) {
+        if (options[property] !== undefined) layer[property] = options[property];
+      }
+      expectBlending(layer);
+    }
+
+    if (this.layers.length > 0 && (layer.width !== this.width || layer.height !== this.height)) {
+      throw new Error(`Expected the layer to have the same size as the image (${this.width}x${this.height}), got ${layer.width}x${layer.height}`);
+    }
+
+    this.layers.splice(index, 0, layer);
+    return layer;
+  }
+
+  /**
+    Removes the layer at `index`, and returns it.
+
+    @param {number} index
+    @returns {Layer}
+  **/
+  removeLayer(index) {
+    this._expectIndex(index, this.layers.length);
+    return this.layers.splice(index, 1)[0];
+  }
+
+  /**
+    Moves the layer at `from` to `to`, shifting the layers in between. Returns the image.
+
+    @param {number} from
+    @param {number} to
+    @returns {Image}
+  **/
+  moveLayer(from, to) {
+    this._expectIndex(from, this.layers.length);
+    this._expectIndex(to, this.layers.length);
+
+    this.layers.splice(to, 0, ...this.layers.splice(from, 1));
+    return this;
+  }
+
+  /**
+    Inserts a copy of the layer at `index` right above it, and returns the copy.
+    Throws if the image already has `Image.MAX_LAYERS` layers.
+
+    @param {number} index
+    @returns {Layer}
+  **/
+  duplicateLayer(index) {
+    this._expectIndex(index, this.layers.length);
+    return this.insertLayer(index + 1, Layer.from(this.layers[index]));
+  }
+
+  /**
+    Resizes all of the layers of the image; this is the same as `Image::resize`.
+
+    @param {number} w
+    @param {number} h
+    @param {{anchor?: string, fillPixel?: Pixel}} [options]
+    @returns {Image}
+  **/
+  resizeCanvas(w, h, options = {}) {
+    return this.resize(w, h, options);
+  }
+
+  /**
+    Throws if REXPaint couldn't open the image: it must have between 1 and `Image.MAX_LAYERS` layers, which must all have the same, non-zero size.
+    `toBuffer` and the other functions that write .xp files call this first.
+  **/
+  validate() {
+    if (this.layers.length === 0) throw new Error("Invalid image: REXPaint images need at least one layer");
+    if (this.layers.length > Image.MAX_LAYERS) {
+      throw new Error(`Invalid image: REXPaint images can have at most ${Image.MAX_LAYERS} layers, got ${this.layers.length}`);
+    }
+    this._expectSameSize();
+    if (this.width === 0 || this.height === 0) throw new Error(`Invalid image: expected a non-zero size, got ${this.width}x${this.height}`);
+  }
+
+  /**
+    Crops all of the layers of the image, see `Layer::crop`.
+    Throws if the layers don't all have the same size. Returns the image.
+
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @returns {Image}
+  **/
+  crop(x, y, w, h) {
+    this._expectSameSize();
+
+    for (let layer of this.layers) layer.crop(x, y, w, h);
+    return this;
+  }
+
+  /**
+    Resizes all of the layers of the image, see `Layer::resize`.
+    Throws if the layers don't all have the same size. Returns the image.
+
+    @param {number} w
+    @param {number} h
+    @param {{anchor?: string, fillPixel?: Pixel}} [options]
+    @returns {Image}
+  **/
+  resize(w, h, options = {}) {
+    this._expectSameSize();
+
+    for (let layer of this.layers) layer.resize(w, h, options);
+    return this;
+  }
+
+  /**
+    Crops all of the layers of the image to the bounding box of their non-transparent cells, and returns that bounding box.
+    Returns null and leaves the image as is if all of the cells of the image are transparent.
+    Throws if the layers don't all have the same size.
+
+    @returns {{x: number, y: number, width: number, height: number} | null}
+  **/
+  trim() {
+    this._expectSameSize();
+
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    for (let layer of this.layers) {
+      let bounds = layer._contentBounds();
+      if (bounds === null) continue;
+      minX = Math.min(minX, bounds.x);
+      minY = Math.min(minY, bounds.y);
+      maxX = Math.max(maxX, bounds.x + bounds.width - 1);
+      maxY = Math.max(maxY, bounds.y + bounds.height - 1);
+    }
+    if (maxX < 0) return null;
+
+    let bounds = {x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1};
+    this.crop(bounds.x, bounds.y, bounds.width, bounds.height);
+    return bounds;
+  }
+
+  /**
+    Slices the image into frames of `frameWidth` by `frameHeight` cells, laid out on a grid with `spacing` cells between them and `margin` cells around them,
+    and returns them as new images, in row-major order. Each frame has a copy of every layer of the image.
+    Throws if the layers don't all have the same size.
+
+    @param {SliceOptions} options
+    @returns {Image[]}
+  **/
+  slice(options) {
+    let {frameWidth, frameHeight} = options;
+    let spacing = options.spacing === undefined ? 0 : options.spacing;
+    let margin = options.margin === undefined ? 0 : options.margin;
+    expectIntegers({frameWidth, frameHeight, spacing, margin});
+    if (frameWidth <= 0 || frameHeight <= 0 || spacing < 0 || margin < 0) {
+      throw new Error(`Invalid frame layout: expected a positive frame size and non-negative spacing and margin, got ${frameWidth}x${frameHeight}, ${spacing} and ${margin}`);
+    }
+    this._expectSameSize();
+    if (this.layers.length === 0) return [];
+
+    let columns = Math.floor((this.width - margin + spacing) / (frameWidth + spacing));
+    let rows = Math.floor((this.height - margin + spacing) / (frameHeight + spacing));
+
+    let frames = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        let x = margin + column * (frameWidth + spacing);
+        let y = margin + row * (frameHeight + spacing);
+
+        let frame = new Image(this.version);
+        frame.codepage = this.codepage;
+        for (let layer of this.layers) {
+          let res = new Layer(frameWidth, frameHeight);
+          res.blit(layer, 0, 0, {sx: x, sy: y, w: frameWidth, h: frameHeight});
+          frame.layers.push(res);
+        }
+        frames.push(frame);
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+    Mirrors all of the layers of the image horizontally, see `Layer::flipHorizontal`. Returns the image.
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Image}
+  **/
+  flipHorizontal(options = {}) {
+    for (let layer of this.layers) layer.flipHorizontal(options);
+    return this;
+  }
+
+  /**
+    Mirrors all of the layers of the image vertically, see `Layer::flipVertical`. Returns the image.
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Image}
+  **/
+  flipVertical(options = {}) {
+    for (let layer of this.layers) layer.flipVertical(options);
+    return this;
+  }
+
+  /**
+    Rotates all of the layers of the image clockwise by `times` quarter turns, see `Layer::rotate90`.
+    Throws if the layers don't all have the same size. Returns the image.
+    @param {number} [times]
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Image}
+  **/
+  rotate90(times = 1, options = {}) {
+    this._expectSameSize();
+
+    for (let layer of this.layers) layer.rotate90(times, options);
+    return this;
+  }
+
+  /**
+    The width of the image, which is the width of its first layer, or null if it has no layer.
+    Use `Image::crop` or `Image::resize` to keep the size of all of the layers in sync.
+    @returns {number}
+  **/
   get width() {
     if (this.layers.length > 0) return this.layers[0].width;
     else return null;
   }
 
   /**
-   * @returns {number}
-   */
+    The height of the image, which is the height of its first layer, or null if it has no layer.
+    @returns {number}
+  **/
   get height() {
     if (this.layers.length > 0) return this.layers[0].height;
     else return null;
   }
+
+  /**
+    Returns the indices of the layers selected by `layers`, following the rules of `Image::mergeLayers`:
+    invalid indices are left out.
+    @param {LayerOption} layers
+    @returns {number[]}
+  **/
+  _layerIndices(layers) {
+    if (layers === "all") return this.layers.map((_, i) => i);
+    if (Number.isInteger(layers)) return layers >= 0 && layers < this.layers.length ? [layers] : [];
+    if (Array.isArray(layers)) return layers.filter(l => Number.isInteger(l) && l >= 0 && l < this.layers.length);
+    return [];
+  }
+
+  /**
+    Throws if `index` isn't an integer between 0 and `length` (excluded).
+    @param {number} index
+    @param {number} length
+  **/
+  _expectIndex(index, length) {
+    if (!Number.isInteger(index) || index < 0 || index >= length) {
+      throw new Error(`Invalid layer index ${index}: expected an integer between 0 and ${length - 1}`);
+    }
+  }
+
+  /**
+    Throws if the layers of the image don't all have the same size.
+  **/
+  _expectSameSize() {
+    let index = this.layers.findIndex(layer => layer.width !== this.width || layer.height !== this.height);
+    if (index !== -1) {
+      let layer = this.layers[index];
+      throw new Error(`Expected all layers to have the same size: layer 0 is ${this.width}x${this.height}, layer ${index} is ${layer.width}x${layer.height}`);
+    }
+  }
 }
 
+/**
+ * @typedef {Object} CellEntry
+ * A cell of a layer, as yielded by {@link Layer.cells} and returned by {@link Layer.findAll}.
+ * @property {number} x
+ * @property {number} y
+ * @property {Pixel} pixel A view into the layer.
+ */
+
+/**
+ * @typedef {((pixel: Pixel, x: number, y: number) => boolean) | {glyph?: number | string, fg?: Color | string | number[], bg?: Color | string | number[]}} CellQuery
+ * Selects cells, either with a predicate or with the values that the cells must have.
+ * `glyph` is a character code or a single unicode character (like "@"); `fg` and `bg` accept anything that `Color.from` does.
+ */
+
+/**
+ * @typedef {"replace" | "glyph" | "tint" | "alpha"} BlendMode
+ * How `Image::mergeLayers` draws the non-transparent cells of a layer over the layers below it:
+ * - `"replace"`: the cell replaces the one below, the default
+ * - `"glyph"`: the glyph and foreground color replace the ones below, the background color below is kept
+ * - `"tint"`: only the background color is drawn, mixed with the one below according to the layer's `opacity`
+ * - `"alpha"`: the whole cell is mixed with the one below according to the layer's `opacity`.
+ *   Glyphs can't be mixed: the glyph is drawn if `opacity` is at least 0.5 and the glyph isn't blank (0, 32 or 255);
+ *   blank cells tint the glyph below with their background color instead.
+ *
+ * Cells drawn over transparent cells always replace them.
+ */
+
+/**
+ * @typedef {Object} LayerOptions
+ * Options for the layers created by `Image::addLayer` and `Image::insertLayer`.
+ * @property {Pixel} [fill]
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string | null} [name]
+ * @property {boolean} [visible]
+ * @property {boolean} [locked]
+ * @property {BlendMode} [blendMode]
+ * @property {number} [opacity]
+ */
+
 class Layer {
   /**
     Creates a new Layer with dimension `width` and `height`.
-    The initial raster will be empty, consider filling it with `Layer::fill`.
+    The initial raster will be zeroed out (glyph 0, black on black), consider filling it with `Layer::fill`.
+
+    The cells are stored in packed, row-major typed arrays: the cell at `(x, y)` has index `i = x + width * y`,
+    its glyph is `glyphs[i]`, its foreground color is `fg[3 * i]`, `fg[3 * i + 1]`, `fg[3 * i + 2]` and its background color is stored the same way in `bg`.
+    Reading these directly is the fastest way to go through a whole layer.
 
     @param {number} width
     @param {number} height
@@ -307,11 +1450,39 @@ class Layer {
     this.width = width;
     this.height = height;
 
-    this.raster = new Array(width * height);
+    /** @type {Uint32Array} */
+    this.glyphs = new Uint32Array(width * height);
+    /** @type {Uint8Array} */
+    this.fg = new Uint8Array(3 * width * height);
+    /** @type {Uint8Array} */
+    this.bg = new Uint8Array(3 * width * height);
+
+    // Metadata, which isn't stored in .xp files
+
+    /** The name of the layer, if any. @type {string | null} */
+    this.name = null;
+    /** Hidden layers are left out by `Image::mergeLayers`. @type {boolean} */
+    this.visible = true;
+    /**
+      Locked layers aren't modified by `Image::set` and `Image::blit`.
+      The lock is advisory: it is only checked by these two methods, and the methods of `Layer` (`set`, `fill`, `drawLine`, etc.) and `applyPatch` still modify locked layers.
+      @type {boolean}
+    **/
+    this.locked = false;
+    /** How `Image::mergeLayers` draws this layer over the ones below it. @type {BlendMode} */
+    this.blendMode = "replace";
+    /** The opacity of the layer, from 0 to 1, used by the "tint" and "alpha" blend modes. @type {number} */
+    this.opacity = 1;
+    /**
+      The background color of the transparent cells of this layer, or null for magenta (#ff00ff).
+      Set by `Image::mergeLayers` when it is given a `transparentKey`.
+      @type {Color | null}
+    **/
+    this.transparentKey = null;
   }
 
   /**
-    Creates a new Layer instance from a previous Layer instance.
+    Creates a new Layer instance from a previous Layer instance, copying its cells and its metadata.
 
     On failure, returns null.
 
@@ -322,11 +1493,16 @@ class Layer {
     if (layer instanceof Layer) {
       let res = new Layer(layer.width, layer.height);
 
-      for (let y = 0; y < res.height; y++) {
-        for (let x = 0; x < res.width; x++) {
-          res.set(x, y, Pixel.from(layer.get(x, y)));
-        }
-      }
+      res.glyphs.set(layer.glyphs);
+      res.fg.set(layer.fg);
+      res.bg.set(layer.bg);
+
+      res.name = layer.name;
+      res.visible = layer.visible;
+      res.locked = layer.locked;
+      res.blendMode = layer.blendMode;
+      res.opacity = layer.opacity;
+      res.transparentKey = layer.transparentKey;
 
       return res;
     }
@@ -334,6 +1510,53 @@ class Layer {
     return null;
   }
 
+  /**
+    Creates a new Layer from a string of text, with one row per line.
+    The unicode characters are mapped back to glyph codes with `options.codepage` (see `Codepage::fromUnicode`); lines shorter than the longest one are padded with spaces.
+    Empty text gives a layer with a single blank cell, so that the layer can still be saved.
+
+    Characters that have no equivalent in the codepage are replaced with `replacement` (defaults to "?"),
+    and are reported to `onUnmapped` along with their coordinates.
+
+    @param {string} text
+    @param {{fg?: Color | string | number[], bg?: Color | string | number[], replacement?: string, onUnmapped?: (char: string, x: number, y: number) => void, codepage?: Codepage | string}} [options]
+    @returns {Layer}
+  **/
+  static fromText(text, options = {}) {
+    if (typeof text !== "string") {
+      throw new Error("Expected 'text' to be a string, got " + text);
+    }
+
+    let fg = Color.from(options.fg === undefined ? "ffffff" : options.fg);
+    let bg = Color.from(options.bg === undefined ? "000000" : options.bg);
+    if (fg === null) throw new Error("Invalid 'fg' color: " + options.fg);
+    if (bg === null) throw new Error("Invalid 'bg' color: " + options.bg);
+
+    let codepage = resolveCodepage(options.codepage);
+    let replacement = codepage.fromUnicode(options.replacement === undefined ? "?" : options.replacement);
+    if (replacement === null) throw new Error("Invalid 'replacement' character: " + options.replacement);
+
+    let lines = text.split(/\r?\n/).map(line => Array.from(line));
+    if (lines.length > 1 && lines[lines.length - 1].length === 0) lines.pop();
+
+    let width = Math.max(1, ...lines.map(line => line.length));
+    let res = new Layer(width, lines.length);
+    res.fill(new Pixel(32, fg, bg));
+
+    lines.forEach((line, y) => {
+      line.forEach((char, x) => {
+        let code = codepage.fromUnicode(char);
+        if (code === null) {
+          if (options.onUnmapped) options.onUnmapped(char, x, y);
+          code = replacement;
+        }
+        res.glyphs[x + width * y] = code;
+      });
+    });
+
+    return res;
+  }
+
   /**
     Verifies that `(x, y)` are valid pixel coordinates.
 
@@ -364,7 +1587,7 @@ class Layer {
   **/
   set(x, y, pixel) {
     if (this.verifyCoordinates(x, y) && pixel instanceof Pixel) {
-      this.raster[x + this.width * y] = pixel;
+      this._setCell(x + this.width * y, pixel);
       return true;
     } else {
       return false;
@@ -375,7 +1598,7 @@ class Layer {
     Returns the pixel at `(x, y)`.
     Returns null if the coordinates are out of bound.
 
-    *Note: the returned Pixel instance will not be a clone of the pixel in the raster (modifying it will modify the layer).*
+    *Note: the returned Pixel instance is a view into the layer (modifying it will modify the layer).*
 
     @param {number} x
     @param {number} y
@@ -383,292 +1606,3367 @@ class Layer {
   **/
   get(x, y) {
     if (this.verifyCoordinates(x, y)) {
-      return this.raster[x + this.width * y];
+      return pixelView(this, x + this.width * y);
     } else {
       return null;
     }
   }
 
   /**
-    Fills a layer with the given pixel.
-    Returns the current Layer instance.
+    Returns an array containing a view of every pixel of the layer, in row-major order.
+    Setting one of its elements to a `Pixel` writes it to the layer, like `Layer::set` does; setting anything else throws.
 
-    *Note: the Pixel instance will be cloned before being put in the raster.*
-    @param {Pixel} [pixel]
+    *Note: this allocates a Pixel instance per cell; prefer `Layer::get` or the packed `glyphs`, `fg` and `bg` arrays.*
+
+    @returns {Pixel[]}
   **/
-  fill(pixel = Pixel.TRANSPARENT) {
+  get raster() {
+    let res = new Array(this.width * this.height);
+    for (let i = 0; i < res.length; i++) {
+      res[i] = pixelView(this, i);
+    }
+
+    // The raster used to be stored as an array of pixels, so writes to it must reach the layer
+    return new Proxy(res, {
+      set: (target, property, value) => {
+        let i = typeof property === "string" && /^(0|[1-9][0-9]*)$/.test(property) ? Number(property) : -1;
+        if (i < 0 || i >= target.length) {
+          throw new Error(`Cannot set ${String(property)} on the raster of a layer: only the indices of its ${target.length} cells can be set`);
+        }
+        expectPixel(value);
+        this._setCell(i, value);
+        return true;
+      },
+      deleteProperty: (target, property) => {
+        throw new Error(`Cannot delete ${String(property)} from the raster of a layer`);
+      }
+    });
+  }
+
+  /**
+    Iterates over the cells of the layer in row-major order, as `{x, y, pixel}` objects.
+
+    *Note: `pixel` is a view into the layer (modifying it will modify the layer).*
+
+    @returns {Generator<CellEntry>}
+  **/
+  *cells() {
     for (let y = 0; y < this.height; y++) {
       for (let x = 0; x < this.width; x++) {
-        this.set(x, y, pixel);
+        yield {x, y, pixel: pixelView(this, x + this.width * y)};
       }
     }
-
-    return this;
   }
-}
 
-class Pixel {
   /**
-    Creates a new Pixel instance.
-    Expects `fg` and `bg` to be instances of `Color`.
-    Expects `char` to be a character integer.
+    Calls `callback` with each cell of the layer, in row-major order.
 
-    @param {number} char
-    @param {Color} fg
+    *Note: the Pixel instances are views into the layer (modifying them will modify the layer).*
+
+    @param {(pixel: Pixel, x: number, y: number) => void} callback
+  **/
+  forEach(callback) {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        callback(pixelView(this, x + this.width * y), x, y);
+      }
+    }
+  }
+
+  /**
+    Returns a new layer of the same size, whose cells are the pixels returned by `callback` for each cell of this layer.
+    The layer itself is left as is, unless `callback` modifies the views it receives.
+
+    @param {(pixel: Pixel, x: number, y: number) => Pixel} callback
+    @returns {Layer}
+  **/
+  map(callback) {
+    let res = new Layer(this.width, this.height);
+    res.transparentKey = this.transparentKey;
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        let i = x + this.width * y;
+        let pixel = callback(pixelView(this, i), x, y);
+        if (!(pixel instanceof Pixel)) {
+          throw new Error(`Expected the callback to return a Pixel for the cell (${x}, ${y}), got ${pixel}`);
+        }
+        res._setCell(i, pixel);
+      }
+    }
+    return res;
+  }
+
+  /**
+    Returns the cells that match `query`, in row-major order, as `{x, y, pixel}` objects.
+    See `CellQuery` for the accepted queries; for instance, `layer.findAll({glyph: "@"})` finds every `@`.
+
+    *Note: the Pixel instances are views into the layer (modifying them will modify the layer).*
+
+    @param {CellQuery} query
+    @returns {CellEntry[]}
+  **/
+  findAll(query) {
+    let matches = cellMatcher(query);
+    let res = [];
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        let i = x + this.width * y;
+        if (matches(this, i, x, y)) res.push({x, y, pixel: pixelView(this, i)});
+      }
+    }
+    return res;
+  }
+
+  /**
+    Returns the number of cells that match `query` (see `CellQuery`), or the number of non-transparent cells if `query` isn't set.
+
+    @param {CellQuery} [query]
+    @returns {number}
+  **/
+  count(query) {
+    let matches = query === undefined ? (layer, i) => !layer._isTransparent(i) : cellMatcher(query);
+    let res = 0;
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (matches(this, x + this.width * y, x, y)) res++;
+      }
+    }
+    return res;
+  }
+
+  /**
+    Returns the bounding box of the cells that match `query` (see `CellQuery`), or of the non-transparent cells if `query` isn't set.
+    Returns null if no cell matches.
+
+    @param {CellQuery} [query]
+    @returns {{x: number, y: number, width: number, height: number} | null}
+  **/
+  bounds(query) {
+    if (query === undefined) return this._contentBounds();
+    let matches = cellMatcher(query);
+    return this._contentBounds((i, x, y) => matches(this, i, x, y));
+  }
+
+  /**
+    Fills a layer with the given pixel.
+    Returns the current Layer instance.
+
+    *Note: the Pixel instance will be cloned before being put in the raster.*
+    @param {Pixel} [pixel]
+  **/
+  fill(pixel = Pixel.TRANSPARENT) {
+    if (!(pixel instanceof Pixel)) return this;
+
+    this.glyphs.fill(pixel.asciiCode);
+    let fg = pixel.fg;
+    let bg = pixel.bg;
+    for (let i = 0; i < this.fg.length; i += 3) {
+      this.fg[i] = fg.r;
+      this.fg[i + 1] = fg.g;
+      this.fg[i + 2] = fg.b;
+      this.bg[i] = bg.r;
+      this.bg[i + 1] = bg.g;
+      this.bg[i + 2] = bg.b;
+    }
+
+    return this;
+  }
+
+  /**
+    Copies the `w` by `h` rectangle of `src` whose top-left corner is `(sx, sy)` (the whole layer by default) onto this layer, at `(dx, dy)`.
+    If `options.skipTransparent` is true, the transparent cells of `src` are not copied, like `Image::mergeLayers` does.
+
+    The cells that fall outside of either layer are skipped. Returns the number of cells that were changed.
+
+    @param {Layer} src
+    @param {number} dx
+    @param {number} dy
+    @param {{sx?: number, sy?: number, w?: number, h?: number, skipTransparent?: boolean}} [options]
+    @returns {number}
+  **/
+  blit(src, dx, dy, options = {}) {
+    if (!(src instanceof Layer)) throw new Error("Invalid argument: expected `src` to be a Layer, got " + src);
+
+    let sx = options.sx === undefined ? 0 : options.sx;
+    let sy = options.sy === undefined ? 0 : options.sy;
+    let w = options.w === undefined ? src.width - sx : options.w;
+    let h = options.h === undefined ? src.height - sy : options.h;
+    expectIntegers({dx, dy, sx, sy, w, h});
+
+    // Copying a layer onto itself: read from a copy, so that overlapping areas aren't copied twice
+    if (src === this) src = Layer.from(src);
+
+    let changed = 0;
+    for (let y = 0; y < h; y++) {
+      if (!this.verifyCoordinates(0, dy + y) || !src.verifyCoordinates(0, sy + y)) continue;
+
+      for (let x = 0; x < w; x++) {
+        if (!this.verifyCoordinates(dx + x, 0) || !src.verifyCoordinates(sx + x, 0)) continue;
+
+        let i = dx + x + this.width * (dy + y);
+        let j = sx + x + src.width * (sy + y);
+        if (options.skipTransparent && src._isTransparent(j)) continue;
+        if (!this._sameCell(i, src, j)) {
+          this._copyCell(i, src, j);
+          changed++;
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+    Crops the layer to the `w` by `h` rectangle whose top-left corner is `(x, y)`, which must be within the layer.
+    Returns the layer.
+
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @returns {Layer}
+  **/
+  crop(x, y, w, h) {
+    expectIntegers({x, y, w, h});
+    if (x < 0 || y < 0 || w <= 0 || h <= 0 || x + w > this.width || y + h > this.height) {
+      throw new Error(`Invalid crop rectangle: (${x}, ${y}) to (${x + w}, ${y + h}) isn't a part of the ${this.width}x${this.height} layer`);
+    }
+
+    return this._reshape(x, y, w, h, null);
+  }
+
+  /**
+    Resizes the layer to `w` by `h` cells.
+    `options.anchor` is the part of the layer that stays in place: one of "top-left" (the default), "top", "top-right", "left", "center",
+    "right", "bottom-left", "bottom" and "bottom-right".
+    New cells are set to `options.fillPixel`, which defaults to `Pixel.TRANSPARENT`.
+
+    Returns the layer.
+
+    @param {number} w
+    @param {number} h
+    @param {{anchor?: string, fillPixel?: Pixel}} [options]
+    @returns {Layer}
+  **/
+  resize(w, h, options = {}) {
+    expectIntegers({w, h});
+    if (w <= 0 || h <= 0) throw new Error(`Invalid size: expected a positive width and height, got ${w}x${h}`);
+
+    let anchor = options.anchor || "top-left";
+    let [ax, ay] = ANCHORS[anchor] || [];
+    if (ax === undefined) throw new Error(`Expected 'anchor' to be one of ${Object.keys(ANCHORS).join(", ")}, got ${anchor}`);
+
+    let fillPixel = options.fillPixel === undefined ? Pixel.TRANSPARENT : options.fillPixel;
+    expectPixel(fillPixel);
+
+    return this._reshape(Math.floor((this.width - w) * ax), Math.floor((this.height - h) * ay), w, h, fillPixel);
+  }
+
+  /**
+    Crops the layer to the bounding box of its non-transparent cells, and returns that bounding box (relative to the layer before cropping).
+    Returns null and leaves the layer as is if all of its cells are transparent.
+
+    @returns {{x: number, y: number, width: number, height: number} | null}
+  **/
+  trim() {
+    let bounds = this._contentBounds();
+    if (bounds !== null) this.crop(bounds.x, bounds.y, bounds.width, bounds.height);
+    return bounds;
+  }
+
+  /**
+    Mirrors the layer horizontally (left to right).
+    Directional glyphs are replaced using `options.glyphs` (defaults to `Layer.FLIP_HORIZONTAL_GLYPHS`), so that `┌` becomes `┐`, for instance;
+    pass `{glyphs: null}` to only move the cells.
+
+    Returns the layer.
+
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Layer}
+  **/
+  flipHorizontal(options = {}) {
+    let glyphs = options.glyphs === undefined ? Layer.FLIP_HORIZONTAL_GLYPHS : options.glyphs;
+    return this._transform(this.width, this.height, (x, y) => this.width - 1 - x + this.width * y, glyphs);
+  }
+
+  /**
+    Mirrors the layer vertically (top to bottom).
+    Directional glyphs are replaced using `options.glyphs` (defaults to `Layer.FLIP_VERTICAL_GLYPHS`), so that `┌` becomes `└`, for instance;
+    pass `{glyphs: null}` to only move the cells.
+
+    Returns the layer.
+
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Layer}
+  **/
+  flipVertical(options = {}) {
+    let glyphs = options.glyphs === undefined ? Layer.FLIP_VERTICAL_GLYPHS : options.glyphs;
+    return this._transform(this.width, this.height, (x, y) => x + this.width * (this.height - 1 - y), glyphs);
+  }
+
+  /**
+    Rotates the layer clockwise by `times` quarter turns; negative values rotate it counter-clockwise.
+    Directional glyphs are replaced using `options.glyphs` (defaults to `Layer.ROTATE_90_GLYPHS`), which maps each glyph to its rotation by a clockwise quarter turn,
+    so that `┌` becomes `┐`, for instance; pass `{glyphs: null}` to only move the cells.
+
+    Returns the layer.
+
+    @param {number} [times]
+    @param {{glyphs?: Object<number, number> | null}} [options]
+    @returns {Layer}
+  **/
+  rotate90(times = 1, options = {}) {
+    expectIntegers({times});
+    let glyphs = options.glyphs === undefined ? Layer.ROTATE_90_GLYPHS : options.glyphs;
+
+    for (let n = 0; n < ((times % 4) + 4) % 4; n++) {
+      let width = this.width;
+      let height = this.height;
+      // The cell at (x, y) comes from (y, height - 1 - x) in the layer before the rotation
+      this._transform(height, width, (x, y) => y + width * (height - 1 - x), glyphs);
+    }
+    return this;
+  }
+
+  /**
+    Returns the layer as a string of ANSI escape codes and unicode characters, one line per row.
+    Escape codes are only emitted when the colors change, and the colors are reset at the end of each line.
+
+    @param {AnsiOptions} [options]
+    @returns {string}
+  **/
+  toAnsi(options = {}) {
+    let colorDepth = options.colorDepth || 24;
+    if (colorDepth !== 24 && colorDepth !== 8 && colorDepth !== 4) {
+      throw new Error("Expected 'colorDepth' to be 24, 8 or 4, got " + colorDepth);
+    }
+    let transparent = options.transparent || "reset";
+    let codepage = resolveCodepage(options.codepage);
+
+    let lines = [];
+    for (let y = 0; y < this.height; y++) {
+      let line = "";
+      let fg = null;
+      let bg = null;
+
+      for (let x = 0; x < this.width; x++) {
+        let i = x + this.width * y;
+        let pixel = null;
+
+        if (this._isTransparent(i)) {
+          if (transparent instanceof Pixel) {
+            pixel = transparent;
+          } else if (transparent === "reset") {
+            if (fg !== null || bg !== null) line += "\x1b[0m";
+            fg = bg = null;
+            line += " ";
+            continue;
+          }
+        }
+        if (pixel === null) pixel = pixelView(this, i);
+
+        let params = [];
+        let newFg = ansiColor(pixel.fg, colorDepth, false);
+        let newBg = ansiColor(pixel.bg, colorDepth, true);
+        if (newFg !== fg) params.push(newFg);
+        if (newBg !== bg) params.push(newBg);
+        if (params.length > 0) line += `\x1b[${params.join(";")}m`;
+        fg = newFg;
+        bg = newBg;
+
+        line += codepage.toUnicode(pixel.asciiCode) || " ";
+      }
+
+      if (fg !== null || bg !== null) line += "\x1b[0m";
+      lines.push(line);
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+    Returns the layer as plain text: an array with one string per row, made of the unicode characters of each cell in `options.codepage` (see `Codepage::toUnicode`).
+    Cells without a unicode equivalent are turned into spaces.
+
+    @param {{codepage?: Codepage | string}} [options]
+    @returns {string[]}
+  **/
+  toText(options = {}) {
+    let codepage = resolveCodepage(options.codepage);
+    let res = [];
+    for (let y = 0; y < this.height; y++) {
+      let line = "";
+      for (let x = 0; x < this.width; x++) {
+        line += codepage.toUnicode(this.glyphs[x + this.width * y]) || " ";
+      }
+      res.push(line);
+    }
+    return res;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      raster: this.raster
+    };
+  }
+
+  /**
+    Writes `text` starting at `(x, y)`, mapping its unicode characters to glyph codes with `options.codepage` (see `Codepage::fromUnicode`); unmapped characters are written as "?".
+    A newline moves back to column `x` on the next row.
+    `fg` and `bg` can be anything that `Color.from` accepts; if they are omitted, the colors of the cells are kept.
+
+    Cells outside of the layer are skipped. Returns the number of cells that were changed.
+
+    @param {number} x
+    @param {number} y
+    @param {string} text
+    @param {Color | string | number[]} [fg]
+    @param {Color | string | number[]} [bg]
+    @param {{codepage?: Codepage | string}} [options]
+    @returns {number}
+  **/
+  drawText(x, y, text, fg, bg, options = {}) {
+    expectIntegers({x, y});
+    fg = drawingColor(fg, "fg");
+    bg = drawingColor(bg, "bg");
+    let codepage = resolveCodepage(options.codepage);
+    let unmapped = codepage.fromUnicode("?");
+    if (unmapped === null) unmapped = 63;
+
+    let changed = 0;
+    let cx = x;
+    for (let char of String(text)) {
+      if (char === "\n") {
+        cx = x;
+        y++;
+        continue;
+      }
+
+      let code = codepage.fromUnicode(char);
+      if (this.verifyCoordinates(cx, y)) {
+        if (this._writeCell(cx + this.width * y, code === null ? unmapped : code, fg, bg)) changed++;
+      }
+      cx++;
+    }
+
+    return changed;
+  }
+
+  /**
+    Draws a line of `pixel` from `(x0, y0)` to `(x1, y1)`, both ends included, using Bresenham's algorithm.
+    If `options.autoJoin` is true, `Layer::autoJoinLines` is then called around the line.
+    Cells outside of the layer are skipped. Returns the number of cells that were changed.
+
+    @param {number} x0
+    @param {number} y0
+    @param {number} x1
+    @param {number} y1
+    @param {Pixel} pixel
+    @param {{autoJoin?: boolean}} [options]
+    @returns {number}
+  **/
+  drawLine(x0, y0, x1, y1, pixel, options = {}) {
+    expectIntegers({x0, y0, x1, y1});
+    expectPixel(pixel);
+    let region = {x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0) + 1, height: Math.abs(y1 - y0) + 1};
+    return this._drawJoined(region, options.autoJoin, () => this._drawLine(x0, y0, x1, y1, pixel));
+  }
+
+  /**
+    Fills the rectangle of size `w` by `h` whose top-left corner is `(x, y)` with `pixel`.
+    Cells outside of the layer are skipped. Returns the number of cells that were changed.
+
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @param {Pixel} pixel
+    @returns {number}
+  **/
+  fillRect(x, y, w, h, pixel) {
+    expectIntegers({x, y, w, h});
+    expectPixel(pixel);
+
+    let changed = 0;
+    for (let cy = Math.max(y, 0); cy < Math.min(y + h, this.height); cy++) {
+      for (let cx = Math.max(x, 0); cx < Math.min(x + w, this.width); cx++) {
+        if (this._writePixel(cx + this.width * cy, pixel)) changed++;
+      }
+    }
+    return changed;
+  }
+
+  /**
+    Draws the outline of the rectangle of size `w` by `h` whose top-left corner is `(x, y)` with `pixel`.
+    If `options.autoJoin` is true, `Layer::autoJoinLines` is then called around the rectangle.
+    Cells outside of the layer are skipped. Returns the number of cells that were changed.
+
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @param {Pixel} pixel
+    @param {{autoJoin?: boolean}} [options]
+    @returns {number}
+  **/
+  strokeRect(x, y, w, h, pixel, options = {}) {
+    expectIntegers({x, y, w, h});
+    expectPixel(pixel);
+    return this._drawJoined({x, y, width: w, height: h}, options.autoJoin, () => {
+      return this._strokeRect(x, y, w, h, () => [pixel.asciiCode, pixel.fg, pixel.bg]);
+    });
+  }
+
+  /**
+    Draws a box of size `w` by `h` whose top-left corner is `(x, y)`, using the box-drawing characters of CP437.
+
+    `options.style` is one of "single" (the default, `┌─┐`), "double" (`╔═╗`) or "heavy-shade" (`▓`).
+    Boxes that are one cell high or wide are drawn as a line (`─` or `│`), and a 1 by 1 box is drawn as a small square (`■`, or `▓` for "heavy-shade").
+    `options.fg` and `options.bg` are the colors of the box; if they are omitted, the colors of the cells are kept.
+    If `options.fill` is a `Pixel`, the inside of the box is filled with it.
+    If `options.autoJoin` is true, `Layer::autoJoinLines` is then called around the box, joining it to the lines it touches.
+
+    Cells outside of the layer are skipped. Returns the number of cells that were changed.
+
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @param {{style?: "single" | "double" | "heavy-shade", fg?: Color | string | number[], bg?: Color | string | number[], fill?: Pixel, autoJoin?: boolean}} [options]
+    @returns {number}
+  **/
+  drawBox(x, y, w, h, options = {}) {
+    expectIntegers({x, y, w, h});
+    let style = options.style || "single";
+    let glyphs = BOX_STYLES[style];
+    if (!glyphs) throw new Error(`Expected 'style' to be one of ${Object.keys(BOX_STYLES).join(", ")}, got ${style}`);
+
+    let fg = drawingColor(options.fg, "fg");
+    let bg = drawingColor(options.bg, "bg");
+    if (options.fill !== undefined) expectPixel(options.fill);
+
+    return this._drawJoined({x, y, width: w, height: h}, options.autoJoin, () => this._drawBox(x, y, w, h, glyphs, fg, bg, options.fill));
+  }
+
+  /**
+    Replaces each box-drawing character (`─│┌╬╞`, etc.) of `region` with the one that joins it to its four neighbors:
+    a line is drawn towards a neighbor if it is a box-drawing character and either of them has a stroke towards the other,
+    so that `│` next to `─` becomes `├`, and `═` under `│` becomes `╧`, for instance.
+
+    A character keeps the weight (single or double) of its own strokes, and takes the weight of its neighbors for the new ones.
+    Characters with no neighbor to join to are left as is, and the neighbors outside of `region` are taken into account.
+
+    `region` defaults to the whole layer. Returns the number of cells that were changed.
+
+    @param {{x: number, y: number, width: number, height: number}} [region]
+    @returns {number}
+  **/
+  autoJoinLines(region = {x: 0, y: 0, width: this.width, height: this.height}) {
+    for (let key of ["x", "y", "width", "height"]) {
+      if (!Number.isInteger(region[key])) throw new Error(`Expected 'region.${key}' to be an integer, got ${region[key]}`);
+    }
+
+    let glyphs = this.glyphs.slice();
+    let strokes = (x, y) => this.verifyCoordinates(x, y) ? BOX_DRAWING[glyphs[x + this.width * y]] : undefined;
+
+    let changed = 0;
+    for (let y = Math.max(region.y, 0); y < Math.min(region.y + region.height, this.height); y++) {
+      for (let x = Math.max(region.x, 0); x < Math.min(region.x + region.width, this.width); x++) {
+        let own = strokes(x, y);
+        if (!own) continue;
+
+        let vertical = Math.max(own[0], own[1]);
+        let horizontal = Math.max(own[2], own[3]);
+        let neighbors = [strokes(x, y - 1), strokes(x, y + 1), strokes(x - 1, y), strokes(x + 1, y)];
+
+        // A neighbor is joined if either it or this cell has a stroke towards the other
+        let joins = neighbors.map((neighbor, direction) => neighbor ? neighbor[direction ^ 1] || own[direction] : 0);
+        if (joins.every(weight => weight === 0)) continue;
+
+        // Dead ends are drawn as straight lines
+        if (joins[0] || joins[1]) vertical = vertical || Math.max(joins[0], joins[1]);
+        if (joins[2] || joins[3]) horizontal = horizontal || Math.max(joins[2], joins[3]);
+        if (!joins[2] && !joins[3] && !joins[0] !== !joins[1]) {
+          joins[0] = joins[1] = vertical;
+        } else if (!joins[0] && !joins[1] && !joins[2] !== !joins[3]) {
+          joins[2] = joins[3] = horizontal;
+        }
+
+        let key = [
+          joins[0] && vertical,
+          joins[1] && vertical,
+          joins[2] && horizontal,
+          joins[3] && horizontal
+        ].join(",");
+        let glyph = BOX_DRAWING_GLYPHS.get(key);
+        if (this.glyphs[x + this.width * y] !== glyph) {
+          this.glyphs[x + this.width * y] = glyph;
+          changed++;
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+    Draws a box using `glyphs` (one of the values of `BOX_STYLES`), filling it with `fill` if it isn't undefined.
+    Returns the number of cells that were changed.
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @param {Object<string, number>} glyphs
+    @param {Color | null} fg
+    @param {Color | null} bg
+    @param {Pixel} [fill]
+    @returns {number}
+  **/
+  _drawBox(x, y, w, h, glyphs, fg, bg, fill) {
+    let changed = this._strokeRect(x, y, w, h, (cx, cy) => {
+      let top = cy === y;
+      let bottom = cy === y + h - 1;
+      let left = cx === x;
+      let right = cx === x + w - 1;
+      let glyph;
+
+      if (w === 1 && h === 1) glyph = glyphs.single;
+      else if (h === 1) glyph = glyphs.horizontal;
+      else if (w === 1) glyph = glyphs.vertical;
+      else if (top) glyph = left ? glyphs.topLeft : right ? glyphs.topRight : glyphs.horizontal;
+      else if (bottom) glyph = left ? glyphs.bottomLeft : right ? glyphs.bottomRight : glyphs.horizontal;
+      else glyph = glyphs.vertical;
+
+      return [glyph, fg, bg];
+    });
+
+    if (fill !== undefined) {
+      changed += this.fillRect(x + 1, y + 1, w - 2, h - 2, fill);
+    }
+
+    return changed;
+  }
+
+  /**
+    Replaces the area of cells connected to `(x, y)` (horizontally or vertically) that match the cell at `(x, y)` with `pixel`.
+
+    `options.match` tells which cells are part of the area: "glyph" matches the cells with the same glyph,
+    "bg" the cells with the same background color and "all" (the default) the cells that are identical.
+
+    Returns the number of cells that were changed, or 0 if `(x, y)` is outside of the layer.
+
+    @param {number} x
+    @param {number} y
+    @param {Pixel} pixel
+    @param {{match?: "glyph" | "bg" | "all"}} [options]
+    @returns {number}
+  **/
+  floodFill(x, y, pixel, options = {}) {
+    expectIntegers({x, y});
+    expectPixel(pixel);
+    let match = options.match || "all";
+    if (!["glyph", "bg", "all"].includes(match)) {
+      throw new Error("Expected 'match' to be one of glyph, bg, all, got " + match);
+    }
+    if (!this.verifyCoordinates(x, y)) return 0;
+
+    // Only the cells that were visited are written to, so the others still have their original values
+    let start = x + this.width * y;
+    let targetGlyph = this.glyphs[start];
+    let targetFg = this.fg.slice(3 * start, 3 * start + 3);
+    let targetBg = this.bg.slice(3 * start, 3 * start + 3);
+    let same = (i) => {
+      let glyph = this.glyphs[i] === targetGlyph;
+      let bg = this.bg[3 * i] === targetBg[0] && this.bg[3 * i + 1] === targetBg[1] && this.bg[3 * i + 2] === targetBg[2];
+      if (match === "glyph") return glyph;
+      if (match === "bg") return bg;
+      return glyph && bg && this.fg[3 * i] === targetFg[0] && this.fg[3 * i + 1] === targetFg[1] && this.fg[3 * i + 2] === targetFg[2];
+    };
+
+    let changed = 0;
+    let visited = new Uint8Array(this.width * this.height);
+    let stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      let i = stack.pop();
+      if (this._writePixel(i, pixel)) changed++;
+
+      let cx = i % this.width;
+      let cy = Math.floor(i / this.width);
+      let neighbors = [];
+      if (cx > 0) neighbors.push(i - 1);
+      if (cx < this.width - 1) neighbors.push(i + 1);
+      if (cy > 0) neighbors.push(i - this.width);
+      if (cy < this.height - 1) neighbors.push(i + this.width);
+
+      for (let n of neighbors) {
+        if (!visited[n] && same(n)) {
+          visited[n] = 1;
+          stack.push(n);
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+    Returns true if the background of the cell at index `i` is `this.transparentKey`, or magenta (#ff00ff) if it isn't set.
+    @param {number} i
+    @returns {boolean}
+  **/
+  _isTransparent(i) {
+    let key = this.transparentKey;
+    if (key === null) return this.bg[3 * i] === 255 && this.bg[3 * i + 1] === 0 && this.bg[3 * i + 2] === 255;
+    return this.bg[3 * i] === key.r && this.bg[3 * i + 1] === key.g && this.bg[3 * i + 2] === key.b;
+  }
+
+  /**
+    Returns true if the cell at index `i` is identical to the cell at index `j` of `src`.
+    @param {number} i
+    @param {Layer} src
+    @param {number} j
+    @returns {boolean}
+  **/
+  _sameCell(i, src, j) {
+    return this.glyphs[i] === src.glyphs[j]
+      && this.fg[3 * i] === src.fg[3 * j]
+      && this.fg[3 * i + 1] === src.fg[3 * j + 1]
+      && this.fg[3 * i + 2] === src.fg[3 * j + 2]
+      && this.bg[3 * i] === src.bg[3 * j]
+      && this.bg[3 * i + 1] === src.bg[3 * j + 1]
+      && this.bg[3 * i + 2] === src.bg[3 * j + 2];
+  }
+
+  /**
+    Replaces the cells of the layer with the `width` by `height` area whose top-left corner is `(x, y)`.
+    Cells of that area that are outside of the layer are set to `fillPixel`, or zeroed out if it is null.
+    Returns the layer.
+    @param {number} x
+    @param {number} y
+    @param {number} width
+    @param {number} height
+    @param {Pixel | null} fillPixel
+    @returns {Layer}
+  **/
+  _reshape(x, y, width, height, fillPixel) {
+    let res = new Layer(width, height);
+    if (fillPixel !== null) res.fill(fillPixel);
+    res.blit(this, -x, -y);
+
+    this.width = width;
+    this.height = height;
+    this.glyphs = res.glyphs;
+    this.fg = res.fg;
+    this.bg = res.bg;
+    return this;
+  }
+
+  /**
+    Replaces the cells of the layer with a new `width` by `height` grid, where the cell at `(x, y)` is a copy of the cell at index `source(x, y)`.
+    The glyphs that are keys of `glyphs` are replaced with the corresponding values. Returns the layer.
+    @param {number} width
+    @param {number} height
+    @param {(x: number, y: number) => number} source
+    @param {Object<number, number> | null} glyphs
+    @returns {Layer}
+  **/
+  _transform(width, height, source, glyphs) {
+    let res = new Layer(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let i = x + width * y;
+        let j = source(x, y);
+        res._copyCell(i, this, j);
+        if (glyphs && glyphs[this.glyphs[j]] !== undefined) res.glyphs[i] = glyphs[this.glyphs[j]];
+      }
+    }
+
+    this.width = width;
+    this.height = height;
+    this.glyphs = res.glyphs;
+    this.fg = res.fg;
+    this.bg = res.bg;
+    return this;
+  }
+
+  /**
+    Returns the bounding box of the cells for which `include` returns true (the non-transparent cells by default),
+    or null if there are none.
+    @param {(i: number, x: number, y: number) => boolean} [include]
+    @returns {{x: number, y: number, width: number, height: number} | null}
+  **/
+  _contentBounds(include = (i) => !this._isTransparent(i)) {
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (!include(x + this.width * y, x, y)) continue;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+      }
+    }
+
+    if (maxX < 0) return null;
+    return {x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1};
+  }
+
+  /**
+    Copies the cell at index `j` of `src` to the cell at index `i`.
+    @param {number} i
+    @param {Layer} src
+    @param {number} j
+  **/
+  _copyCell(i, src, j) {
+    this.glyphs[i] = src.glyphs[j];
+    this.fg[3 * i] = src.fg[3 * j];
+    this.fg[3 * i + 1] = src.fg[3 * j + 1];
+    this.fg[3 * i + 2] = src.fg[3 * j + 2];
+    this.bg[3 * i] = src.bg[3 * j];
+    this.bg[3 * i + 1] = src.bg[3 * j + 1];
+    this.bg[3 * i + 2] = src.bg[3 * j + 2];
+  }
+
+  /**
+    Draws the cell at index `j` of `src` over the cell at index `i`, following the `blendMode` and `opacity` of `src`.
+    If the cell at index `i` is transparent, it is replaced instead.
+    @param {number} i
+    @param {Layer} src
+    @param {number} j
+  **/
+  _blendCell(i, src, j) {
+    let mode = src.blendMode;
+    if (mode === "replace" || this._isTransparent(i)) {
+      this._copyCell(i, src, j);
+      return;
+    }
+
+    let opacity = src.opacity;
+    let mix = (array, k, value) => {
+      array[k] = Math.round(array[k] + (value - array[k]) * opacity);
+    };
+
+    if (mode === "glyph") {
+      this.glyphs[i] = src.glyphs[j];
+      for (let c = 0; c < 3; c++) this.fg[3 * i + c] = src.fg[3 * j + c];
+    } else if (mode === "tint") {
+      for (let c = 0; c < 3; c++) mix(this.bg, 3 * i + c, src.bg[3 * j + c]);
+    } else {
+      let blank = BLANK_GLYPHS.includes(src.glyphs[j]);
+      if (!blank && opacity >= 0.5) this.glyphs[i] = src.glyphs[j];
+      let fg = blank ? src.bg : src.fg;
+      for (let c = 0; c < 3; c++) {
+        mix(this.fg, 3 * i + c, fg[3 * j + c]);
+        mix(this.bg, 3 * i + c, src.bg[3 * j + c]);
+      }
+    }
+  }
+
+  /**
+    Draws a line of `pixel` from `(x0, y0)` to `(x1, y1)`, returning the number of cells that were changed.
+    @param {number} x0
+    @param {number} y0
+    @param {number} x1
+    @param {number} y1
+    @param {Pixel} pixel
+    @returns {number}
+  **/
+  _drawLine(x0, y0, x1, y1, pixel) {
+    let changed = 0;
+    let dx = Math.abs(x1 - x0);
+    let dy = -Math.abs(y1 - y0);
+    let sx = x0 < x1 ? 1 : -1;
+    let sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+
+    while (true) {
+      if (this.verifyCoordinates(x0, y0) && this._writePixel(x0 + this.width * y0, pixel)) changed++;
+      if (x0 === x1 && y0 === y1) break;
+
+      let e2 = 2 * error;
+      if (e2 >= dy) {
+        error += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        error += dx;
+        y0 += sy;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+    Calls `draw`, then `Layer::autoJoinLines` on `region` and its surroundings if `autoJoin` is true.
+    Returns the number of cells that were changed by both.
+    @param {{x: number, y: number, width: number, height: number}} region
+    @param {boolean} autoJoin
+    @param {() => number} draw
+    @returns {number}
+  **/
+  _drawJoined(region, autoJoin, draw) {
+    if (!autoJoin) return draw();
+    if (region.width <= 0 || region.height <= 0) return 0;
+
+    let glyphs = this.glyphs.slice();
+    let fg = this.fg.slice();
+    let bg = this.bg.slice();
+
+    draw();
+    let around = {x: region.x - 1, y: region.y - 1, width: region.width + 2, height: region.height + 2};
+    this.autoJoinLines(around);
+
+    let changed = 0;
+    for (let y = Math.max(around.y, 0); y < Math.min(around.y + around.height, this.height); y++) {
+      for (let x = Math.max(around.x, 0); x < Math.min(around.x + around.width, this.width); x++) {
+        let i = x + this.width * y;
+        if (glyphs[i] !== this.glyphs[i]
+          || fg[3 * i] !== this.fg[3 * i] || fg[3 * i + 1] !== this.fg[3 * i + 1] || fg[3 * i + 2] !== this.fg[3 * i + 2]
+          || bg[3 * i] !== this.bg[3 * i] || bg[3 * i + 1] !== this.bg[3 * i + 1] || bg[3 * i + 2] !== this.bg[3 * i + 2]
+        ) {
+          changed++;
+        }
+      }
+    }
+    return changed;
+  }
+
+  /**
+    Draws the outline of a rectangle, with `cell(x, y)` returning the `[glyph, fg, bg]` to write at `(x, y)`.
+    Returns the number of cells that were changed.
+    @param {number} x
+    @param {number} y
+    @param {number} w
+    @param {number} h
+    @param {(x: number, y: number) => Array} cell
+    @returns {number}
+  **/
+  _strokeRect(x, y, w, h, cell) {
+    if (w <= 0 || h <= 0) return 0;
+
+    let changed = 0;
+    for (let cy = y; cy < y + h; cy++) {
+      for (let cx = x; cx < x + w; cx++) {
+        if (cy !== y && cy !== y + h - 1 && cx !== x && cx !== x + w - 1) continue;
+        if (!this.verifyCoordinates(cx, cy)) continue;
+        if (this._writeCell(cx + this.width * cy, ...cell(cx, cy))) changed++;
+      }
+    }
+    return changed;
+  }
+
+  /**
+    Sets the cell at index `i` to `pixel`, returning true if the cell changed.
+    @param {number} i
+    @param {Pixel} pixel
+    @returns {boolean}
+  **/
+  _writePixel(i, pixel) {
+    return this._writeCell(i, pixel.asciiCode, pixel.fg, pixel.bg);
+  }
+
+  /**
+    Sets the glyph, foreground and background of the cell at index `i`, returning true if the cell changed.
+    If any of them is null, it is left as is.
+    @param {number} i
+    @param {number | null} glyph
+    @param {Color | null} fg
+    @param {Color | null} bg
+    @returns {boolean}
+  **/
+  _writeCell(i, glyph, fg, bg) {
+    let changed = false;
+    if (glyph !== null && this.glyphs[i] !== glyph) {
+      this.glyphs[i] = glyph;
+      changed = true;
+    }
+    if (fg !== null && writeColor(this.fg, i, fg)) changed = true;
+    if (bg !== null && writeColor(this.bg, i, bg)) changed = true;
+    return changed;
+  }
+
+  /**
+    Sets the cell at index `i` to `pixel`, without any check.
+    @param {number} i
+    @param {Pixel} pixel
+  **/
+  _setCell(i, pixel) {
+    this.glyphs[i] = pixel.asciiCode;
+    this.fg[3 * i] = pixel.fg.r;
+    this.fg[3 * i + 1] = pixel.fg.g;
+    this.fg[3 * i + 2] = pixel.fg.b;
+    this.bg[3 * i] = pixel.bg.r;
+    this.bg[3 * i + 1] = pixel.bg.g;
+    this.bg[3 * i + 2] = pixel.bg.b;
+  }
+}
+
+/**
+  The glyphs used by `Layer::drawBox` for each style.
+  @type {Object<string, {topLeft: number, topRight: number, bottomLeft: number, bottomRight: number, horizontal: number, vertical: number, single: number}>}
+**/
+const BOX_STYLES = {
+  "single": {topLeft: 218, topRight: 191, bottomLeft: 192, bottomRight: 217, horizontal: 196, vertical: 179, single: 254},
+  "double": {topLeft: 201, topRight: 187, bottomLeft: 200, bottomRight: 188, horizontal: 205, vertical: 186, single: 254},
+  "heavy-shade": {topLeft: 178, topRight: 178, bottomLeft: 178, bottomRight: 178, horizontal: 178, vertical: 178, single: 178}
+};
+
+/**
+  The strokes of the box-drawing characters of CP437, as `[up, down, left, right]` with 0 for none, 1 for single and 2 for double lines.
+  @type {Object<number, number[]>}
+**/
+const BOX_DRAWING = DEFAULT_FONT.BOX_DRAWING;
+
+/**
+  The box-drawing characters of CP437, indexed by their strokes joined with commas (`"up,down,left,right"`).
+  @type {Map<string, number>}
+**/
+const BOX_DRAWING_GLYPHS = new Map(Object.keys(BOX_DRAWING).map(code => [BOX_DRAWING[code].join(","), +code]));
+
+/**
+  Resolves a color argument of the drawing methods: null or undefined mean "keep the current color", anything else is passed to `Color.from`.
+
+  @param {Color | string | number[] | null} [color]
+  @param {string} name
+  @returns {Color | null}
+**/
+function drawingColor(color, name) {
+  if (color === undefined || color === null) return null;
+  let res = Color.from(color);
+  if (res === null) throw new Error(`Invalid '${name}' color: ${color}`);
+  return res;
+}
+
+/**
+  The anchors accepted by `Layer::resize`, as the fraction of the width and height of the layer that they are at.
+  @type {Object<string, number[]>}
+**/
+const ANCHORS = {
+  "top-left": [0, 0], "top": [0.5, 0], "top-right": [1, 0],
+  "left": [0, 0.5], "center": [0.5, 0.5], "right": [1, 0.5],
+  "bottom-left": [0, 1], "bottom": [0.5, 1], "bottom-right": [1, 1]
+};
+
+/**
+  The blend modes of `Image::mergeLayers`, see `BlendMode`.
+  @type {BlendMode[]}
+**/
+const BLEND_MODES = ["replace", "glyph", "tint", "alpha"];
+
+/**
+  The glyphs that draw nothing, which the "alpha" blend mode doesn't draw.
+  @type {number[]}
+**/
+const BLANK_GLYPHS = [0, 32, 255];
+
+/**
+  Throws if the `blendMode` or the `opacity` of `layer` is invalid.
+  @param {Layer} layer
+**/
+function expectBlending(layer) {
+  if (!BLEND_MODES.includes(layer.blendMode)) {
+    throw new Error(`Expected 'blendMode' to be one of ${BLEND_MODES.join(", ")}, got ${layer.blendMode}`);
+  }
+  if (typeof layer.opacity !== "number" || !(layer.opacity >= 0 && layer.opacity <= 1)) {
+    throw new Error("Expected 'opacity' to be a number between 0 and 1, got " + layer.opacity);
+  }
+}
+
+/**
+  Throws if any of the values of `args` isn't an integer.
+  @param {Object<string, number>} args
+**/
+function expectIntegers(args) {
+  for (let name in args) {
+    if (!Number.isInteger(args[name])) throw new Error(`Expected '${name}' to be an integer, got ${args[name]}`);
+  }
+}
+
+/**
+  Sets the color of the `i`-th cell of the packed RGB `array` to `color`, returning true if it changed.
+  @param {Uint8Array} array
+  @param {number} i
+  @param {Color} color
+  @returns {boolean}
+**/
+function writeColor(array, i, color) {
+  let r = color.r;
+  let g = color.g;
+  let b = color.b;
+  if (array[3 * i] === r && array[3 * i + 1] === g && array[3 * i + 2] === b) return false;
+  array[3 * i] = r;
+  array[3 * i + 1] = g;
+  array[3 * i + 2] = b;
+  return true;
+}
+
+/**
+  Throws if `pixel` isn't a `Pixel`.
+  @param {Pixel} pixel
+**/
+function expectPixel(pixel) {
+  if (!(pixel instanceof Pixel)) {
+    throw new Error("Invalid argument: expected `pixel` to be a Pixel, got " + pixel);
+  }
+}
+
+/**
+  Compiles `query` (see `CellQuery`) into a function telling whether the cell at index `i` of a layer matches it.
+  @param {CellQuery} query
+  @returns {(layer: Layer, i: number, x: number, y: number) => boolean}
+**/
+function cellMatcher(query) {
+  if (typeof query === "function") {
+    return (layer, i, x, y) => !!query(pixelView(layer, i), x, y);
+  }
+  if (!query || typeof query !== "object") {
+    throw new Error("Expected the query to be a function or an object with glyph, fg or bg, got " + query);
+  }
+
+  let glyph = query.glyph;
+  if (typeof glyph === "string") {
+    let code = [...glyph].length === 1 ? Pixel.fromUnicode(glyph) : null;
+    if (code === null) throw new Error(`Expected 'glyph' to be a single CP437 character, got "${glyph}"`);
+    glyph = code;
+  } else if (glyph !== undefined && !(Number.isInteger(glyph) && glyph >= 0)) {
+    throw new Error("Expected 'glyph' to be a character code or a character, got " + glyph);
+  }
+
+  let colors = [["fg", query.fg], ["bg", query.bg]].filter(([, color]) => color !== undefined).map(([name, value]) => {
+    let color = Color.from(value);
+    if (color === null) throw new Error(`Expected '${name}' to be a color, got ${value}`);
+    return [name, color];
+  });
+
+  return (layer, i) => {
+    if (glyph !== undefined && layer.glyphs[i] !== glyph) return false;
+    return colors.every(([name, color]) => layer[name][3 * i] === color.r
+      && layer[name][3 * i + 1] === color.g
+      && layer[name][3 * i + 2] === color.b);
+  };
+}
+
+/**
+  Creates a `Color` instance whose channels are stored in `array`, from index `offset` onwards.
+  Reading from or writing to it will read from or write to `array`.
+
+  @param {Uint8Array} array
+  @param {number} offset
+  @returns {Color}
+**/
+function colorView(array, offset) {
+  let res = Object.create(Color.prototype);
+  let channel = (name, index) => ({
+    enumerable: true,
+    get: () => array[offset + index],
+    set: (value) => {
+      value = +value;
+      if (!Number.isInteger(value) || value < 0 || value > 255) {
+        throw new Error(`Expected '${name}' to be a positive integer, got ${value}`);
+      }
+      array[offset + index] = value;
+    }
+  });
+
+  Object.defineProperties(res, {
+    _r: channel("r", 0),
+    _g: channel("g", 1),
+    _b: channel("b", 2)
+  });
+  return res;
+}
+
+/**
+  Creates a `Pixel` instance whose data is stored in the `i`-th cell of `layer`.
+  Reading from or writing to it will read from or write to `layer`.
+
+  @param {Layer} layer
+  @param {number} i
+  @returns {Pixel}
+**/
+function pixelView(layer, i) {
+  let res = Object.create(Pixel.prototype);
+  let fg = null;
+  let bg = null;
+
+  Object.defineProperties(res, {
+    fg: {
+      enumerable: true,
+      get: () => fg || (fg = colorView(layer.fg, 3 * i)),
+      set: (color) => {
+        if (!(color instanceof Color)) throw new Error("Invalid argument: expected `fg` to be a Color, got " + color);
+        layer.fg[3 * i] = color.r;
+        layer.fg[3 * i + 1] = color.g;
+        layer.fg[3 * i + 2] = color.b;
+      }
+    },
+    bg: {
+      enumerable: true,
+      get: () => bg || (bg = colorView(layer.bg, 3 * i)),
+      set: (color) => {
+        if (!(color instanceof Color)) throw new Error("Invalid argument: expected `bg` to be a Color, got " + color);
+        layer.bg[3 * i] = color.r;
+        layer.bg[3 * i + 1] = color.g;
+        layer.bg[3 * i + 2] = color.b;
+      }
+    },
+    asciiCode: {
+      enumerable: true,
+      get: () => layer.glyphs[i],
+      set: (char) => {
+        if (!Number.isInteger(char) || char < 0) throw new Error("Invalid character code: expected positive integer, got " + char);
+        layer.glyphs[i] = char;
+      }
+    }
+  });
+  return res;
+}
+
+class Pixel {
+  /**
+    Creates a new Pixel instance.
+    Expects `fg` and `bg` to be instances of `Color`.
+    Expects `char` to be a character integer.
+
+    @param {number} char
+    @param {Color} fg
     @param {Color} bg
   **/
-  constructor(char, fg, bg) {
-    if (fg instanceof Color) {
-      this.fg = fg;
+  constructor(char, fg, bg) {
+    if (fg instanceof Color) {
+      this.fg = fg;
+    } else {
+      throw new Error("Invalid argument: expected `fg` to be a Color, got " + fg);
+    }
+
+    if (bg instanceof Color) {
+      this.bg = bg;
+    } else {
+      throw new Error("Invalid argument: expected `fg` to be a Color, got " + fg);
+    }
+
+    if (typeof char === "number") {
+      if (Number.isInteger(char) && char >= 0) {
+        this.asciiCode = char;
+      } else {
+        throw new Error("Invalid character code: expected positive integer, got " + char);
+      }
+    } else {
+      throw new Error("Invalid argument: expected `char` to be a number, got " + typeof char);
+    }
+  }
+
+  /**
+    Creates a new Pixel instance from an existing Pixel instance or an array containing the foreground, background and ascii code.
+
+    If the `pixel` is an array, it will be interpreted as `[asciiCode, foregroundColor, backgroundColor]`.
+
+    On failure, returns null.
+    @param {Pixel} pixel
+    @returns {Pixel}
+  **/
+  static from(pixel) {
+    if (pixel instanceof Pixel) {
+      return new Pixel(pixel.asciiCode, Color.from(pixel.fg), Color.from(pixel.bg));
+    } else if (Array.isArray(pixel) && pixel.length === 3 && Number.isInteger(pixel[0]) && pixel[0] >= 0) {
+      let fg = Color.from(pixel[1]);
+      if (fg === null) return null;
+
+      let bg = Color.from(pixel[2]);
+      if (bg === null) return null;
+
+      return new Pixel(pixel[0], fg, bg);
+    }
+
+    return null;
+  }
+
+  /**
+    Returns the glyph code associated with the unicode character `char` in `codepage` (defaults to `Codepage.DEFAULT`), or null if there is none.
+    This is the reverse of `Pixel::unicodeChar`; CP437 also maps a few additional look-alike characters (like "β" for "ß").
+
+    @param {string} char
+    @param {Codepage | string} [codepage]
+    @returns {number | null}
+  **/
+  static fromUnicode(char, codepage) {
+    return resolveCodepage(codepage).fromUnicode(char);
+  }
+
+  /**
+    Returns the unicode char associated with `this.asciiCode` in `codepage` (defaults to `Codepage.DEFAULT`),
+    or an empty string if the codepage doesn't have one.
+
+    @param {Codepage | string} [codepage]
+    @returns {string}
+  **/
+  getUnicodeChar(codepage) {
+    let char = resolveCodepage(codepage).toUnicode(this.asciiCode);
+    return char === null ? '' : char;
+  }
+
+  /**
+    Returns the unicode char associated with `this.asciiCode` in `Codepage.DEFAULT` (CP437 unless changed), see `Pixel::getUnicodeChar`.
+    @returns {string}
+  **/
+  get unicodeChar() {
+    return this.getUnicodeChar();
+  }
+
+  /**
+    Returns the ANSI string associated with the current pixel.
+    The returned string contains the ANSI escape code for the foreground and background colors and the unicode character associated to `this.asciiCode` in `codepage` (see `Pixel::getUnicodeChar`).
+
+    The returned string does not clear the color afterwards!
+
+    @param {Codepage | string} [codepage]
+    @returns {string}
+  **/
+  getAnsiString(codepage) {
+    let foreground = `\x1b[38;2;${this.fg._r};${this.fg._g};${this.fg._b}m`;
+    let background = `\x1b[48;2;${this.bg._r};${this.bg._g};${this.bg._b}m`;
+    let char = this.getUnicodeChar(codepage);
+
+    return foreground + background + char;
+  }
+
+  /**
+    Returns the ANSI string associated with the current pixel, using `Codepage.DEFAULT`; see `Pixel::getAnsiString`.
+    @returns {string}
+  **/
+  get ansiString() {
+    return this.getAnsiString();
+  }
+
+  /**
+    Returns true if the background has as color magenta (#ff00ff).
+    @returns {boolean}
+  **/
+  get transparent() {
+    return this.bg.r === 255 && this.bg.g === 0 && this.bg.b === 255;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      asciiCode: this.asciiCode,
+      fg: this.fg.toJSON(),
+      bg: this.bg.toJSON(),
+      transparent: this.transparent
+    };
+  }
+}
+
+class Color {
+  /**
+    Creates a new Color instance.
+    Expects `r`, `g` and `b` to be integers from 0 to 255.
+
+    @param {number} r
+    @param {number} g
+    @param {number} b
+  **/
+  constructor(r, g, b) {
+    this._r = +r;
+    this._g = +g;
+    this._b = +b;
+
+    if (!Number.isInteger(this._r) || this._r < 0 || this._r > 255) throw new Error(`Expected 'r' to be a positive integer, got ${r}`);
+    if (!Number.isInteger(this._g) || this._g < 0 || this._g > 255) throw new Error(`Expected 'g' to be a positive integer, got ${g}`);
+    if (!Number.isInteger(this._b) || this._b < 0 || this._b > 255) throw new Error(`Expected 'b' to be a positive integer, got ${b}`);
+  }
+
+  /**
+    Creates a new Color instance from an existing Color instance, an RGB array or a hex color string.
+
+    If `color` is an RGB array, it will be interpreted as an array of 3 integers (floating numbers will be rounded down), representing the R, G and B channel.
+    The numerical values have to be between 0 and 255.
+
+    If `color` is an RGB hex color string, it will be parsed as such.
+
+    On failure, returns null.
+
+    @param {Color} color
+    @returns {Color}
+  **/
+  static from(color) {
+    if (color instanceof Color) {
+      return new Color(color._r, color._g, color._b);
+    } else if (Array.isArray(color) && color.length == 3 && color.every(x => typeof x === "number")) {
+      return new Color(Math.floor(color[0]), Math.floor(color[1]), Math.floor(color[2]));
+    } else if (typeof color === "string") {
+      let match = /^#?([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/.exec(color);
+      if (match) {
+        let r = Number.parseInt(match[1], 16);
+        let g = Number.parseInt(match[2], 16);
+        let b = Number.parseInt(match[3], 16);
+        return new Color(r, g, b);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {number}
+   */
+  get r() {
+    return this._r;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set r(value) {
+    this._r = +value;
+    if (!Number.isInteger(this._r) || this._r < 0 || this._r > 255) throw new Error(`Expected 'r' to be a positive integer, got ${value}`);
+  }
+
+  /**
+   * @returns {number}
+   */
+
+  get g() {
+    return this._g;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set g(value) {
+    this._g = +value;
+    if (!Number.isInteger(this._g) || this._g < 0 || this._g > 255) throw new Error(`Expected 'g' to be a positive integer, got ${value}`);
+  }
+
+  /**
+   * @returns {number}
+   */
+
+  get b() {
+    return this._b;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set b(value) {
+    this._b = +value;
+    if (!Number.isInteger(this._b) || this._b < 0 || this._b > 255) throw new Error(`Expected 'b' to be a positive integer, got ${value}`);
+  }
+
+  /**
+   * @returns {string}
+   */
+  get hex() {
+    return rgb2hex(this._r, this._g, this._b);
+  }
+
+  /**
+   * @param {string}
+   */
+  set hex(value) {
+    if (typeof value === "string") {
+      let match = /^#?([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/.exec(value);
+      if (match) {
+        this._r = Number.parseInt(match[1], 16);
+        this._g = Number.parseInt(match[2], 16);
+        this._b = Number.parseInt(match[3], 16);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      g: this._g,
+      b: this._b,
+      r: this._r,
+      hex: rgb2hex(this._r, this._g, this._b)
+    };
+  }
+}
+
+/**
+  Maps glyph codes to unicode characters and back, to turn layers into text and text into layers.
+  REXPaint's fonts use CP437 (`Codepage.CP437`), but custom fonts can put other glyphs in their tiles, and can have more than 256 of them:
+  their codepages are registered with `Codepage.register`, and are then selected per image with `Image::codepage` or per call with the `codepage` option.
+**/
+class Codepage {
+  /**
+    Creates a codepage called `name`, which maps the glyph codes of `table` to their unicode characters.
+    `table` is an array indexed by glyph code, an object whose keys are glyph codes or a `Map`; empty strings leave a glyph unmapped.
+    When several glyphs have the same character, that character is mapped back to the first one.
+
+    `options.base` is a codepage (or the name of a registered one) to fall back on for the glyphs that aren't in `table`,
+    and `options.aliases` maps additional unicode characters to glyph codes, which are only used to turn text into glyphs.
+
+    @param {string} name
+    @param {string[] | Object<number, string> | Map<number, string>} table
+    @param {{base?: Codepage | string, aliases?: Object<string, number> | Map<string, number>}} [options]
+  **/
+  constructor(name, table, options = {}) {
+    if (typeof name !== "string" || name === "") {
+      throw new Error("Expected 'name' to be a non-empty string, got " + name);
+    }
+
+    let entries = [];
+    if (Array.isArray(table)) {
+      table.forEach((char, code) => entries.push([code, char]));
+    } else if (table instanceof Map) {
+      entries = [...table];
+    } else if (table && typeof table === "object") {
+      entries = Object.keys(table).map(code => [Number(code), table[code]]);
+    } else {
+      throw new Error("Expected 'table' to be an array, an object or a Map, got " + table);
+    }
+
+    this.name = name;
+    /**
+      The codepage that glyphs not in this one are looked up in, or null.
+      @type {Codepage | null}
+    **/
+    this.base = options.base === undefined || options.base === null ? null : resolveCodepage(options.base);
+    /**
+      The unicode character of each glyph code of this codepage, without the ones of `this.base`.
+      @type {Map<number, string>}
+    **/
+    this.chars = new Map();
+    /**
+      The glyph code of each unicode character of this codepage, including the aliases but not the characters of `this.base`.
+      @type {Map<string, number>}
+    **/
+    this.codes = new Map();
+
+    for (let [code, char] of entries) {
+      if (!Number.isInteger(code) || code < 0) {
+        throw new Error(`Invalid glyph code in codepage "${name}": expected a positive integer, got ${code}`);
+      }
+      if (typeof char !== "string") {
+        throw new Error(`Invalid character for glyph ${code} in codepage "${name}": expected a string, got ${char}`);
+      }
+      if (char === "") continue;
+
+      this.chars.set(code, char);
+      if (!this.codes.has(char)) this.codes.set(char, code);
+    }
+
+    let aliases = options.aliases instanceof Map ? [...options.aliases] : Object.entries(options.aliases || {});
+    for (let [char, code] of aliases) {
+      if (!Number.isInteger(code) || code < 0) {
+        throw new Error(`Invalid glyph code for alias "${char}" in codepage "${name}": expected a positive integer, got ${code}`);
+      }
+      this.codes.set(char, code);
+    }
+  }
+
+  /**
+    Registers `codepage` under its name, so that it can be selected by name; a codepage with the same name is replaced.
+    Returns `codepage`.
+
+    @param {Codepage} codepage
+    @returns {Codepage}
+  **/
+  static register(codepage) {
+    if (!(codepage instanceof Codepage)) {
+      throw new Error("Invalid argument: expected `codepage` to be a Codepage, got " + codepage);
+    }
+    CODEPAGES.set(codepage.name, codepage);
+    return codepage;
+  }
+
+  /**
+    Returns the codepage registered as `name`, or null if there is none.
+
+    @param {string} name
+    @returns {Codepage | null}
+  **/
+  static get(name) {
+    return CODEPAGES.get(name) || null;
+  }
+
+  /**
+    Returns the names of the registered codepages.
+    @returns {string[]}
+  **/
+  static list() {
+    return [...CODEPAGES.keys()];
+  }
+
+  /**
+    Returns the unicode character of the glyph `code`, or null if neither this codepage nor its base have one.
+
+    @param {number} code
+    @returns {string | null}
+  **/
+  toUnicode(code) {
+    let char = this.chars.get(code);
+    if (char !== undefined) return char;
+    return this.base === null ? null : this.base.toUnicode(code);
+  }
+
+  /**
+    Returns the glyph code of the unicode character `char`, or null if there is none.
+    Characters of the base codepage are only used if this codepage doesn't redefine their glyph.
+
+    @param {string} char
+    @returns {number | null}
+  **/
+  fromUnicode(char) {
+    let code = this.codes.get(char);
+    if (code !== undefined) return code;
+    if (this.base === null) return null;
+
+    code = this.base.fromUnicode(char);
+    return code !== null && !this.chars.has(code) ? code : null;
+  }
+}
+
+/**
+  The registered codepages, by name.
+  @type {Map<string, Codepage>}
+**/
+const CODEPAGES = new Map();
+
+/**
+  Resolves a `codepage` option: a `Codepage` or the name of a registered one.
+  If it isn't set, the codepage of `source` is used if it is an `Image` that has one, and `Codepage.DEFAULT` otherwise.
+
+  @param {Codepage | string | null} [codepage]
+  @param {Image | Layer | null} [source]
+  @returns {Codepage}
+**/
+function resolveCodepage(codepage, source = null) {
+  if (codepage === undefined || codepage === null) {
+    if (source instanceof Image && source.codepage !== null && source.codepage !== undefined) {
+      return resolveCodepage(source.codepage);
+    }
+    return Codepage.DEFAULT;
+  }
+  if (codepage instanceof Codepage) return codepage;
+  if (typeof codepage === "string") {
+    let res = Codepage.get(codepage);
+    if (res === null) {
+      throw new Error(`Unknown codepage "${codepage}", expected one of ${Codepage.list().join(", ")}`);
+    }
+    return res;
+  }
+  throw new Error("Expected 'codepage' to be a Codepage or the name of a registered one, got " + codepage);
+}
+
+function rgb2hex(r, g, b) {
+    let sr = r.toString(16);
+    let sg = g.toString(16);
+    let sb = b.toString(16);
+
+    if (sr.length < 2) {
+        sr = '0' + sr;
+    }
+
+    if (sg.length < 2) {
+        sg = '0' + sg;
+    }
+
+    if (sb.length < 2) {
+        sb = '0' + sb;
+    }
+
+    return sr + sg + sb;
+}
+
+/**
+  Returns `source` if it is a `Layer`, or the result of merging the `layers` of `source` with `options` (see `Image::mergeLayers`) if it is an `Image`.
+  Throws if `source` is neither, or if no layers were selected.
+
+  @param {Image | Layer} source
+  @param {LayerOption} [layers]
+  @param {{transparentKey?: Color | string | number[]}} [options]
+  @returns {Layer}
+**/
+function flatten(source, layers = "all", options = {}) {
+  if (source instanceof Layer) return source;
+
+  if (source instanceof Image) {
+    let res = source.mergeLayers(layers, options);
+    if (res === null) throw new Error("Expected at least one layer to be selected, got " + layers);
+    return res;
+  }
+
+  throw new Error("Expected an Image or a Layer, got " + source);
+}
+
+class Font {
+  /**
+    Creates a new Font, made of `glyphCount` glyphs of `glyphWidth` by `glyphHeight` pixels.
+    `coverage` contains, for each glyph, the amount of foreground (from 0 to 255) of each of its pixels, row by row.
+
+    @param {number} glyphWidth
+    @param {number} glyphHeight
+    @param {Uint8Array} coverage
+  **/
+  constructor(glyphWidth, glyphHeight, coverage) {
+    if (!Number.isInteger(glyphWidth) || glyphWidth <= 0 || !Number.isInteger(glyphHeight) || glyphHeight <= 0) {
+      throw new Error(`Invalid glyph size: expected positive integers, got ${glyphWidth}x${glyphHeight}`);
+    }
+
+    this.glyphWidth = glyphWidth;
+    this.glyphHeight = glyphHeight;
+    this.glyphCount = Math.floor(coverage.length / (glyphWidth * glyphHeight));
+    this.coverage = coverage;
+  }
+
+  /**
+    Loads a font sheet from a PNG file, like the ones shipped with REXPaint.
+    The glyphs are laid out in a grid of `columns` by `rows` (16 by 16 by default), in CP437 order.
+
+    White (or opaque, if the sheet has transparency) pixels are foreground, black (or transparent) pixels are background.
+    The magenta color (#ff00ff) is also interpreted as background.
+
+    @param {BinaryData} buffer
+    @param {{columns?: number, rows?: number, compression?: string | CompressionBackend}} [options]
+    @returns {Font}
+  **/
+  static fromPng(buffer, options = {}) {
+    let columns = options.columns || 16;
+    let rows = options.rows || 16;
+    let bitmap = png.decode(toBytes(buffer), {compression: options.compression});
+
+    if (bitmap.width % columns !== 0 || bitmap.height % rows !== 0) {
+      throw new Error(`Expected the font sheet's size to be a multiple of ${columns}x${rows}, got ${bitmap.width}x${bitmap.height}`);
+    }
+
+    let glyphWidth = bitmap.width / columns;
+    let glyphHeight = bitmap.height / rows;
+    let data = bitmap.data;
+
+    let hasAlpha = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 255) {
+        hasAlpha = true;
+        break;
+      }
+    }
+
+    let coverage = new Uint8Array(bitmap.width * bitmap.height);
+    for (let code = 0; code < columns * rows; code++) {
+      let left = (code % columns) * glyphWidth;
+      let top = Math.floor(code / columns) * glyphHeight;
+
+      for (let y = 0; y < glyphHeight; y++) {
+        for (let x = 0; x < glyphWidth; x++) {
+          let o = ((left + x) + (top + y) * bitmap.width) * 4;
+          let [r, g, b, a] = [data[o], data[o + 1], data[o + 2], data[o + 3]];
+          let value = 0;
+
+          if (!(r === 255 && g === 0 && b === 255)) {
+            value = hasAlpha ? a : Math.round((r * 299 + g * 587 + b * 114) / 1000);
+          }
+          coverage[(code * glyphHeight + y) * glyphWidth + x] = value;
+        }
+      }
+    }
+
+    return new Font(glyphWidth, glyphHeight, coverage);
+  }
+
+  /**
+    Returns the amount of foreground, from 0 to 255, of the pixel `(x, y)` of the glyph `code`.
+    Glyphs outside of the font are blank.
+
+    @param {number} code
+    @param {number} x
+    @param {number} y
+    @returns {number}
+  **/
+  get(code, x, y) {
+    if (code >= this.glyphCount) return 0;
+    return this.coverage[(code * this.glyphHeight + y) * this.glyphWidth + x];
+  }
+}
+
+{
+  let coverage = new Uint8Array(256 * DEFAULT_FONT.WIDTH * DEFAULT_FONT.HEIGHT);
+  for (let i = 0; i < coverage.length; i++) {
+    let row = DEFAULT_FONT.DATA[i >> 3];
+    coverage[i] = row & (0x80 >> (i & 7)) ? 255 : 0;
+  }
+
+  /**
+    The built-in 8x8 CP437 font.
+    @type {Font}
+  **/
+  Font.DEFAULT = new Font(DEFAULT_FONT.WIDTH, DEFAULT_FONT.HEIGHT, coverage);
+}
+
+/**
+  Resolves the `font` option of the renderers: either a `Font`, a PNG font sheet or nothing (the default font).
+
+  @param {Font | BinaryData} [font]
+  @returns {Font}
+**/
+function resolveFont(font) {
+  if (font === undefined || font === null) return Font.DEFAULT;
+  if (font instanceof Font) return font;
+  if (font instanceof Uint8Array || font instanceof ArrayBuffer) return Font.fromPng(font);
+  throw new Error("Expected 'font' to be a Font or a PNG buffer, got " + font);
+}
+
+/**
+  Draws each cell of `layer` with `font`, returning an RGBA bitmap.
+  Transparent cells are left fully transparent.
+
+  @param {Layer} layer
+  @param {Font} font
+  @returns {{width: number, height: number, data: Uint8Array}}
+**/
+function rasterize(layer, font) {
+  let gw = font.glyphWidth;
+  let gh = font.glyphHeight;
+  let width = layer.width * gw;
+  let height = layer.height * gh;
+  let data = new Uint8Array(width * height * 4);
+
+  for (let cy = 0; cy < layer.height; cy++) {
+    for (let cx = 0; cx < layer.width; cx++) {
+      let i = cx + layer.width * cy;
+      if (layer._isTransparent(i)) continue;
+
+      let code = layer.glyphs[i];
+      let fg = layer.fg.subarray(3 * i, 3 * i + 3);
+      let bg = layer.bg.subarray(3 * i, 3 * i + 3);
+
+      for (let y = 0; y < gh; y++) {
+        for (let x = 0; x < gw; x++) {
+          let alpha = font.get(code, x, y);
+          let o = ((cx * gw + x) + (cy * gh + y) * width) * 4;
+          for (let c = 0; c < 3; c++) {
+            data[o + c] = bg[c] + Math.round((fg[c] - bg[c]) * alpha / 255);
+          }
+          data[o + 3] = 255;
+        }
+      }
+    }
+  }
+
+  return {width, height, data};
+}
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {Font | Buffer} [font] The font to draw the glyphs with, either a `Font` or a PNG font sheet. Defaults to `Font.DEFAULT`.
+ * @property {LayerOption} [layers] The layers to render, if an `Image` is given. Defaults to "all".
+ * @property {Color | string | number[]} [transparentKey] The background color of transparent cells when merging the layers of an `Image`, see `Image::mergeLayers`.
+ * @property {number} [level] The zlib compression level of the PNG file.
+ * @property {string | CompressionBackend} [compression] The compression backend to deflate the PNG data with, defaults to the one set with {@link setCompression}.
+ */
+
+/**
+  Renders an `Image` or a `Layer` as a PNG file, returning a `Buffer` with its content (an `Uint8Array` outside of Node).
+  The layers of an image are merged following the same rules as `Image::mergeLayers`;
+  cells that are still transparent afterwards are left transparent in the PNG file.
+
+  @param {Image | Layer} source
+  @param {RenderOptions} [options]
+  @returns {Buffer}
+**/
+function renderToPng(source, options = {}) {
+  let layer = flatten(source, options.layers, options);
+  let font = resolveFont(options.font);
+
+  return wrapBytes(png.encode(rasterize(layer, font), {level: options.level, compression: options.compression}));
+}
+
+/** The characters used as color keys in XPM files, excluding the ones that would need to be escaped in a C string. **/
+const XPM_KEYS = " .XoO+@#$%&*=-;:>,<1234567890qwertyuipasdfghjklzxcvbnmMNBVCZASDFGHJKLPIUYTREWQ!~^/()_`'][{}|";
+
+/**
+  Exports an `Image` or a `Layer` as an XPM3 image, returning the C source of the XPM file.
+  Each cell is drawn with `font` like `renderToPng` does, and cells that are still transparent after merging the layers become transparent pixels (`None`).
+
+  @param {Image | Layer} source
+  @param {{font?: Font | Buffer, layers?: LayerOption, transparentKey?: Color | string | number[], name?: string}} [options] `name` is the name of the C array, defaults to "image".
+  @returns {string}
+**/
+function toXPM(source, options = {}) {
+  let name = options.name === undefined ? "image" : options.name;
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error("Expected 'name' to be a valid C identifier, got " + name);
+  }
+
+  let bitmap = rasterize(flatten(source, options.layers, options), resolveFont(options.font));
+  let {width, height, data} = bitmap;
+
+  // Gather the distinct colors; transparent pixels are stored as null
+  let colors = new Map();
+  let indices = new Uint32Array(width * height);
+  for (let i = 0; i < indices.length; i++) {
+    let hex = data[4 * i + 3] === 0 ? null : rgb2hex(data[4 * i], data[4 * i + 1], data[4 * i + 2]);
+    if (!colors.has(hex)) colors.set(hex, colors.size);
+    indices[i] = colors.get(hex);
+  }
+
+  let charsPerPixel = 1;
+  while (XPM_KEYS.length ** charsPerPixel < colors.size) charsPerPixel++;
+  let keys = [];
+  for (let n = 0; n < colors.size; n++) {
+    let key = "";
+    for (let c = 0, rest = n; c < charsPerPixel; c++, rest = Math.floor(rest / XPM_KEYS.length)) {
+      key += XPM_KEYS[rest % XPM_KEYS.length];
+    }
+    keys.push(key);
+  }
+
+  let lines = [
+    "/* XPM */",
+    `static char *${name}[] = {`,
+    "/* columns rows colors chars-per-pixel */",
+    `"${width} ${height} ${colors.size} ${charsPerPixel}",`
+  ];
+  for (let [hex, n] of colors) {
+    lines.push(`"${keys[n]} c ${hex === null ? "None" : "#" + hex}",`);
+  }
+  lines.push("/* pixels */");
+  for (let y = 0; y < height; y++) {
+    let row = "";
+    for (let x = 0; x < width; x++) row += keys[indices[x + width * y]];
+    lines.push(`"${row}"${y < height - 1 ? "," : ""}`);
+  }
+  lines.push("};");
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @typedef {Object} AnsiOptions
+ * @property {24 | 8 | 4} [colorDepth] The number of bits per color supported by the terminal: 24 for truecolor, 8 for the 256-color palette and 4 for the 16-color palette. Defaults to 24.
+ * @property {"reset" | "keep" | Pixel} [transparent] How transparent cells are shown: "reset" (the default) prints a space with the terminal's default colors, "keep" prints them as-is and a `Pixel` prints that pixel instead.
+ * @property {Codepage | string} [codepage] The codepage used to turn the glyphs into characters, defaults to `Codepage.DEFAULT`.
+ */
+
+/**
+  The 16 colors of the ANSI palette, as `[r, g, b]`, using the VGA colors that ANSI art is usually drawn with.
+  The first 8 are the normal colors (SGR 30-37 and 40-47), the last 8 the bright colors (SGR 90-97 and 100-107).
+  @type {number[][]}
+**/
+const ANSI_PALETTE = [
+  [0, 0, 0], [170, 0, 0], [0, 170, 0], [170, 85, 0], [0, 0, 170], [170, 0, 170], [0, 170, 170], [170, 170, 170],
+  [85, 85, 85], [255, 85, 85], [85, 255, 85], [255, 255, 85], [85, 85, 255], [255, 85, 255], [85, 255, 255], [255, 255, 255]
+];
+
+/** The levels of each channel of the 6x6x6 color cube of the 256-color palette. **/
+const ANSI_CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/**
+  Returns the color of the 256-color palette at `index`, as `[r, g, b]`.
+
+  @param {number} index
+  @returns {number[]}
+**/
+function ansi256ToRgb(index) {
+  if (index < 16) return ANSI_PALETTE[index];
+  if (index < 232) {
+    index -= 16;
+    return [ANSI_CUBE_LEVELS[Math.floor(index / 36)], ANSI_CUBE_LEVELS[Math.floor(index / 6) % 6], ANSI_CUBE_LEVELS[index % 6]];
+  }
+  let gray = 8 + 10 * (index - 232);
+  return [gray, gray, gray];
+}
+
+function distanceSquared(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+  Returns the index of the color of the 256-color palette that is the nearest to `rgb`.
+  Only the color cube and the grayscale ramp are considered, since the first 16 colors depend on the terminal.
+
+  @param {number[]} rgb
+  @returns {number}
+**/
+function nearestAnsi256(rgb) {
+  let level = (value) => {
+    let best = 0;
+    for (let i = 1; i < ANSI_CUBE_LEVELS.length; i++) {
+      if (Math.abs(ANSI_CUBE_LEVELS[i] - value) < Math.abs(ANSI_CUBE_LEVELS[best] - value)) best = i;
+    }
+    return best;
+  };
+  let cube = 16 + 36 * level(rgb[0]) + 6 * level(rgb[1]) + level(rgb[2]);
+
+  let average = (rgb[0] + rgb[1] + rgb[2]) / 3;
+  let gray = 232 + Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+
+  return distanceSquared(ansi256ToRgb(gray), rgb) < distanceSquared(ansi256ToRgb(cube), rgb) ? gray : cube;
+}
+
+/**
+  Returns the index of the color of the 16-color palette that is the nearest to `rgb`.
+
+  @param {number[]} rgb
+  @returns {number}
+**/
+function nearestAnsi16(rgb) {
+  let best = 0;
+  for (let i = 1; i < ANSI_PALETTE.length; i++) {
+    if (distanceSquared(ANSI_PALETTE[i], rgb) < distanceSquared(ANSI_PALETTE[best], rgb)) best = i;
+  }
+  return best;
+}
+
+/**
+  Returns the SGR parameters that set the foreground (or background) color to `color`, approximated for `colorDepth`.
+
+  @param {Color} color
+  @param {24 | 8 | 4} colorDepth
+  @param {boolean} background
+  @returns {string}
+**/
+function ansiColor(color, colorDepth, background) {
+  let rgb = [color.r, color.g, color.b];
+  if (colorDepth === 24) {
+    return `${background ? 48 : 38};2;${rgb[0]};${rgb[1]};${rgb[2]}`;
+  } else if (colorDepth === 8) {
+    return `${background ? 48 : 38};5;${nearestAnsi256(rgb)}`;
+  } else {
+    let index = nearestAnsi16(rgb);
+    return String((index < 8 ? 30 : 82) + (background ? 10 : 0) + index);
+  }
+}
+
+/**
+ * @typedef {Object} AnsiImportOptions
+ * @property {number} [width] The width of the canvas, at which lines wrap. Defaults to the width stored in the SAUCE record, or 80.
+ * @property {boolean} [iceColors] Set to true to interpret the blink attribute as a bright background, like iCE color ANSI art does.
+ * @property {number} [maxHeight] The maximum number of rows of the canvas, defaults to `ANSI_MAX_HEIGHT` (10000). Files that draw below it throw.
+ */
+
+/** The default maximum height of the images imported by `fromAnsi`, which keeps cursor movements from allocating huge layers. **/
+const ANSI_MAX_HEIGHT = 10000;
+
+/**
+  Reads the SAUCE record at the end of `buffer`, if there is one.
+  Returns the length of the content before the record (and its comments), along with the width and height it stores (0 if unknown).
+
+  @param {Uint8Array} buffer
+  @returns {{length: number, width: number, height: number}}
+**/
+function readSauce(buffer) {
+  let res = {length: buffer.length, width: 0, height: 0};
+  if (buffer.length < 128) return res;
+
+  let start = buffer.length - 128;
+  let id = String.fromCharCode(...buffer.subarray(start, start + 7));
+  if (id !== "SAUCE00") return res;
+
+  res.length = start;
+  let dataType = buffer[start + 94];
+  if (dataType === 1) {
+    // Character data: TInfo1 and TInfo2 are the width and height
+    res.width = buffer[start + 96] | (buffer[start + 97] << 8);
+    res.height = buffer[start + 98] | (buffer[start + 99] << 8);
+  }
+
+  let comments = buffer[start + 104];
+  let commentStart = start - 5 - 64 * comments;
+  if (comments > 0 && commentStart >= 0 && String.fromCharCode(...buffer.subarray(commentStart, commentStart + 5)) === "COMNT") {
+    res.length = commentStart;
+  }
+
+  return res;
+}
+
+/**
+  Converts an ANSI art file (usually with the `.ans` extension) into an `Image` with a single layer.
+
+  The bytes of the file are interpreted as CP437 characters, and the following escape sequences are supported:
+  SGR colors (16 colors, with bold as bright, 256 colors and truecolor), reverse video, cursor positioning and movement (`H`, `f`, `A`, `B`, `C`, `D`, `E`, `F`, `G`), saving and restoring the cursor (`s`, `u`).
+  Other escape sequences are ignored. Lines wrap at the canvas' width, and everything after the end-of-file character (0x1a) is ignored.
+  Throws if the canvas would be taller than `options.maxHeight`.
+
+  @param {Uint8Array} buffer
+  @param {AnsiImportOptions} [options]
+  @returns {Image}
+**/
+function fromAnsi(buffer, options = {}) {
+  if (!(buffer instanceof Uint8Array)) {
+    throw new Error("Expected 'buffer' to be a Buffer or an Uint8Array, got " + buffer);
+  }
+
+  let sauce = readSauce(buffer);
+  let width = options.width || sauce.width || 80;
+  if (!Number.isInteger(width) || width <= 0) {
+    throw new Error("Expected 'width' to be a positive integer, got " + width);
+  }
+  let maxHeight = options.maxHeight === undefined ? ANSI_MAX_HEIGHT : options.maxHeight;
+  if (!Number.isInteger(maxHeight) || maxHeight <= 0) {
+    throw new Error("Expected 'maxHeight' to be a positive integer, got " + maxHeight);
+  }
+  let expectHeight = (height) => {
+    if (height > maxHeight) {
+      throw new Error(`The ANSI art is ${height} rows high, which is more than 'maxHeight' (${maxHeight})`);
+    }
+  };
+  expectHeight(sauce.height);
+
+  let end = buffer.indexOf(0x1a);
+  if (end === -1 || end > sauce.length) end = sauce.length;
+
+  // Colors are either an index in the 16-color palette (so that bold can turn them bright) or an [r, g, b] array
+  const DEFAULT_FG = 7;
+  const DEFAULT_BG = 0;
+  let fg = DEFAULT_FG;
+  let bg = DEFAULT_BG;
+  let bold = false;
+  let blink = false;
+  let reverse = false;
+
+  let rows = [];
+  let x = 0;
+  let y = 0;
+  let saved = [0, 0];
+
+  let resolve = (color, bright) => {
+    if (Array.isArray(color)) return color;
+    return ANSI_PALETTE[bright && color < 8 ? color + 8 : color];
+  };
+
+  let put = (code) => {
+    if (x >= width) {
+      x = 0;
+      y++;
+    }
+    expectHeight(y + 1);
+
+    let front = resolve(fg, bold);
+    let back = resolve(bg, blink && options.iceColors);
+    if (reverse) [front, back] = [back, front];
+
+    if (!rows[y]) rows[y] = [];
+    rows[y][x] = [code, front, back];
+    x++;
+  };
+
+  let sgr = (params) => {
+    if (params.length === 0) params = [0];
+
+    for (let i = 0; i < params.length; i++) {
+      let p = params[i];
+      if (p === 0) {
+        fg = DEFAULT_FG;
+        bg = DEFAULT_BG;
+        bold = blink = reverse = false;
+      } else if (p === 1) {
+        bold = true;
+      } else if (p === 5 || p === 6) {
+        blink = true;
+      } else if (p === 7) {
+        reverse = true;
+      } else if (p === 22) {
+        bold = false;
+      } else if (p === 25) {
+        blink = false;
+      } else if (p === 27) {
+        reverse = false;
+      } else if (p >= 30 && p <= 37) {
+        fg = p - 30;
+      } else if (p === 39) {
+        fg = DEFAULT_FG;
+      } else if (p >= 40 && p <= 47) {
+        bg = p - 40;
+      } else if (p === 49) {
+        bg = DEFAULT_BG;
+      } else if (p >= 90 && p <= 97) {
+        fg = p - 90 + 8;
+      } else if (p >= 100 && p <= 107) {
+        bg = p - 100 + 8;
+      } else if (p === 38 || p === 48) {
+        let color = null;
+        if (params[i + 1] === 5 && i + 2 < params.length) {
+          color = ansi256ToRgb(Math.min(params[i + 2], 255));
+          i += 2;
+        } else if (params[i + 1] === 2 && i + 4 < params.length) {
+          color = params.slice(i + 2, i + 5).map(c => Math.min(c, 255));
+          i += 4;
+        }
+        if (color === null) break;
+        if (p === 38) fg = color;
+        else bg = color;
+      }
+    }
+  };
+
+  let offset = 0;
+  while (offset < end) {
+    let byte = buffer[offset++];
+
+    if (byte === 0x1b && buffer[offset] === 0x5b) {
+      // Control Sequence Introducer: ESC [ <parameters> <final byte>
+      let start = ++offset;
+      while (offset < end && (buffer[offset] < 0x40 || buffer[offset] > 0x7e)) offset++;
+      if (offset >= end) break;
+
+      let raw = String.fromCharCode(...buffer.subarray(start, offset));
+      let command = String.fromCharCode(buffer[offset++]);
+      if (/[^0-9;]/.test(raw)) continue; // private sequences, like ESC[?7h
+      let params = raw === "" ? [] : raw.split(";").map(p => p === "" ? 0 : Number.parseInt(p, 10));
+      let n = params[0] || 1;
+
+      if (command === "m") {
+        sgr(params);
+      } else if (command === "H" || command === "f") {
+        y = Math.max((params[0] || 1) - 1, 0);
+        x = Math.min(Math.max((params[1] || 1) - 1, 0), width - 1);
+      } else if (command === "A") {
+        y = Math.max(y - n, 0);
+      } else if (command === "B") {
+        y += n;
+      } else if (command === "C") {
+        x = Math.min(x + n, width - 1);
+      } else if (command === "D") {
+        x = Math.max(Math.min(x, width - 1) - n, 0);
+      } else if (command === "E") {
+        y += n;
+        x = 0;
+      } else if (command === "F") {
+        y = Math.max(y - n, 0);
+        x = 0;
+      } else if (command === "G") {
+        x = Math.min(n - 1, width - 1);
+      } else if (command === "s") {
+        saved = [x, y];
+      } else if (command === "u") {
+        [x, y] = saved;
+      }
+    } else if (byte === 0x0d) {
+      x = 0;
+    } else if (byte === 0x0a) {
+      x = 0;
+      y++;
+    } else if (byte === 0x09) {
+      x = Math.min((Math.floor(x / 8) + 1) * 8, width);
     } else {
-      throw new Error("Invalid argument: expected `fg` to be a Color, got " + fg);
+      put(byte);
     }
+  }
 
-    if (bg instanceof Color) {
-      this.bg = bg;
+  let height = Math.max(rows.length, sauce.height, 1);
+  let layer = new Layer(width, height);
+  layer.fill(new Pixel(32, Color.from(ANSI_PALETTE[DEFAULT_FG]), Color.from(ANSI_PALETTE[DEFAULT_BG])));
+  rows.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      if (!cell) return;
+      let i = x + width * y;
+      layer.glyphs[i] = cell[0];
+      layer.fg.set(cell[1], 3 * i);
+      layer.bg.set(cell[2], 3 * i);
+    });
+  });
+
+  let res = new Image(-1);
+  res.layers.push(layer);
+  return res;
+}
+
+/** The header of the CSV files exported by REXPaint. **/
+const CSV_HEADER = "x,y,glyph,fg,bg";
+
+/**
+  Parses a layer exported as CSV by REXPaint (see `Image::toCSV`), returning an `Image` with a single layer.
+  Each line should contain the coordinates, the CP437 code and the foreground and background colors (as hex strings) of a cell; the header line is optional.
+
+  The size of the layer is given by the `width` and `height` options, and otherwise inferred from the cells.
+  Cells that aren't in the file are left transparent.
+
+  @param {string} text
+  @param {{width?: number, height?: number}} [options]
+  @returns {Image}
+**/
+function fromCSV(text, options = {}) {
+  if (typeof text !== "string") {
+    throw new Error("Expected 'text' to be a string, got " + text);
+  }
+
+  let cells = [];
+  let width = 0;
+  let height = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    line = line.trim();
+    if (line === "" || (index === 0 && line.replace(/\s/g, "") === CSV_HEADER)) return;
+
+    let fields = line.split(",").map(field => field.trim());
+    let [x, y, glyph] = fields.slice(0, 3).map(field => /^\d+$/.test(field) ? Number.parseInt(field, 10) : NaN);
+    let fg = Color.from(fields[3]);
+    let bg = Color.from(fields[4]);
+
+    if (fields.length !== 5 || Number.isNaN(x) || Number.isNaN(y) || Number.isNaN(glyph) || fg === null || bg === null) {
+      throw new Error(`Invalid CSV cell on line ${index + 1}: expected 'x,y,glyph,fg,bg', got '${line}'`);
+    }
+
+    cells.push([x, y, new Pixel(glyph, fg, bg)]);
+    width = Math.max(width, x + 1);
+    height = Math.max(height, y + 1);
+  });
+
+  width = options.width === undefined ? width : options.width;
+  height = options.height === undefined ? height : options.height;
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    throw new Error(`Invalid layer size: expected positive integers, got ${width}x${height}`);
+  }
+
+  let layer = new Layer(width, height).fill(Pixel.TRANSPARENT);
+  for (let [x, y, pixel] of cells) {
+    if (!layer.set(x, y, pixel)) {
+      throw new Error(`Invalid CSV cell: (${x}, ${y}) is outside of the ${width}x${height} layer`);
+    }
+  }
+
+  let res = new Image(-1);
+  res.layers.push(layer);
+  return res;
+}
+
+/**
+  Parses a small subset of XML: elements, attributes, text, comments, CDATA sections, processing instructions and the predefined entities.
+  Returns the root element, as `{name, attributes, children}`; text nodes are strings.
+
+  @param {string} text
+  @returns {{name: string, attributes: Object<string, string>, children: Array}}
+**/
+function parseXML(text) {
+  let offset = 0;
+  let root = null;
+  let stack = [];
+
+  let fail = (message) => {
+    let line = text.slice(0, offset).split("\n").length;
+    throw new Error(`Invalid XML on line ${line}: ${message}`);
+  };
+  let decode = (value) => value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (_, entity) => {
+    if (entity[0] === "#") {
+      return String.fromCodePoint(entity[1] === "x" ? Number.parseInt(entity.slice(2), 16) : Number.parseInt(entity.slice(1), 10));
+    }
+    return {amp: "&", lt: "<", gt: ">", quot: '"', apos: "'"}[entity];
+  });
+  let skip = (terminator) => {
+    let end = text.indexOf(terminator, offset);
+    if (end === -1) fail(`expected '${terminator}'`);
+    let res = text.slice(offset, end);
+    offset = end + terminator.length;
+    return res;
+  };
+
+  while (offset < text.length) {
+    if (text.startsWith("<?", offset) || text.startsWith("<!--", offset)) {
+      skip(text.startsWith("<?", offset) ? "?>" : "-->");
+    } else if (text.startsWith("<![CDATA[", offset)) {
+      offset += 9;
+      let data = skip("]]>");
+      if (stack.length > 0) stack[stack.length - 1].children.push(data);
+    } else if (text.startsWith("<!", offset)) {
+      skip(">");
+    } else if (text.startsWith("</", offset)) {
+      offset += 2;
+      let name = skip(">").trim();
+      let element = stack.pop();
+      if (!element || element.name !== name) fail(`unexpected closing tag '</${name}>'`);
+    } else if (text[offset] === "<") {
+      let match = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(offset));
+      if (!match) fail("malformed tag");
+
+      let element = {name: match[1], attributes: {}, children: []};
+      let attribute = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let part;
+      while ((part = attribute.exec(match[2])) !== null) {
+        element.attributes[part[1]] = decode(part[2] === undefined ? part[3] : part[2]);
+      }
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root === null) {
+        root = element;
+      } else {
+        fail("expected a single root element");
+      }
+
+      offset += match[0].length;
+      if (match[3] !== "/") stack.push(element);
     } else {
-      throw new Error("Invalid argument: expected `fg` to be a Color, got " + fg);
+      let end = text.indexOf("<", offset);
+      if (end === -1) end = text.length;
+      let content = decode(text.slice(offset, end));
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(content);
+      } else if (content.trim() !== "") {
+        fail("unexpected text outside of the root element");
+      }
+      offset = end;
+    }
+  }
+
+  if (stack.length > 0) fail(`unclosed tag '<${stack[stack.length - 1].name}>'`);
+  if (root === null) fail("missing root element");
+  return root;
+}
+
+/**
+  Parses an image exported as XML by REXPaint (see `Image::toXML`), returning the corresponding `Image`.
+  Throws an error describing the problem if the document doesn't match the expected structure, for instance if a layer or a cell is missing.
+
+  @param {string} text
+  @returns {Image}
+**/
+function fromXML(text) {
+  if (typeof text !== "string") {
+    throw new Error("Expected 'text' to be a string, got " + text);
+  }
+
+  let root = parseXML(text);
+  if (root.name !== "image") throw new Error(`Expected the root element to be <image>, got <${root.name}>`);
+
+  let integer = (element, name, description) => {
+    let value = element.attributes[name];
+    if (value === undefined || !/^-?\d+$/.test(value.trim())) {
+      throw new Error(`Expected ${description} to have an integer '${name}' attribute, got ${value}`);
     }
+    return Number.parseInt(value, 10);
+  };
+  let elements = (element, name) => element.children.filter(child => typeof child !== "string" && child.name === name);
 
-    if (typeof char === "number") {
-      if (Number.isInteger(char) && char >= 0) {
-        this.asciiCode = char;
+  let version = root.attributes.version === undefined ? -1 : integer(root, "version", "<image>");
+  let width = integer(root, "width", "<image>");
+  let height = integer(root, "height", "<image>");
+  let layerCount = integer(root, "layers", "<image>");
+
+  let layers = elements(root, "layer");
+  if (layers.length !== layerCount) {
+    throw new Error(`Expected ${layerCount} layers, got ${layers.length}`);
+  }
+
+  let res = new Image(version);
+  layers.forEach((element, l) => {
+    // Layers may override the size of the image
+    let layerWidth = element.attributes.width === undefined ? width : integer(element, "width", `layer ${l}`);
+    let layerHeight = element.attributes.height === undefined ? height : integer(element, "height", `layer ${l}`);
+
+    let rows = elements(element, "row");
+    if (rows.length !== layerHeight) {
+      throw new Error(`Missing rows in layer ${l}: expected ${layerHeight}, got ${rows.length}`);
+    }
+
+    let layer = new Layer(layerWidth, layerHeight);
+    rows.forEach((row, y) => {
+      let cells = elements(row, "cell");
+      if (cells.length !== layerWidth) {
+        throw new Error(`Missing cells in layer ${l}, row ${y}: expected ${layerWidth}, got ${cells.length}`);
+      }
+
+      cells.forEach((cell, x) => {
+        let description = `the cell (${x}, ${y}) of layer ${l}`;
+        let ascii = integer(cell, "ascii", description);
+        let fg = Color.from(cell.attributes.fg);
+        let bg = Color.from(cell.attributes.bg);
+        if (ascii < 0) throw new Error(`Invalid 'ascii' attribute for ${description}: ${ascii}`);
+        if (fg === null) throw new Error(`Invalid 'fg' attribute for ${description}: ${cell.attributes.fg}`);
+        if (bg === null) throw new Error(`Invalid 'bg' attribute for ${description}: ${cell.attributes.bg}`);
+
+        layer.set(x, y, new Pixel(ascii, fg, bg));
+      });
+    });
+
+    res.layers.push(layer);
+  });
+
+  return res;
+}
+
+/**
+  Escapes the characters of `text` that have a special meaning in HTML.
+
+  @param {string} text
+  @returns {string}
+**/
+function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, (char) => ({"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"})[char]);
+}
+
+/**
+  Splits the `y`-th row of `layer` into runs of neighboring cells that have the same `key`.
+  Cells for which `key` returns null are transparent, and are grouped together too.
+
+  @param {Layer} layer
+  @param {number} y
+  @param {(i: number) => string | null} key
+  @param {Codepage} codepage
+  @returns {{key: string | null, text: string, index: number}[]} The runs, with the index of their first cell.
+**/
+function rowRuns(layer, y, key, codepage) {
+  let runs = [];
+  for (let x = 0; x < layer.width; x++) {
+    let i = x + layer.width * y;
+    let k = key(i);
+    let char = k === null ? " " : codepage.toUnicode(layer.glyphs[i]) || " ";
+
+    if (runs.length > 0 && runs[runs.length - 1].key === k) {
+      runs[runs.length - 1].text += char;
+    } else {
+      runs.push({key: k, text: char, index: i});
+    }
+  }
+  return runs;
+}
+
+/**
+ * @typedef {Object} HTMLOptions
+ * @property {LayerOption} [layers] The layers to export, if an `Image` is given. Defaults to "all".
+ * @property {Color | string | number[]} [transparentKey] The background color of transparent cells when merging the layers of an `Image`, see `Image::mergeLayers`.
+ * @property {boolean} [inlineStyles] Set the colors with inline `style` attributes; this is the default.
+ * @property {boolean} [cssClasses] Set the colors with CSS classes instead, defined in a `<style>` element placed before the `<pre>` block.
+ * @property {string} [classPrefix] The prefix of the CSS classes, defaults to "xp-".
+ * @property {string} [font] The CSS `font-family` of the `<pre>` block.
+ * @property {Codepage | string} [codepage] The codepage used to turn the glyphs into characters, defaults to the codepage of the image.
+ */
+
+/**
+  Exports an `Image` or a `Layer` as an HTML `<pre>` block.
+  The layers of an image are merged following the same rules as `Image::mergeLayers`, and cells that are still transparent are left uncolored.
+  Neighboring cells with the same colors are grouped into a single `<span>`.
+
+  @param {Image | Layer} source
+  @param {HTMLOptions} [options]
+  @returns {string}
+**/
+function toHTML(source, options = {}) {
+  let layer = flatten(source, options.layers, options);
+  let codepage = resolveCodepage(options.codepage, source);
+  let useClasses = !!options.cssClasses && !options.inlineStyles;
+  let prefix = options.classPrefix === undefined ? "xp-" : options.classPrefix;
+  let rules = new Map();
+
+  let key = (i) => {
+    if (layer._isTransparent(i)) return null;
+    let fg = rgb2hex(layer.fg[3 * i], layer.fg[3 * i + 1], layer.fg[3 * i + 2]);
+    let bg = rgb2hex(layer.bg[3 * i], layer.bg[3 * i + 1], layer.bg[3 * i + 2]);
+    return fg + bg;
+  };
+
+  let lines = [];
+  for (let y = 0; y < layer.height; y++) {
+    let line = "";
+    for (let run of rowRuns(layer, y, key, codepage)) {
+      let text = escapeHTML(run.text);
+      if (run.key === null) {
+        line += text;
+        continue;
+      }
+
+      let fg = run.key.slice(0, 6);
+      let bg = run.key.slice(6);
+      if (useClasses) {
+        rules.set(`${prefix}fg-${fg}`, `color: #${fg};`);
+        rules.set(`${prefix}bg-${bg}`, `background-color: #${bg};`);
+        line += `<span class="${prefix}fg-${fg} ${prefix}bg-${bg}">${text}</span>`;
       } else {
-        throw new Error("Invalid character code: expected positive integer, got " + char);
+        line += `<span style="color: #${fg}; background-color: #${bg};">${text}</span>`;
+      }
+    }
+    lines.push(line);
+  }
+
+  let style = options.font ? ` style="font-family: ${escapeHTML(options.font)};"` : "";
+  let res = "";
+  if (useClasses) {
+    res += "<style>\n";
+    for (let [name, rule] of rules) res += `.${name} { ${rule} }\n`;
+    res += "</style>\n";
+    res += `<pre class="${prefix}image"${style}>`;
+  } else {
+    res += `<pre${style}>`;
+  }
+
+  return res + lines.join("\n") + "</pre>\n";
+}
+
+/**
+  Exports an `Image` or a `Layer` as BBCode, using `[color]` tags for the foreground colors, like REXPaint does.
+  BBCode has no way to set background colors, so only the glyphs and their foreground colors are exported;
+  the layers of an image are merged following the same rules as `Image::mergeLayers`, and transparent cells become spaces.
+  The glyphs are mapped with `options.codepage`, which defaults to the codepage of the image.
+
+  @param {Image | Layer} source
+  @param {{layers?: LayerOption, transparentKey?: Color | string | number[], font?: string, codepage?: Codepage | string}} [options] If `font` is set, the result is wrapped in a `[font]` tag.
+  @returns {string}
+**/
+function toBBCode(source, options = {}) {
+  let layer = flatten(source, options.layers, options);
+  let codepage = resolveCodepage(options.codepage, source);
+
+  // Spaces don't need a color, so they are merged into the surrounding runs
+  let key = (i) => {
+    let code = layer.glyphs[i];
+    if (layer._isTransparent(i) || code === 0 || code === 32) return null;
+    return rgb2hex(layer.fg[3 * i], layer.fg[3 * i + 1], layer.fg[3 * i + 2]);
+  };
+
+  let lines = [];
+  for (let y = 0; y < layer.height; y++) {
+    let runs = rowRuns(layer, y, key, codepage);
+    for (let n = 1; n < runs.length - 1; n++) {
+      if (runs[n].key === null && runs[n - 1].key !== null && runs[n - 1].key === runs[n + 1].key) {
+        runs[n].key = runs[n - 1].key;
+      }
+    }
+
+    let line = "";
+    let current = null;
+    for (let run of runs) {
+      if (run.key !== current) {
+        if (current !== null) line += "[/color]";
+        if (run.key !== null) line += `[color=#${run.key}]`;
+        current = run.key;
+      }
+      line += run.text;
+    }
+    if (current !== null) line += "[/color]";
+    lines.push(line.replace(/ +$/, ""));
+  }
+
+  let res = lines.join("\n");
+  return options.font ? `[font=${options.font}]${res}[/font]` : res;
+}
+
+/**
+ * @typedef {Object} CellState
+ * @property {number} glyph
+ * @property {string} fg The foreground color, as a hex string.
+ * @property {string} bg The background color, as a hex string.
+ */
+
+/**
+ * @typedef {Object} CellChange
+ * @property {number} x
+ * @property {number} y
+ * @property {CellState | null} before The cell before the change, or null if it didn't exist.
+ * @property {CellState} after
+ */
+
+/**
+ * @typedef {Object} LayerDiff
+ * @property {number} index The index of the layer.
+ * @property {"changed" | "resized" | "added" | "removed"} type
+ * @property {{before: {width: number, height: number} | null, after: {width: number, height: number} | null}} size
+ * @property {CellChange[]} cells The cells that changed, row by row: every cell of added layers, and none of removed layers.
+ */
+
+/**
+ * @typedef {Object} Patch
+ * @property {{before: number, after: number}} version
+ * @property {{before: number, after: number}} layerCount
+ * @property {LayerDiff[]} layers The layers that changed, by increasing index.
+ */
+
+/**
+  Compares the images `a` and `b`, and returns the changes that turn `a` into `b`, as a plain object that can be serialized as JSON.
+  Layers are compared by index: a layer whose size changed is "resized", and its cells are compared over the area of the new layer.
+
+  @param {Image} a
+  @param {Image} b
+  @returns {Patch}
+**/
+function diff(a, b) {
+  if (!(a instanceof Image) || !(b instanceof Image)) throw new Error("Expected two Image instances, got " + a + " and " + b);
+
+  let layers = [];
+  for (let l = 0; l < Math.max(a.layers.length, b.layers.length); l++) {
+    let before = a.layers[l] || null;
+    let after = b.layers[l] || null;
+    let size = {
+      before: before && {width: before.width, height: before.height},
+      after: after && {width: after.width, height: after.height}
+    };
+
+    if (after === null) {
+      layers.push({index: l, type: "removed", size, cells: []});
+      continue;
+    }
+
+    let cells = [];
+    for (let y = 0; y < after.height; y++) {
+      for (let x = 0; x < after.width; x++) {
+        let i = x + after.width * y;
+        let j = before && before.verifyCoordinates(x, y) ? x + before.width * y : -1;
+        if (j !== -1 && after._sameCell(i, before, j)) continue;
+        cells.push({x, y, before: j === -1 ? null : cellState(before, j), after: cellState(after, i)});
+      }
+    }
+
+    let type = before === null ? "added" : before.width !== after.width || before.height !== after.height ? "resized" : "changed";
+    if (type !== "changed" || cells.length > 0) layers.push({index: l, type, size, cells});
+  }
+
+  return {
+    version: {before: a.version, after: b.version},
+    layerCount: {before: a.layers.length, after: b.layers.length},
+    layers
+  };
+}
+
+/**
+  Applies `patch` (see `diff`) to `image`, and returns the image.
+
+  Unless `options.strict` is false, `image` is first checked against the "before" side of the patch (its layer count, the size of its layers and the cells that change),
+  and an error is thrown without modifying the image if they don't match.
+
+  @param {Image} image
+  @param {Patch} patch
+  @param {{strict?: boolean}} [options]
+  @returns {Image}
+**/
+function applyPatch(image, patch, options = {}) {
+  if (!(image instanceof Image)) throw new Error("Expected 'image' to be an instance of Image, got " + image);
+  if (!patch || !Array.isArray(patch.layers)) throw new Error("Invalid patch: expected an object returned by diff()");
+
+  if (options.strict === undefined || options.strict) {
+    if (patch.layerCount && patch.layerCount.before !== image.layers.length) {
+      throw new Error(`Patch doesn't apply: expected ${patch.layerCount.before} layers, got ${image.layers.length}`);
+    }
+
+    for (let change of patch.layers) {
+      let layer = image.layers[change.index];
+      let before = change.size.before;
+      if (!layer !== !before || layer && (layer.width !== before.width || layer.height !== before.height)) {
+        let actual = layer ? `${layer.width}x${layer.height}` : "missing";
+        let expected = before ? `${before.width}x${before.height}` : "missing";
+        throw new Error(`Patch doesn't apply: expected layer ${change.index} to be ${expected}, got ${actual}`);
+      }
+
+      for (let cell of change.cells) {
+        if (cell.before === null) continue;
+        let state = layer.verifyCoordinates(cell.x, cell.y) ? cellState(layer, cell.x + layer.width * cell.y) : null;
+        if (!state || state.glyph !== cell.before.glyph || state.fg !== cell.before.fg || state.bg !== cell.before.bg) {
+          throw new Error(`Patch doesn't apply: cell (${cell.x}, ${cell.y}) of layer ${change.index} doesn't match`);
+        }
+      }
+    }
+  }
+
+  for (let change of patch.layers) {
+    if (change.type === "removed") continue;
+
+    let {width, height} = change.size.after;
+    let layer = image.layers[change.index];
+    if (!layer) {
+      layer = image.layers[change.index] = new Layer(width, height).fill(Pixel.TRANSPARENT);
+    } else if (layer.width !== width || layer.height !== height) {
+      layer.resize(width, height);
+    }
+
+    for (let cell of change.cells) {
+      if (!layer.verifyCoordinates(cell.x, cell.y)) throw new Error(`Invalid patch: cell (${cell.x}, ${cell.y}) is outside of layer ${change.index}`);
+      let fg = Color.from(cell.after.fg);
+      let bg = Color.from(cell.after.bg);
+      if (!Number.isInteger(cell.after.glyph) || fg === null || bg === null) {
+        throw new Error(`Invalid patch: cell (${cell.x}, ${cell.y}) of layer ${change.index} is invalid`);
       }
+      layer._writeCell(cell.x + width * cell.y, cell.after.glyph, fg, bg);
+    }
+  }
+
+  // Removed layers are always the last ones
+  let removed = patch.layers.filter(change => change.type === "removed").map(change => change.index);
+  if (removed.length > 0) image.layers.length = Math.min(...removed);
+  if (patch.version) image.version = patch.version.after;
+
+  return image;
+}
+
+/**
+  Returns a human-readable summary of `patch` (see `diff`): the changes of version, layer count and layer sizes, followed by the changed cells of each layer, one per line.
+  Added and removed layers are only summed up.
+
+  If `options.ansi` is true, the glyphs of the cells are printed with their colors, using ANSI escape codes with `options.colorDepth` (see `AnsiOptions`).
+  `options.maxCells` is the maximum number of cells listed per layer (defaults to all of them), and `options.codepage` is used to print the glyphs.
+
+  @param {Patch} patch
+  @param {{ansi?: boolean, colorDepth?: 24 | 8 | 4, maxCells?: number, codepage?: Codepage | string}} [options]
+  @returns {string}
+**/
+function formatDiff(patch, options = {}) {
+  let colorDepth = options.colorDepth || 24;
+  let maxCells = options.maxCells === undefined ? Infinity : options.maxCells;
+  let codepage = resolveCodepage(options.codepage);
+
+  let formatCell = (state) => {
+    if (state === null) return "(none)";
+    let char = codepage.toUnicode(state.glyph) || " ";
+    if (options.ansi) {
+      let fg = ansiColor(Color.from(state.fg), colorDepth, false);
+      let bg = ansiColor(Color.from(state.bg), colorDepth, true);
+      char = `\x1b[${fg};${bg}m${char}\x1b[0m`;
     } else {
-      throw new Error("Invalid argument: expected `char` to be a number, got " + typeof char);
+      char = `'${char}'`;
+    }
+    return `${char} ${state.glyph} #${state.fg} on #${state.bg}`;
+  };
+  let formatSize = (size) => `${size.width}x${size.height}`;
+
+  let lines = [];
+  if (patch.version.before !== patch.version.after) lines.push(`version: ${patch.version.before} -> ${patch.version.after}`);
+  if (patch.layerCount.before !== patch.layerCount.after) lines.push(`layers: ${patch.layerCount.before} -> ${patch.layerCount.after}`);
+
+  for (let change of patch.layers) {
+    let count = `${change.cells.length} cell${change.cells.length === 1 ? "" : "s"} changed`;
+    if (change.type === "added") {
+      lines.push(`layer ${change.index}: added (${formatSize(change.size.after)})`);
+      continue;
+    } else if (change.type === "removed") {
+      lines.push(`layer ${change.index}: removed (${formatSize(change.size.before)})`);
+      continue;
+    } else if (change.type === "resized") {
+      lines.push(`layer ${change.index}: resized from ${formatSize(change.size.before)} to ${formatSize(change.size.after)}, ${count}`);
+    } else {
+      lines.push(`layer ${change.index}: ${count}`);
+    }
+
+    for (let cell of change.cells.slice(0, maxCells)) {
+      lines.push(`  (${cell.x}, ${cell.y}) ${formatCell(cell.before)} -> ${formatCell(cell.after)}`);
+    }
+    if (change.cells.length > maxCells) lines.push(`  ... and ${change.cells.length - maxCells} more`);
+  }
+
+  if (lines.length === 0) lines.push("no changes");
+  return lines.join("\n") + "\n";
+}
+
+/**
+  Returns the cell at index `i` of `layer` as a `CellState`.
+  @param {Layer} layer
+  @param {number} i
+  @returns {CellState}
+**/
+function cellState(layer, i) {
+  return {
+    glyph: layer.glyphs[i],
+    fg: rgb2hex(layer.fg[3 * i], layer.fg[3 * i + 1], layer.fg[3 * i + 2]),
+    bg: rgb2hex(layer.bg[3 * i], layer.bg[3 * i + 1], layer.bg[3 * i + 2])
+  };
+}
+
+/**
+ * @typedef {Object} RemapOptions
+ * @property {Map<string, Color | string | number[]> | Object<string, Color | string | number[]>} [table] An exact color to color mapping, by hex color.
+ * If set, the colors that aren't in the table are left as is; otherwise, each color is replaced with the nearest color of the palette.
+ * @property {"rgb" | "perceptual"} [metric] How the nearest color is found: "rgb" (the default) uses the euclidean distance between RGB colors,
+ * "perceptual" the distance between CIELAB colors (CIE76), which is closer to how different the colors look.
+ * @property {LayerOption} [layers] Which layers of an `Image` to remap, selected like `Image::mergeLayers` does: the indices of the layers (invalid ones are left out) or "all" (the default).
+ */
+
+class Palette {
+  /**
+    Creates a new palette with the colors `colors`, which can be anything that `Color.from` accepts.
+    `counts` holds how many times each color is used, if it is known (see `Palette.fromImage`), and is filled with zeroes otherwise.
+
+    @param {Array<Color | string | number[]>} [colors]
+  **/
+  constructor(colors = []) {
+    /** @type {Color[]} */
+    this.colors = [];
+    /** @type {number[]} */
+    this.counts = [];
+
+    for (let color of colors) this.add(color);
+  }
+
+  /**
+    Returns the distinct colors used by `source` (an `Image` or a `Layer`), with how many times they are used, from the most to the least used.
+    The background of transparent cells and their foreground are left out.
+
+    `options.channels` is either "fg", "bg" or "both" (the default), and `options.layers` tells which layers of an `Image` are looked at (defaults to "all").
+
+    @param {Image | Layer} source
+    @param {{channels?: "fg" | "bg" | "both", layers?: LayerOption}} [options]
+    @returns {Palette}
+  **/
+  static fromImage(source, options = {}) {
+    let channels = options.channels || "both";
+    if (!["fg", "bg", "both"].includes(channels)) {
+      throw new Error("Expected 'channels' to be one of fg, bg, both, got " + channels);
+    }
+
+    let counts = new Map();
+    for (let layer of selectLayers(source, options.layers)) {
+      for (let i = 0; i < layer.glyphs.length; i++) {
+        if (layer._isTransparent(i)) continue;
+
+        for (let array of channels === "both" ? [layer.fg, layer.bg] : [layer[channels]]) {
+          let key = (array[3 * i] << 16) | (array[3 * i + 1] << 8) | array[3 * i + 2];
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
     }
+
+    let res = new Palette();
+    [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0]).forEach(([key, count]) => {
+      res.add(new Color(key >> 16, (key >> 8) & 255, key & 255), count);
+    });
+    return res;
   }
 
   /**
-    Creates a new Pixel instance from an existing Pixel instance or an array containing the foreground, background and ascii code.
-
-    If the `pixel` is an array, it will be interpreted as `[asciiCode, foregroundColor, backgroundColor]`.
+    Parses a REXPaint palette file (the `.txt` files of REXPaint's `data/palettes` folder), where each color is written as `{r,g,b}`.
+    Throws if the text doesn't contain any color.
 
-    On failure, returns null.
-    @param {Pixel} pixel
-    @returns {Pixel}
+    @param {string} text
+    @returns {Palette}
   **/
-  static from(pixel) {
-    if (pixel instanceof Pixel) {
-      return new Pixel(pixel.asciiCode, Color.from(pixel.fg), Color.from(pixel.bg));
-    } else if (Array.isArray(pixel) && pixel.length === 3 && Number.isInteger(pixel[0]) && pixel[0] >= 0) {
-      let fg = Color.from(pixel[1]);
-      if (fg === null) return null;
-
-      let bg = Color.from(pixel[2]);
-      if (bg === null) return null;
+  static fromText(text) {
+    if (typeof text !== "string") throw new Error("Expected 'text' to be a string, got " + text);
 
-      return new Pixel(pixel[0], fg, bg);
+    let res = new Palette();
+    for (let match of text.matchAll(/\{\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\}/g)) {
+      let channels = [+match[1], +match[2], +match[3]];
+      if (channels.some(c => c > 255)) throw new Error("Invalid palette color: " + match[0]);
+      res.add(Color.from(channels));
     }
 
-    return null;
+    if (res.colors.length === 0) throw new Error("Invalid palette: no colors were found");
+    return res;
   }
 
   /**
-    Returns the unicode char associated with `this.asciiCode`, if `this.asciiCode ∈ [0; 255]`.
-    Interprets `this.asciiCode` as a CP437 character code.
-    @returns {string}
+    Adds `color` at the end of the palette, if it isn't part of it yet; otherwise, adds `count` to its count.
+    Returns the palette.
+
+    @param {Color | string | number[]} color
+    @param {number} [count]
+    @returns {Palette}
   **/
-  get unicodeChar() {
-    if (this.asciiCode >= 0 && this.asciiCode <= 255) {
-      return Pixel.UNICODE_TABLE[this.asciiCode];
+  add(color, count = 0) {
+    let res = Color.from(color);
+    if (res === null) throw new Error("Invalid color: " + color);
+
+    let index = this.indexOf(res);
+    if (index === -1) {
+      this.colors.push(res);
+      this.counts.push(count);
     } else {
-      return '';
+      this.counts[index] += count;
     }
+    return this;
   }
 
   /**
-    Returns the ANSI string associated with the current pixel.
-    The returned string contains the ANSI escape code for the foreground and background colors and the unicode character associated to `this.asciiCode` (interpreted as a CP437 character code).
-
-    The returned string does not clear the color afterwards!
-
-    @returns {string}
+    Returns the index of `color` in the palette, or -1 if it isn't part of it.
+    @param {Color | string | number[]} color
+    @returns {number}
   **/
-  get ansiString() {
-    let foreground = `\x1b[38;2;${this.fg._r};${this.fg._g};${this.fg._b}m`;
-    let background = `\x1b[48;2;${this.bg._r};${this.bg._g};${this.bg._b}m`;
-    let char = this.unicodeChar;
-
-    return foreground + background + char;
+  indexOf(color) {
+    let res = Color.from(color);
+    if (res === null) return -1;
+    return this.colors.findIndex(c => c.r === res.r && c.g === res.g && c.b === res.b);
   }
 
   /**
-    Returns true if the background has as color magenta (#ff00ff).
+    Returns true if `color` is part of the palette.
+    @param {Color | string | number[]} color
     @returns {boolean}
   **/
-  get transparent() {
-    return this.bg.r === 255 && this.bg.g === 0 && this.bg.b === 255;
+  has(color) {
+    return this.indexOf(color) !== -1;
   }
 
   /**
-   * @returns {Object}
-   */
-  toJSON() {
-    return {
-      asciiCode: this.asciiCode,
-      fg: this.fg.toJSON(),
-      bg: this.bg.toJSON(),
-      transparent: this.transparent
-    };
+    The number of colors of the palette.
+    @returns {number}
+  **/
+  get size() {
+    return this.colors.length;
   }
-}
 
-class Color {
   /**
-    Creates a new Color instance.
-    Expects `r`, `g` and `b` to be integers from 0 to 255.
-
-    @param {number} r
-    @param {number} g
-    @param {number} b
+    Returns a copy of the color of the palette that is the nearest to `color`, using `metric` (see `RemapOptions`).
+    @param {Color | string | number[]} color
+    @param {"rgb" | "perceptual"} [metric]
+    @returns {Color}
   **/
-  constructor(r, g, b) {
-    this._r = +r;
-    this._g = +g;
-    this._b = +b;
+  nearest(color, metric = "rgb") {
+    let res = Color.from(color);
+    if (res === null) throw new Error("Invalid color: " + color);
+    let [r, g, b] = this._nearest(metric)(res.r, res.g, res.b);
+    return new Color(r, g, b);
+  }
 
-    if (!Number.isInteger(this._r) || this._r < 0 || this._r > 255) throw new Error(`Expected 'r' to be a positive integer, got ${r}`);
-    if (!Number.isInteger(this._g) || this._g < 0 || this._g > 255) throw new Error(`Expected 'g' to be a positive integer, got ${g}`);
-    if (!Number.isInteger(this._b) || this._b < 0 || this._b > 255) throw new Error(`Expected 'b' to be a positive integer, got ${b}`);
+  /**
+    Returns a table to use as `RemapOptions.table`, which replaces each color of this palette with the color at the same index in `palette`.
+    This is useful to swap palettes, for instance for a night mode.
+
+    @param {Palette} palette
+    @returns {Map<string, Color>}
+  **/
+  mapTo(palette) {
+    if (!(palette instanceof Palette)) throw new Error("Expected 'palette' to be a Palette, got " + palette);
+    if (palette.size < this.size) {
+      throw new Error(`Expected 'palette' to have at least ${this.size} colors, got ${palette.size}`);
+    }
+    return new Map(this.colors.map((color, n) => [color.hex, palette.colors[n]]));
   }
 
   /**
-    Creates a new Color instance from an existing Color instance, an RGB array or a hex color string.
+    Returns the cells of `source` (an `Image` or a `Layer`) that use a color that isn't part of the palette,
+    along with the index of their layer (0 for a `Layer`), their coordinates and which of their colors are off-palette.
+    The background of transparent cells and their foreground are left out.
 
-    If `color` is an RGB array, it will be interpreted as an array of 3 integers (floating numbers will be rounded down), representing the R, G and B channel.
-    The numerical values have to be between 0 and 255.
+    @param {Image | Layer} source
+    @param {{layers?: LayerOption}} [options]
+    @returns {Array<{layer: number, x: number, y: number, fg: boolean, bg: boolean}>}
+  **/
+  findOffPalette(source, options = {}) {
+    let keys = new Set(this.colors.map(c => (c.r << 16) | (c.g << 8) | c.b));
+    let offPalette = (array, i) => !keys.has((array[3 * i] << 16) | (array[3 * i + 1] << 8) | array[3 * i + 2]);
 
-    If `color` is an RGB hex color string, it will be parsed as such.
+    let res = [];
+    for (let layer of selectLayers(source, options.layers)) {
+      let l = source instanceof Image ? source.layers.indexOf(layer) : 0;
+      for (let i = 0; i < layer.glyphs.length; i++) {
+        if (layer._isTransparent(i)) continue;
 
-    On failure, returns null.
+        let fg = offPalette(layer.fg, i);
+        let bg = offPalette(layer.bg, i);
+        if (fg || bg) res.push({layer: l, x: i % layer.width, y: Math.floor(i / layer.width), fg, bg});
+      }
+    }
+    return res;
+  }
 
-    @param {Color} color
-    @returns {Color}
+  /**
+    Replaces the colors of `source` (an `Image` or a `Layer`), either with `options.table` or with the nearest colors of the palette; see `RemapOptions`.
+    The background of transparent cells and their foreground are left as is. Returns the number of cells that were changed.
+
+    @param {Image | Layer} source
+    @param {RemapOptions} [options]
+    @returns {number}
   **/
-  static from(color) {
-    if (color instanceof Color) {
-      return new Color(color._r, color._g, color._b);
-    } else if (Array.isArray(color) && color.length == 3 && color.every(x => typeof x === "number")) {
-      return new Color(Math.floor(color[0]), Math.floor(color[1]), Math.floor(color[2]));
-    } else if (typeof color === "string") {
-      let match = /^#?([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/.exec(color);
-      if (match) {
-        let r = Number.parseInt(match[1], 16);
-        let g = Number.parseInt(match[2], 16);
-        let b = Number.parseInt(match[3], 16);
-        return new Color(r, g, b);
+  remap(source, options = {}) {
+    let replace;
+    if (options.table) {
+      let table = new Map();
+      let entries = options.table instanceof Map ? options.table : Object.entries(options.table);
+      for (let [from, to] of entries) {
+        let fromColor = Color.from(from);
+        let toColor = Color.from(to);
+        if (fromColor === null || toColor === null) throw new Error(`Invalid table entry: ${from} -> ${to}`);
+        table.set((fromColor.r << 16) | (fromColor.g << 8) | fromColor.b, [toColor.r, toColor.g, toColor.b]);
       }
+      replace = (r, g, b) => table.get((r << 16) | (g << 8) | b) || [r, g, b];
+    } else {
+      if (this.size === 0) throw new Error("Cannot remap colors to an empty palette");
+      replace = this._nearest(options.metric || "rgb");
     }
 
-    return null;
-  }
+    let changed = 0;
+    for (let layer of selectLayers(source, options.layers)) {
+      for (let i = 0; i < layer.glyphs.length; i++) {
+        if (layer._isTransparent(i)) continue;
 
-  /**
-   * @returns {number}
-   */
-  get r() {
-    return this._r;
+        let cellChanged = false;
+        for (let array of [layer.fg, layer.bg]) {
+          let color = replace(array[3 * i], array[3 * i + 1], array[3 * i + 2]);
+          if (color[0] !== array[3 * i] || color[1] !== array[3 * i + 1] || color[2] !== array[3 * i + 2]) {
+            array.set(color, 3 * i);
+            cellChanged = true;
+          }
+        }
+        if (cellChanged) changed++;
+      }
+    }
+    return changed;
   }
 
   /**
-   * @param {number} value
-   */
-  set r(value) {
-    this._r = +value;
-    if (!Number.isInteger(this._r) || this._r < 0 || this._r > 255) throw new Error(`Expected 'r' to be a positive integer, got ${value}`);
+    Serializes the palette in the format of REXPaint's palette files, with `options.columns` colors per row (defaults to 16).
+    @param {{columns?: number}} [options]
+    @returns {string}
+  **/
+  toText(options = {}) {
+    let columns = options.columns === undefined ? 16 : options.columns;
+    expectIntegers({columns});
+    if (columns <= 0) throw new Error("Expected 'columns' to be a positive integer, got " + columns);
+
+    let lines = [];
+    for (let n = 0; n < this.colors.length; n += columns) {
+      lines.push(this.colors.slice(n, n + columns).map(color => {
+        return `{${[color.r, color.g, color.b].map(x => String(x).padStart(3)).join(",")}}`;
+      }).join("\t"));
+    }
+    return lines.join("\n") + "\n";
   }
 
   /**
-   * @returns {number}
-   */
+    Returns a function that maps an RGB color to the `[r, g, b]` of its nearest color in the palette, using `metric`.
+    The results are cached, as images tend to reuse the same colors.
+    @param {"rgb" | "perceptual"} metric
+    @returns {(r: number, g: number, b: number) => number[]}
+  **/
+  _nearest(metric) {
+    let convert;
+    if (metric === "rgb") convert = (rgb) => rgb;
+    else if (metric === "perceptual") convert = rgbToLab;
+    else throw new Error("Expected 'metric' to be one of rgb, perceptual, got " + metric);
 
-  get g() {
-    return this._g;
+    let colors = this.colors.map(c => [c.r, c.g, c.b]);
+    let converted = colors.map(convert);
+    let cache = new Map();
+
+    return (r, g, b) => {
+      let key = (r << 16) | (g << 8) | b;
+      let res = cache.get(key);
+      if (res === undefined) {
+        let target = convert([r, g, b]);
+        let best = 0;
+        for (let n = 1; n < converted.length; n++) {
+          if (distanceSquared(converted[n], target) < distanceSquared(converted[best], target)) best = n;
+        }
+        res = colors[best];
+        cache.set(key, res);
+      }
+      return res;
+    };
   }
+}
+
+/**
+  Returns the layers of `source` that are selected by `layers` (see `LayerOption`), or `[source]` if it is a `Layer`.
+  Layers are selected like `Image::mergeLayers` does: invalid indices are left out.
+  @param {Image | Layer} source
+  @param {LayerOption} [layers]
+  @returns {Layer[]}
+**/
+function selectLayers(source, layers = "all") {
+  if (source instanceof Layer) return [source];
+  if (!(source instanceof Image)) throw new Error("Expected an Image or a Layer, got " + source);
+
+  return source._layerIndices(layers).map(l => source.layers[l]);
+}
+
+/**
+  Converts an sRGB color to CIELAB (with a D65 white point), as `[l, a, b]`.
+  @param {number[]} rgb
+  @returns {number[]}
+**/
+function rgbToLab(rgb) {
+  let [r, g, b] = rgb.map(c => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  let f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  let x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+  let y = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+  let z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+/**
+ * @typedef {Object} SliceOptions
+ * @property {number} frameWidth The width of each frame.
+ * @property {number} frameHeight The height of each frame.
+ * @property {number} [spacing] The number of cells between two frames. Defaults to 0.
+ * @property {number} [margin] The number of cells between the top-left corner of the sheet and the first frame. Defaults to 0.
+ */
 
+/**
+ * @typedef {Object} AnimationFrame
+ * @property {Image} image
+ * @property {number} duration How long the frame is shown, in milliseconds.
+ * @property {string | null} label
+ */
+
+class Animation {
   /**
-   * @param {number} value
-   */
-  set g(value) {
-    this._g = +value;
-    if (!Number.isInteger(this._g) || this._g < 0 || this._g > 255) throw new Error(`Expected 'g' to be a positive integer, got ${value}`);
+    Creates a new, empty animation.
+    `options.duration` is the duration of the frames for which none is given, in milliseconds, and defaults to 100.
+
+    @param {{duration?: number}} [options]
+  **/
+  constructor(options = {}) {
+    this.duration = options.duration === undefined ? 100 : options.duration;
+    if (typeof this.duration !== "number" || !(this.duration >= 0)) {
+      throw new Error(`Expected 'duration' to be a positive number, got ${this.duration}`);
+    }
+
+    /** @type {AnimationFrame[]} */
+    this.frames = [];
   }
 
   /**
-   * @returns {number}
-   */
+    Slices the sheet `sheet` into frames (see `Image::slice`), and returns them as an animation, in row-major order.
 
-  get b() {
-    return this._b;
+    `options.duration` is either the duration of each frame, or an array with the duration of each frame.
+    If `options.labelLayer` is set, that layer of the sheet holds the labels of the frames: it is left out of the frames,
+    and the text it has within each frame becomes the label of that frame.
+
+    @param {Image} sheet
+    @param {SliceOptions & {duration?: number | number[], labelLayer?: number}} options
+    @returns {Animation}
+  **/
+  static fromSheet(sheet, options) {
+    if (!(sheet instanceof Image)) throw new Error("Invalid argument: expected `sheet` to be an Image, got " + sheet);
+
+    let labelLayer = options.labelLayer === undefined ? null : options.labelLayer;
+    if (labelLayer !== null && !sheet.layers[labelLayer]) {
+      throw new Error(`Invalid label layer ${labelLayer}: the sheet has ${sheet.layers.length} layers`);
+    }
+
+    let durations = Array.isArray(options.duration) ? options.duration : [];
+    let res = new Animation(Array.isArray(options.duration) ? {} : {duration: options.duration});
+
+    sheet.slice(options).forEach((frame, n) => {
+      let label = null;
+      if (labelLayer !== null) {
+        label = frame.layers.splice(labelLayer, 1)[0].toText({codepage: resolveCodepage(null, frame)}).join("\n").trim() || null;
+      }
+      res.addFrame(frame, durations[n], label);
+    });
+
+    return res;
   }
 
   /**
-   * @param {number} value
-   */
-  set b(value) {
-    this._b = +value;
-    if (!Number.isInteger(this._b) || this._b < 0 || this._b > 255) throw new Error(`Expected 'b' to be a positive integer, got ${value}`);
+    Adds a frame at the end of the animation, shown for `duration` milliseconds (defaults to `this.duration`).
+    `image` can also be a `Layer`, which is then put in an image of its own.
+    Returns the animation.
+
+    @param {Image | Layer} image
+    @param {number} [duration]
+    @param {string | null} [label]
+    @returns {Animation}
+  **/
+  addFrame(image, duration = this.duration, label = null) {
+    if (image instanceof Layer) {
+      let layer = image;
+      image = new Image(-1);
+      image.layers.push(layer);
+    } else if (!(image instanceof Image)) {
+      throw new Error("Invalid argument: expected `image` to be an Image or a Layer, got " + image);
+    }
+    if (typeof duration !== "number" || !(duration >= 0)) {
+      throw new Error(`Expected 'duration' to be a positive number, got ${duration}`);
+    }
+
+    this.frames.push({image, duration, label});
+    return this;
   }
 
   /**
-   * @returns {string}
-   */
-  get hex() {
-    return rgb2hex(this._r, this._g, this._b);
+    The total duration of the animation, in milliseconds.
+    @returns {number}
+  **/
+  get totalDuration() {
+    return this.frames.reduce((sum, frame) => sum + frame.duration, 0);
   }
 
   /**
-   * @param {string}
-   */
-  set hex(value) {
-    if (typeof value === "string") {
-      let match = /^#?([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/.exec(value);
-      if (match) {
-        this._r = Number.parseInt(match[1], 16);
-        this._g = Number.parseInt(match[2], 16);
-        this._b = Number.parseInt(match[3], 16);
-      }
+    Packs the frames of the animation into a single sheet, in row-major order, which `Animation.fromSheet` can read back.
+    All of the frames are laid out on a grid of cells as large as the largest frame, with `options.columns` frames per row (defaults to all of them).
+
+    The sheet has as many layers as the frame with the most layers, and the cells that no frame covers are transparent.
+    If `options.labels` is true, an additional layer holds the label of each frame, written at the top-left corner of the frame.
+
+    @param {{columns?: number, spacing?: number, margin?: number, labels?: boolean}} [options]
+    @returns {Image}
+  **/
+  toSheet(options = {}) {
+    if (this.frames.length === 0) throw new Error("Cannot pack an animation with no frames");
+
+    let columns = options.columns === undefined ? this.frames.length : options.columns;
+    let spacing = options.spacing === undefined ? 0 : options.spacing;
+    let margin = options.margin === undefined ? 0 : options.margin;
+    expectIntegers({columns, spacing, margin});
+    if (columns <= 0 || spacing < 0 || margin < 0) {
+      throw new Error(`Expected a positive 'columns' and non-negative 'spacing' and 'margin', got ${columns}, ${spacing} and ${margin}`);
+    }
+
+    let frameWidth = Math.max(...this.frames.map(frame => frame.image.width || 0));
+    let frameHeight = Math.max(...this.frames.map(frame => frame.image.height || 0));
+    let layerCount = Math.max(...this.frames.map(frame => frame.image.layers.length));
+    if (frameWidth === 0 || frameHeight === 0) throw new Error("Cannot pack an animation with empty frames");
+
+    let rows = Math.ceil(this.frames.length / columns);
+    columns = Math.min(columns, this.frames.length);
+    let width = 2 * margin + columns * frameWidth + (columns - 1) * spacing;
+    let height = 2 * margin + rows * frameHeight + (rows - 1) * spacing;
+
+    let sheet = new Image(this.frames[0].image.version);
+    sheet.codepage = this.frames[0].image.codepage;
+    for (let l = 0; l < layerCount + (options.labels ? 1 : 0); l++) {
+      sheet.layers.push(new Layer(width, height).fill(Pixel.TRANSPARENT));
     }
+
+    this.frames.forEach((frame, n) => {
+      let x = margin + (n % columns) * (frameWidth + spacing);
+      let y = margin + Math.floor(n / columns) * (frameHeight + spacing);
+      frame.image.layers.forEach((layer, l) => sheet.layers[l].blit(layer, x, y));
+
+      if (options.labels && frame.label) {
+        let label = new Layer(frameWidth, frameHeight).fill(Pixel.TRANSPARENT);
+        label.drawText(0, 0, frame.label, "ffffff", "000000", {codepage: resolveCodepage(null, sheet)});
+        sheet.layers[layerCount].blit(label, x, y);
+      }
+    });
+
+    return sheet;
   }
 
   /**
-   * @returns {Object}
-   */
-  toJSON() {
-    return {
-      g: this._g,
-      b: this._b,
-      r: this._r,
-      hex: rgb2hex(this._r, this._g, this._b)
-    };
-  }
-}
+    Plays the animation to `output`, drawing each frame with `Image::toAnsi` over the previous one.
+    `options.loop` is the number of times the animation is played, and defaults to 1 (use `Infinity` to play it until `options.signal` is aborted).
+    The other options are passed to `Image::toAnsi`.
 
-function rgb2hex(r, g, b) {
-    let sr = r.toString(16);
-    let sg = g.toString(16);
-    let sb = b.toString(16);
+    `output` defaults to `process.stdout` in Node.js; it must be given where `process` doesn't exist (like in a browser),
+    otherwise the returned promise is rejected.
 
-    if (sr.length < 2) {
-        sr = '0' + sr;
-    }
+    Returns a promise, which resolves once the animation is over.
 
-    if (sg.length < 2) {
-        sg = '0' + sg;
+    @param {{write: (chunk: string) => any}} [output]
+    @param {AnsiOptions & {layers?: LayerOption, loop?: number, signal?: AbortSignal}} [options]
+    @returns {Promise<void>}
+  **/
+  async play(output, options = {}) {
+    if (output === undefined) {
+      if (typeof process === "undefined") throw new Error("Animation::play needs an 'output' when 'process.stdout' doesn't exist");
+      output = process.stdout;
     }
+    let loop = options.loop === undefined ? 1 : options.loop;
+    let height = 0;
 
-    if (sb.length < 2) {
-        sb = '0' + sb;
-    }
+    for (let n = 0; n < loop && this.frames.length > 0; n++) {
+      for (let frame of this.frames) {
+        if (options.signal && options.signal.aborted) return;
 
-    return sr + sg + sb;
+        let ansi = frame.image.toAnsi(options);
+        // Move the cursor back to the top-left corner of the previous frame
+        output.write((height > 0 ? `\x1b[${height}A\r` : "") + ansi + "\n");
+        height = ansi.split("\n").length;
+
+        await new Promise(resolve => setTimeout(resolve, frame.duration));
+      }
+    }
+  }
 }
 
 // CP437 table from http://dwarffortresswiki.org/index.php/Character_table, with the white square added back in
-Pixel.UNICODE_TABLE = [
+const CP437_TABLE = [
   '', '☺', '☻', '♥', '♦', '♣', '♠', '•', '◘', '○', '◙', '♂', '♀', '♪', '♫', '☼',
   '►', '◄', '↕', '‼', '¶', '§', '▬', '↨', '↑', '↓', '→', '←', '∟', '↔', '▲', '▼',
   ' ', '!', '"', '#', '$', '%', '&', "'", '(', ')', '*', '+', ',', '-', '.', '/',
@@ -687,13 +4985,125 @@ Pixel.UNICODE_TABLE = [
   '≡', '±', '≥', '≤', '⌠', '⌡', '÷', '≈', '°', '∙', '·', '√', 'ⁿ', '²', '■', '□'
 ];
 
+/**
+  The codepage of REXPaint's fonts, registered as "cp437".
+  It also maps look-alike characters, which are commonly used in place of the CP437 ones, back to CP437 codes.
+  @type {Codepage}
+**/
+Codepage.CP437 = Codepage.register(new Codepage("cp437", CP437_TABLE, {
+  aliases: new Map([
+    ['\0', 0], ['\u00a0', 255], ['β', 225], ['µ', 230], ['\u2126', 234], ['∑', 228], ['∈', 238],
+    ['ϕ', 237], ['ø', 237], ['∂', 235], ['ð', 235], ['⋅', 250], ['¦', 124]
+  ])
+}));
+
+/**
+  The codepage used when none is given and the image doesn't have one, `Codepage.CP437` by default.
+  Modify it to change the default.
+  @type {Codepage}
+**/
+Codepage.DEFAULT = Codepage.CP437;
+
+/**
+  The unicode characters of the CP437 codes, indexed by code. Kept for compatibility, see `Codepage.CP437`.
+  @type {string[]}
+**/
+Pixel.UNICODE_TABLE = CP437_TABLE;
+
+/**
+  Maps unicode characters back to CP437 codes. Kept for compatibility, see `Codepage.CP437`.
+  @type {Map<string, number>}
+**/
+Pixel.REVERSE_UNICODE_TABLE = Codepage.CP437.codes;
+
+/**
+  Builds a glyph remapping table for `Layer::flipHorizontal`, `Layer::flipVertical` or `Layer::rotate90`:
+  the box-drawing characters are remapped by moving their strokes with `strokes([up, down, left, right])`,
+  and each of the `cycles` maps every glyph to the next one (and the last one to the first one).
+
+  @param {(strokes: number[]) => number[]} strokes
+  @param {number[][]} cycles
+  @returns {Object<number, number>}
+**/
+function glyphTable(strokes, cycles) {
+  let table = {};
+  for (let code in BOX_DRAWING) {
+    let glyph = BOX_DRAWING_GLYPHS.get(strokes(BOX_DRAWING[code]).join(","));
+    if (glyph !== +code) table[code] = glyph;
+  }
+  for (let cycle of cycles) {
+    cycle.forEach((code, n) => table[code] = cycle[(n + 1) % cycle.length]);
+  }
+  return table;
+}
+
+/**
+  The glyphs that `Layer::flipHorizontal` replaces, by CP437 code.
+  Modify it to change the default remapping, for instance for fonts whose glyphs don't match CP437.
+  @type {Object<number, number>}
+**/
+Layer.FLIP_HORIZONTAL_GLYPHS = glyphTable(([up, down, left, right]) => [up, down, right, left], [
+  [47, 92], // / \
+  [40, 41], [60, 62], [91, 93], [123, 125], // ( ) < > [ ] { }
+  [16, 17], [26, 27], [174, 175], [169, 170], [221, 222] // ► ◄ → ← « » ⌐ ¬ ▌ ▐
+]);
+
+/**
+  The glyphs that `Layer::flipVertical` replaces, by CP437 code.
+  Modify it to change the default remapping, for instance for fonts whose glyphs don't match CP437.
+  @type {Object<number, number>}
+**/
+Layer.FLIP_VERTICAL_GLYPHS = glyphTable(([up, down, left, right]) => [down, up, left, right], [
+  [47, 92], // / \
+  [94, 118], [30, 31], [24, 25], [220, 223], [244, 245] // ^ v ▲ ▼ ↑ ↓ ▄ ▀ ⌠ ⌡
+]);
+
+/**
+  The glyphs that `Layer::rotate90` replaces, by CP437 code: each glyph is mapped to its rotation by a clockwise quarter turn.
+  Modify it to change the default remapping, for instance for fonts whose glyphs don't match CP437.
+  @type {Object<number, number>}
+**/
+Layer.ROTATE_90_GLYPHS = glyphTable(([up, down, left, right]) => [left, right, down, up], [
+  [47, 92], [45, 124], [18, 29], // / \ - | ↕ ↔
+  [94, 62, 118, 60], [30, 16, 31, 17], [24, 26, 25, 27], [223, 222, 220, 221] // ^ > v < ▲ ► ▼ ◄ ↑ → ↓ ← ▀ ▐ ▄ ▌
+]);
+
+/**
+  The maximum number of layers that REXPaint supports.
+  @type {number}
+**/
+Image.MAX_LAYERS = 9;
+
 /** @type {Pixel} */
 Pixel.TRANSPARENT = new Pixel(32, new Color(0, 0, 0), new Color(255, 0, 255));
 
 module.exports = fromBuffer;
 module.exports.fromBuffer = fromBuffer;
 module.exports.toBuffer = toBuffer;
+module.exports.fromBufferSync = fromBufferSync;
+module.exports.toBufferSync = toBufferSync;
+module.exports.setCompression = setCompression;
+module.exports.compressionBackends = compression.backends;
+module.exports.createReadStream = createReadStream;
+module.exports.createWriteStream = createWriteStream;
+module.exports.XpReadStream = XpReadStream;
+module.exports.XpWriteStream = XpWriteStream;
+module.exports.XpParseError = XpParseError;
 module.exports.Color = Color;
 module.exports.Pixel = Pixel;
 module.exports.Layer = Layer;
 module.exports.Image = Image;
+module.exports.Font = Font;
+module.exports.Animation = Animation;
+module.exports.Palette = Palette;
+module.exports.Codepage = Codepage;
+module.exports.diff = diff;
+module.exports.applyPatch = applyPatch;
+module.exports.formatDiff = formatDiff;
+module.exports.renderToPng = renderToPng;
+module.exports.toXPM = toXPM;
+module.exports.fromAnsi = fromAnsi;
+module.exports.fromCSV = fromCSV;
+module.exports.fromXML = fromXML;
+module.exports.toHTML = toHTML;
+module.exports.toBBCode = toBBCode;
@@ -0,0 +1,42 @@
+/*
+ * rexpaintjs - ES module entry point
+ *
+ * Re-exports the CommonJS module, so that both entry points share the same classes and settings.
+ *
+ * See LICENSE for licensing details
+ */
+import rexpaint from "./index.js";
+
+export default rexpaint;
+
+export const {
+  fromBuffer,
+  toBuffer,
+  fromBufferSync,
+  toBufferSync,
+  setCompression,
+  compressionBackends,
+  createReadStream,
+  createWriteStream,
+  XpReadStream,
+  XpWriteStream,
+  XpParseError,
+  Color,
+  Pixel,
+  Layer,
+  Image,
+  Font,
+  Animation,
+  Palette,
+  Codepage,
+  diff,
+  applyPatch,
+  formatDiff,
+  renderToPng,
+  toXPM,
+  fromAnsi,
+  fromCSV,
+  fromXML,
+  toHTML,
+  toBBCode
+} = rexpaint;
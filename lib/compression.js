@@ -0,0 +1,180 @@
+/*
+ * Compression backends, used to gzip and gunzip .xp files and to deflate PNG data.
+ * Node's zlib is used when it's available; other runtimes can use CompressionStream or the bundled implementation.
+ *
+ * See LICENSE for licensing details
+ */
+"use strict";
+
+// Replaced by an empty module in browser builds (see the "browser" field of package.json)
+const zlib = require('zlib');
+const flate = require('./flate.js');
+
+/**
+ * @typedef {Object} DeflateOptions
+ * @property {"gzip" | "zlib"} format The wrapper around the DEFLATE data: gzip for .xp files, zlib for PNG files.
+ * @property {number} [level] The compression level, from 0 (no compression) to 9 (best compression).
+ */
+
+/**
+ * @typedef {Object} CompressionBackend
+ * A set of functions to compress and decompress data. `inflate` functions must accept both gzip and zlib data.
+ * Backends only need to implement the synchronous or the asynchronous functions: the missing asynchronous
+ * functions are derived from the synchronous ones, and the missing synchronous functions throw.
+ * @property {string} [name]
+ * @property {(data: Uint8Array) => Uint8Array} [inflateSync]
+ * @property {(data: Uint8Array, options: DeflateOptions) => Uint8Array} [deflateSync]
+ * @property {(data: Uint8Array) => Promise<Uint8Array>} [inflate]
+ * @property {(data: Uint8Array, options: DeflateOptions) => Promise<Uint8Array>} [deflate]
+ */
+
+function zlibOptions(options) {
+  let res = {};
+  if (options.level !== undefined) res.level = options.level;
+  return res;
+}
+
+function callbackToPromise(fn, ...args) {
+  return new Promise((resolve, reject) => {
+    fn(...args, (err, res) => err ? reject(err) : resolve(res));
+  });
+}
+
+/** Uses Node's zlib module, only available in Node. **/
+const node = {
+  name: "node",
+  inflateSync(data) {
+    return zlib.unzipSync(data);
+  },
+  deflateSync(data, options) {
+    let fn = options.format === "zlib" ? zlib.deflateSync : zlib.gzipSync;
+    return fn(data, zlibOptions(options));
+  },
+  inflate(data) {
+    return callbackToPromise(zlib.unzip, data);
+  },
+  deflate(data, options) {
+    let fn = options.format === "zlib" ? zlib.deflate : zlib.gzip;
+    return callbackToPromise(fn, data, zlibOptions(options));
+  }
+};
+
+/** Uses the small DEFLATE implementation of `lib/flate.js`, which works everywhere. **/
+const bundled = {
+  name: "bundled",
+  inflateSync(data) {
+    return flate.inflate(data);
+  },
+  deflateSync(data, options) {
+    let level = options.level;
+    return options.format === "zlib" ? flate.deflate(data, {level}) : flate.gzip(data, {level});
+  }
+};
+
+async function pipeThrough(data, transform) {
+  let stream = new Blob([data]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+  Uses the CompressionStream and DecompressionStream web APIs, available in browsers, Deno, Bun and recent Node versions.
+  They are asynchronous only and ignore the compression level.
+**/
+const streams = {
+  name: "streams",
+  inflate(data) {
+    let format = data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b ? "gzip" : "deflate";
+    return pipeThrough(data, new DecompressionStream(format));
+  },
+  deflate(data, options) {
+    return pipeThrough(data, new CompressionStream(options.format === "zlib" ? "deflate" : "gzip"));
+  }
+};
+
+/**
+  Fills in the functions that `backend` doesn't implement, returning a new object.
+
+  @param {CompressionBackend} backend
+  @returns {Required<CompressionBackend>}
+**/
+function complete(backend) {
+  let name = backend.name || "custom";
+  let hasSync = typeof backend.inflateSync === "function" && typeof backend.deflateSync === "function";
+  let hasAsync = typeof backend.inflate === "function" && typeof backend.deflate === "function";
+  if (!hasSync && !hasAsync) {
+    throw new Error("Expected the compression backend to implement inflateSync and deflateSync, or inflate and deflate");
+  }
+
+  let syncOnly = () => {
+    throw new Error(`The "${name}" compression backend doesn't support synchronous operations; use the asynchronous functions or another backend`);
+  };
+
+  return {
+    name,
+    inflateSync: hasSync ? backend.inflateSync.bind(backend) : syncOnly,
+    deflateSync: hasSync ? backend.deflateSync.bind(backend) : syncOnly,
+    inflate: hasAsync ? backend.inflate.bind(backend) : async (data) => backend.inflateSync(data),
+    deflate: hasAsync ? backend.deflate.bind(backend) : async (data, options) => backend.deflateSync(data, options)
+  };
+}
+
+const BACKENDS = {
+  node: complete(node),
+  bundled: complete(bundled),
+  streams: complete(streams)
+};
+
+/**
+  Returns true if the backend called `name` can be used in the current runtime.
+
+  @param {string} name
+  @returns {boolean}
+**/
+function isAvailable(name) {
+  if (name === "node") return typeof zlib.unzipSync === "function";
+  if (name === "streams") {
+    return typeof CompressionStream === "function" && typeof DecompressionStream === "function"
+      && typeof Blob === "function" && typeof Response === "function";
+  }
+  return name === "bundled";
+}
+
+let current = isAvailable("node") ? BACKENDS.node : BACKENDS.bundled;
+
+/**
+  Resolves `backend` (the name of a built-in backend, a `CompressionBackend` or nothing for the current default) to a complete backend.
+
+  @param {string | CompressionBackend} [backend]
+  @returns {Required<CompressionBackend>}
+**/
+function resolve(backend) {
+  if (backend === undefined || backend === null) return current;
+  if (typeof backend === "string") {
+    if (!Object.prototype.hasOwnProperty.call(BACKENDS, backend)) {
+      throw new Error(`Unknown compression backend "${backend}", expected one of ${Object.keys(BACKENDS).join(", ")}`);
+    }
+    if (!isAvailable(backend)) {
+      throw new Error(`The "${backend}" compression backend isn't available in this environment`);
+    }
+    return BACKENDS[backend];
+  }
+  if (typeof backend === "object") return complete(backend);
+  throw new Error("Expected a compression backend or the name of one, got " + backend);
+}
+
+/**
+  Sets the compression backend used by default, returning the previous one.
+
+  @param {string | CompressionBackend} backend
+  @returns {Required<CompressionBackend>}
+**/
+function setDefault(backend) {
+  let previous = current;
+  current = resolve(backend);
+  return previous;
+}
+
+module.exports.backends = BACKENDS;
+module.exports.isAvailable = isAvailable;
+module.exports.resolve = resolve;
+module.exports.setDefault = setDefault;
@@ -0,0 +1,630 @@
+/*
+ * Small DEFLATE (RFC 1951) implementation, with the zlib (RFC 1950) and gzip (RFC 1952) wrappers.
+ * Used where Node's zlib isn't available; the compressor only emits fixed Huffman codes.
+ * Works on plain Uint8Arrays and doesn't depend on any Node module.
+ *
+ * See LICENSE for licensing details
+ */
+"use strict";
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+  Computes the CRC32 of `data`, as used by gzip and PNG chunks.
+
+  @param {Uint8Array} data
+  @returns {number}
+**/
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+  Computes the Adler-32 checksum of `data`, as used by zlib streams.
+
+  @param {Uint8Array} data
+  @returns {number}
+**/
+function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length;) {
+    // 5552 is the largest block for which `b` can't overflow before the modulo
+    let end = Math.min(i + 5552, data.length);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const WINDOW_SIZE = 32768;
+const MAX_MATCH = 258;
+const MIN_MATCH = 3;
+
+function fixedLiteralLengths() {
+  let lengths = new Uint8Array(288);
+  lengths.fill(8, 0, 144);
+  lengths.fill(9, 144, 256);
+  lengths.fill(7, 256, 280);
+  lengths.fill(8, 280, 288);
+  return lengths;
+}
+
+// == Decompression ==
+
+function dataError(message) {
+  return new Error(message);
+}
+
+class BitReader {
+  constructor(data, offset = 0) {
+    this.data = data;
+    this.pos = offset;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  bits(n) {
+    while (this.count < n) {
+      if (this.pos >= this.data.length) throw dataError("unexpected end of file");
+      this.buffer |= this.data[this.pos++] << this.count;
+      this.count += 8;
+    }
+    let value = this.buffer & ((1 << n) - 1);
+    this.buffer >>>= n;
+    this.count -= n;
+    return value;
+  }
+
+  // Drops the remaining bits of the current byte; `pos` then points to the next unread byte
+  align() {
+    this.buffer = 0;
+    this.count = 0;
+  }
+}
+
+class Output {
+  constructor(size) {
+    this.data = new Uint8Array(Math.max(size, 1024));
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.data.length) return;
+    let grown = new Uint8Array(Math.max(this.data.length * 2, this.length + n));
+    grown.set(this.data.subarray(0, this.length));
+    this.data = grown;
+  }
+
+  push(byte) {
+    this.reserve(1);
+    this.data[this.length++] = byte;
+  }
+
+  // Copies `length` bytes from `distance` bytes back; the ranges may overlap
+  copy(distance, length) {
+    if (distance > this.length) throw dataError("invalid distance too far back");
+    this.reserve(length);
+    let data = this.data;
+    for (let i = this.length - distance, end = i + length; i < end; i++) {
+      data[this.length++] = data[i];
+    }
+  }
+
+  result() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+// Canonical Huffman decoding table, in the style of zlib's `puff`
+function huffmanTable(lengths) {
+  let counts = new Uint16Array(16);
+  for (let length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  let offsets = new Uint16Array(16);
+  for (let length = 1; length < 15; length++) {
+    offsets[length + 1] = offsets[length] + counts[length];
+  }
+
+  let symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol] !== 0) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+
+  return {counts, symbols};
+}
+
+function decodeSymbol(reader, table) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let length = 1; length < 16; length++) {
+    code |= reader.bits(1);
+    let count = table.counts[length];
+    if (code - count < first) return table.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw dataError("invalid code");
+}
+
+let fixedTables = null;
+function getFixedTables() {
+  if (!fixedTables) {
+    fixedTables = {
+      literals: huffmanTable(fixedLiteralLengths()),
+      distances: huffmanTable(new Uint8Array(30).fill(5))
+    };
+  }
+  return fixedTables;
+}
+
+function dynamicTables(reader) {
+  let literalCount = reader.bits(5) + 257;
+  let distanceCount = reader.bits(5) + 1;
+  let codeLengthCount = reader.bits(4) + 4;
+  if (literalCount > 286 || distanceCount > 30) throw dataError("invalid dynamic block header");
+
+  let codeLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+  }
+  let codeLengthTable = huffmanTable(codeLengths);
+
+  let lengths = new Uint8Array(literalCount + distanceCount);
+  for (let index = 0; index < lengths.length;) {
+    let symbol = decodeSymbol(reader, codeLengthTable);
+    if (symbol < 16) {
+      lengths[index++] = symbol;
+      continue;
+    }
+
+    let value = 0;
+    let repeat;
+    if (symbol === 16) {
+      if (index === 0) throw dataError("invalid bit length repeat");
+      value = lengths[index - 1];
+      repeat = 3 + reader.bits(2);
+    } else if (symbol === 17) {
+      repeat = 3 + reader.bits(3);
+    } else {
+      repeat = 11 + reader.bits(7);
+    }
+    if (index + repeat > lengths.length) throw dataError("invalid bit length repeat");
+    lengths.fill(value, index, index + repeat);
+    index += repeat;
+  }
+  if (lengths[256] === 0) throw dataError("invalid code -- missing end-of-block");
+
+  return {
+    literals: huffmanTable(lengths.subarray(0, literalCount)),
+    distances: huffmanTable(lengths.subarray(literalCount))
+  };
+}
+
+function inflateBlock(reader, output, tables) {
+  for (;;) {
+    let symbol = decodeSymbol(reader, tables.literals);
+    if (symbol < 256) {
+      output.push(symbol);
+    } else if (symbol === 256) {
+      return;
+    } else {
+      symbol -= 257;
+      if (symbol >= 29) throw dataError("invalid literal/length code");
+      let length = LENGTH_BASE[symbol] + reader.bits(LENGTH_EXTRA[symbol]);
+      let code = decodeSymbol(reader, tables.distances);
+      if (code >= 30) throw dataError("invalid distance code");
+      output.copy(DISTANCE_BASE[code] + reader.bits(DISTANCE_EXTRA[code]), length);
+    }
+  }
+}
+
+// Decompresses the raw DEFLATE stream starting at `reader`'s position
+function inflateStream(reader, sizeHint) {
+  let output = new Output(sizeHint);
+  let last;
+  do {
+    last = reader.bits(1);
+    let type = reader.bits(2);
+
+    if (type === 0) {
+      reader.align();
+      let {data, pos} = reader;
+      if (pos + 4 > data.length) throw dataError("unexpected end of file");
+      let length = data[pos] | (data[pos + 1] << 8);
+      let complement = data[pos + 2] | (data[pos + 3] << 8);
+      if ((length ^ 0xffff) !== complement) throw dataError("invalid stored block lengths");
+      if (pos + 4 + length > data.length) throw dataError("unexpected end of file");
+      output.reserve(length);
+      output.data.set(data.subarray(pos + 4, pos + 4 + length), output.length);
+      output.length += length;
+      reader.pos = pos + 4 + length;
+    } else if (type === 1) {
+      inflateBlock(reader, output, getFixedTables());
+    } else if (type === 2) {
+      inflateBlock(reader, output, dynamicTables(reader));
+    } else {
+      throw dataError("invalid block type");
+    }
+  } while (!last);
+
+  reader.align();
+  return output.result();
+}
+
+function readUInt32LE(data, offset) {
+  return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+function readUInt32BE(data, offset) {
+  return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+}
+
+function isGzip(data) {
+  return data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b;
+}
+
+function isZlib(data) {
+  return data.length >= 2 && (data[0] & 0x0f) === 8 && (data[0] >> 4) <= 7 && ((data[0] << 8) | data[1]) % 31 === 0;
+}
+
+// Decompresses every gzip member of `data` and concatenates them, like `zlib.gunzipSync` does
+function gunzip(data) {
+  let members = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    if (members.length > 0 && !isGzip(data.subarray(offset))) break;
+    if (offset + 10 > data.length) throw dataError("unexpected end of file");
+    if (data[offset + 2] !== 8) throw dataError("unknown compression method");
+
+    let flags = data[offset + 3];
+    let pos = offset + 10;
+    if (flags & 4) pos += 2 + (data[pos] | (data[pos + 1] << 8)); // FEXTRA
+    if (flags & 8) while (pos < data.length && data[pos++] !== 0); // FNAME
+    if (flags & 16) while (pos < data.length && data[pos++] !== 0); // FCOMMENT
+    if (flags & 2) pos += 2; // FHCRC
+    if (pos > data.length) throw dataError("unexpected end of file");
+
+    let reader = new BitReader(data, pos);
+    let member = inflateStream(reader, (data.length - pos) * 4);
+    if (reader.pos + 8 > data.length) throw dataError("unexpected end of file");
+    if (readUInt32LE(data, reader.pos) !== crc32(member)) throw dataError("incorrect data check");
+    if (readUInt32LE(data, reader.pos + 4) !== (member.length >>> 0)) throw dataError("incorrect length check");
+
+    members.push(member);
+    offset = reader.pos + 8;
+  }
+
+  return concat(members);
+}
+
+function zlibInflate(data) {
+  if (data[1] & 0x20) throw dataError("need dictionary");
+  let reader = new BitReader(data, 2);
+  let result = inflateStream(reader, data.length * 4);
+  if (reader.pos + 4 > data.length) throw dataError("unexpected end of file");
+  if (readUInt32BE(data, reader.pos) !== adler32(result)) throw dataError("incorrect data check");
+  return result;
+}
+
+/**
+  Decompresses `data`, which may be gzip- or zlib-wrapped; the format is detected from its header.
+
+  @param {Uint8Array} data
+  @returns {Uint8Array}
+**/
+function inflate(data) {
+  if (isGzip(data)) return gunzip(data);
+  if (isZlib(data)) return zlibInflate(data);
+  if (data.length === 0) throw dataError("unexpected end of file");
+  throw dataError("incorrect header check");
+}
+
+/**
+  Decompresses a raw DEFLATE stream, without any header or checksum.
+
+  @param {Uint8Array} data
+  @returns {Uint8Array}
+**/
+function inflateRaw(data) {
+  return inflateStream(new BitReader(data), data.length * 4);
+}
+
+// == Compression ==
+
+class BitWriter {
+  constructor(size) {
+    this.data = new Uint8Array(Math.max(size, 1024));
+    this.length = 0;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.data.length) return;
+    let grown = new Uint8Array(Math.max(this.data.length * 2, this.length + n));
+    grown.set(this.data.subarray(0, this.length));
+    this.data = grown;
+  }
+
+  bits(value, n) {
+    this.buffer |= value << this.count;
+    this.count += n;
+    while (this.count >= 8) {
+      this.reserve(1);
+      this.data[this.length++] = this.buffer & 0xff;
+      this.buffer >>>= 8;
+      this.count -= 8;
+    }
+  }
+
+  align() {
+    if (this.count > 0) this.bits(0, 8 - this.count);
+  }
+
+  bytes(data) {
+    this.reserve(data.length);
+    this.data.set(data, this.length);
+    this.length += data.length;
+  }
+
+  result() {
+    this.align();
+    return this.data.slice(0, this.length);
+  }
+}
+
+function reverseBits(value, n) {
+  let result = 0;
+  for (let i = 0; i < n; i++) {
+    result = (result << 1) | ((value >> i) & 1);
+  }
+  return result;
+}
+
+// Huffman codes are packed starting from their most significant bit, so they're stored reversed
+let fixedCodes = null;
+function getFixedCodes() {
+  if (fixedCodes) return fixedCodes;
+
+  let lengths = fixedLiteralLengths();
+  let counts = new Uint16Array(16);
+  for (let length of lengths) counts[length]++;
+  let next = new Uint16Array(16);
+  for (let length = 1, code = 0; length < 16; length++) {
+    code = (code + counts[length - 1]) << 1;
+    next[length] = code;
+  }
+
+  let literals = new Uint16Array(288);
+  for (let symbol = 0; symbol < 288; symbol++) {
+    literals[symbol] = reverseBits(next[lengths[symbol]]++, lengths[symbol]);
+  }
+  let distances = new Uint16Array(30);
+  for (let code = 0; code < 30; code++) distances[code] = reverseBits(code, 5);
+
+  // Maps match lengths and distances to their codes
+  let lengthCodes = new Uint8Array(MAX_MATCH + 1);
+  for (let code = 0; code < 29; code++) {
+    let end = code === 28 ? MAX_MATCH + 1 : LENGTH_BASE[code + 1];
+    lengthCodes.fill(code, LENGTH_BASE[code], end);
+  }
+  let distanceCodes = new Uint8Array(WINDOW_SIZE + 1);
+  for (let code = 0; code < 30; code++) {
+    let end = code === 29 ? WINDOW_SIZE + 1 : DISTANCE_BASE[code + 1];
+    distanceCodes.fill(code, DISTANCE_BASE[code], end);
+  }
+
+  fixedCodes = {lengths, literals, distances, lengthCodes, distanceCodes};
+  return fixedCodes;
+}
+
+// How many candidates the match finder looks at, per compression level
+const CHAIN_LENGTHS = [0, 4, 8, 16, 32, 64, 128, 256, 1024, 4096];
+const DEFAULT_LEVEL = 6;
+
+function normalizeLevel(level) {
+  if (level === undefined || level === -1) return DEFAULT_LEVEL;
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    throw new RangeError(`Invalid compression level: ${level}`);
+  }
+  return level;
+}
+
+function deflateStored(data, writer) {
+  let offset = 0;
+  do {
+    let length = Math.min(data.length - offset, 0xffff);
+    let last = offset + length >= data.length ? 1 : 0;
+    writer.bits(last, 1);
+    writer.bits(0, 2);
+    writer.align();
+    writer.bytes([length & 0xff, length >> 8, ~length & 0xff, (~length >> 8) & 0xff]);
+    writer.bytes(data.subarray(offset, offset + length));
+    offset += length;
+  } while (offset < data.length);
+}
+
+function deflateFixed(data, writer, maxChain) {
+  let codes = getFixedCodes();
+  let literal = (symbol) => writer.bits(codes.literals[symbol], codes.lengths[symbol]);
+
+  let head = new Int32Array(1 << 15).fill(-1);
+  let previous = new Int32Array(WINDOW_SIZE);
+  let hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & 0x7fff;
+  let insert = (i) => {
+    if (i + MIN_MATCH > data.length) return;
+    let h = hash(i);
+    previous[i % WINDOW_SIZE] = head[h];
+    head[h] = i;
+  };
+
+  writer.bits(1, 1); // last block
+  writer.bits(1, 2); // fixed Huffman codes
+
+  for (let i = 0; i < data.length;) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (i + MIN_MATCH <= data.length) {
+      let limit = Math.min(MAX_MATCH, data.length - i);
+      let candidate = head[hash(i)];
+      for (let chain = maxChain; candidate >= 0 && i - candidate <= WINDOW_SIZE && chain > 0; chain--) {
+        let length = 0;
+        while (length < limit && data[candidate + length] === data[i + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = i - candidate;
+          if (length === limit) break;
+        }
+        candidate = previous[candidate % WINDOW_SIZE];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      let code = codes.lengthCodes[bestLength];
+      literal(257 + code);
+      writer.bits(bestLength - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+      code = codes.distanceCodes[bestDistance];
+      writer.bits(codes.distances[code], 5);
+      writer.bits(bestDistance - DISTANCE_BASE[code], DISTANCE_EXTRA[code]);
+      for (let end = i + bestLength; i < end; i++) insert(i);
+    } else {
+      literal(data[i]);
+      insert(i);
+      i++;
+    }
+  }
+
+  literal(256);
+}
+
+/**
+  Compresses `data` into a raw DEFLATE stream.
+
+  @param {Uint8Array} data
+  @param {{level?: number}} [options] - `level` goes from 0 (no compression) to 9 (slowest), defaults to 6
+  @returns {Uint8Array}
+**/
+function deflateRaw(data, options = {}) {
+  let level = normalizeLevel(options.level);
+  let storedSize = data.length + 5 * Math.ceil(data.length / 0xffff + 1);
+  if (level > 0) {
+    let writer = new BitWriter(data.length >> 1);
+    deflateFixed(data, writer, CHAIN_LENGTHS[level]);
+    // Incompressible data is cheaper to store as is
+    if (writer.length < storedSize) return writer.result();
+  }
+
+  let writer = new BitWriter(storedSize);
+  deflateStored(data, writer);
+  return writer.result();
+}
+
+/**
+  Compresses `data` into a zlib stream.
+
+  @param {Uint8Array} data
+  @param {{level?: number}} [options]
+  @returns {Uint8Array}
+**/
+function deflate(data, options = {}) {
+  let level = normalizeLevel(options.level);
+  let body = deflateRaw(data, {level});
+  let result = new Uint8Array(body.length + 6);
+  // FLEVEL hints at the compression level; the header must be a multiple of 31
+  let flags = [0x01, 0x5e, 0x5e, 0x5e, 0x5e, 0x5e, 0x9c, 0x9c, 0xda, 0xda][level];
+  result[0] = 0x78;
+  result[1] = flags;
+  result.set(body, 2);
+  writeUInt32BE(result, adler32(data), body.length + 2);
+  return result;
+}
+
+/**
+  Compresses `data` into a gzip file.
+
+  @param {Uint8Array} data
+  @param {{level?: number}} [options]
+  @returns {Uint8Array}
+**/
+function gzip(data, options = {}) {
+  let level = normalizeLevel(options.level);
+  let body = deflateRaw(data, {level});
+  let result = new Uint8Array(body.length + 18);
+  // Magic, method, flags, mtime, extra flags and OS (unknown)
+  result.set([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, level === 9 ? 2 : level === 1 ? 4 : 0, 255]);
+  result.set(body, 10);
+  writeUInt32LE(result, crc32(data), body.length + 10);
+  writeUInt32LE(result, data.length, body.length + 14);
+  return result;
+}
+
+function writeUInt32LE(data, value, offset) {
+  data[offset] = value & 0xff;
+  data[offset + 1] = (value >>> 8) & 0xff;
+  data[offset + 2] = (value >>> 16) & 0xff;
+  data[offset + 3] = (value >>> 24) & 0xff;
+}
+
+function writeUInt32BE(data, value, offset) {
+  data[offset] = (value >>> 24) & 0xff;
+  data[offset + 1] = (value >>> 16) & 0xff;
+  data[offset + 2] = (value >>> 8) & 0xff;
+  data[offset + 3] = value & 0xff;
+}
+
+/**
+  Concatenates byte arrays into a single Uint8Array.
+
+  @param {Uint8Array[]} chunks
+  @returns {Uint8Array}
+**/
+function concat(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  let length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  let result = new Uint8Array(length);
+  let offset = 0;
+  for (let chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+module.exports.crc32 = crc32;
+module.exports.adler32 = adler32;
+module.exports.inflate = inflate;
+module.exports.inflateRaw = inflateRaw;
+module.exports.deflate = deflate;
+module.exports.deflateRaw = deflateRaw;
+module.exports.gzip = gzip;
+module.exports.concat = concat;
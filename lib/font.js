@@ -0,0 +1,167 @@
+/*
+ * Built-in 8x8 CP437 bitmap font, used when no font sheet is given to the renderers.
+ *
+ * See LICENSE for licensing details
+ */
+"use strict";
+
+// Each glyph is 8 rows of 8 pixels, with the most significant bit on the left.
+// The box-drawing characters (0xb3 to 0xda) are generated below.
+const GLYPHS = [
+  // 0x00
+  "0000000000000000", "7e81a581bd99817e", "7effdbffc3e7ff7e", "6cfefefe7c381000",
+  "10387cfe7c381000", "387c38fefe7c387c", "1010387cfe7c387c", "0000183c3c180000",
+  "ffffe7c3c3e7ffff", "003c664242663c00", "ffc399bdbd99c3ff", "0f070f7dcccccc78",
+  "3c6666663c187e18", "3f333f303070f0e0", "7f637f636367e6c0", "995a3ce7e73c5a99",
+  // 0x10
+  "80e0f8fef8e08000", "020e3efe3e0e0200", "183c7e18187e3c18", "6666666666006600",
+  "7fdbdb7b1b1b1b00", "3e63386c6c38cc78", "000000007e7e7e00", "183c7e187e3c18ff",
+  "183c7e1818181800", "181818187e3c1800", "00180cfe0c180000", "003060fe60300000",
+  "0000c0c0c0fe0000", "002466ff66240000", "00183c7effff0000", "00ffff7e3c180000",
+  // 0x20
+  "0000000000000000", "3078783030003000", "6c6c6c0000000000", "6c6cfe6cfe6c6c00",
+  "307cc0780cf83000", "00c6cc183066c600", "386c3876dccc7600", "6060c00000000000",
+  "1830606060301800", "6030181818306000", "00663cff3c660000", "003030fc30300000",
+  "0000000000303060", "000000fc00000000", "0000000000303000", "060c183060c08000",
+  // 0x30
+  "7cc6cedef6e67c00", "307030303030fc00", "78cc0c3860ccfc00", "78cc0c380ccc7800",
+  "1c3c6cccfe0c1e00", "fcc0f80c0ccc7800", "3860c0f8cccc7800", "fccc0c1830303000",
+  "78cccc78cccc7800", "78cccc7c0c187000", "0030300000303000", "0030300000303060",
+  "183060c060301800", "0000fc0000fc0000", "6030180c18306000", "78cc0c1830003000",
+  // 0x40
+  "7cc6dededec07800", "3078ccccfccccc00", "fc66667c6666fc00", "3c66c0c0c0663c00",
+  "f86c6666666cf800", "fe6268786862fe00", "fe6268786860f000", "3c66c0c0ce663e00",
+  "ccccccfccccccc00", "7830303030307800", "1e0c0c0ccccc7800", "e6666c786c66e600",
+  "f06060606266fe00", "c6eefefed6c6c600", "c6e6f6decec6c600", "386cc6c6c66c3800",
+  // 0x50
+  "fc66667c6060f000", "78ccccccdc781c00", "fc66667c6c66e600", "78cce0701ccc7800",
+  "fcb4303030307800", "ccccccccccccfc00", "cccccccccc783000", "c6c6c6d6feeec600",
+  "c6c66c38386cc600", "cccccc7830307800", "fec68c183266fe00", "7860606060607800",
+  "c06030180c060200", "7818181818187800", "10386cc600000000", "00000000000000ff",
+  // 0x60
+  "3030180000000000", "0000780c7ccc7600", "e060607c6666dc00", "000078ccc0cc7800",
+  "1c0c0c7ccccc7600", "000078ccfcc07800", "386c60f06060f000", "000076cccc7c0cf8",
+  "e0606c766666e600", "3000703030307800", "0c000c0c0ccccc78", "e060666c786ce600",
+  "7030303030307800", "0000ccfefed6c600", "0000f8cccccccc00", "000078cccccc7800",
+  // 0x70
+  "0000dc66667c60f0", "000076cccc7c0c1e", "0000dc766660f000", "00007cc0780cf800",
+  "10307c3030341800", "0000cccccccc7600", "0000cccccc783000", "0000c6d6fefe6c00",
+  "0000c66c386cc600", "0000cccccc7c0cf8", "0000fc983064fc00", "1c3030e030301c00",
+  "1818180018181800", "e030301c3030e000", "76dc000000000000", "0010386cc6c6fe00",
+  // 0x80
+  "78ccc0cc78180c78", "00cc00cccccc7e00", "1c0078ccfcc07800", "7ec33c063e663f00",
+  "cc00780c7ccc7e00", "e000780c7ccc7e00", "3030780c7ccc7e00", "000078c0c0780c38",
+  "7ec33c667e603c00", "cc0078ccfcc07800", "e00078ccfcc07800", "cc00703030307800",
+  "7cc6381818183c00", "e000703030307800", "c6386cc6fec6c600", "30300078ccfccc00",
+  // 0x90
+  "1c00fc607860fc00", "00007f0c7fcc7f00", "3e6cccfecccece00", "78cc0078cccc7800",
+  "00cc0078cccc7800", "00e00078cccc7800", "78cc00cccccc7e00", "00e000cccccc7e00",
+  "00cc00cccc7c0cf8", "c3183c66663c1800", "cc00cccccccc7800", "18187ec0c07e1818",
+  "386c64f060e6fc00", "cccc78fc30fc3030", "f8ccccfac6cfc6c7", "0e1b183c1818d870",
+  // 0xa0
+  "1c00780c7ccc7e00", "3800703030307800", "001c0078cccc7800", "001c00cccccc7e00",
+  "00f800f8cccccc00", "fc00ccecfcdccc00", "3c6c6c3e007e0000", "386c6c38007c0000",
+  "30003060c0cc7800", "000000fcc0c00000", "000000fc0c0c0000", "c3c6ccde3366cc0f",
+  "c3c6ccdb376fcf03", "1818001818181800", "003366cc66330000", "00cc663366cc0000",
+  // 0xb0
+  "2288228822882288", "55aa55aa55aa55aa", "dd77dd77dd77dd77"
+];
+
+// Glyphs 0xdb to 0xff
+const GLYPHS_END = [
+  "ffffffffffffffff", "00000000ffffffff", "f0f0f0f0f0f0f0f0", "0f0f0f0f0f0f0f0f", "ffffffff00000000",
+  // 0xe0
+  "000076dcc8dc7600", "0078ccf8ccf8c0c0", "00fcccc0c0c0c000", "00fe6c6c6c6c6c00",
+  "fccc603060ccfc00", "00007ed8d8d87000", "00666666667c60c0", "0076dc1818181800",
+  "fc3078cccc7830fc", "386cc6fec66c3800", "386cc6c66c6cee00", "1c30187ccccc7800",
+  "00007edbdb7e0000", "060c7edbdb7e60c0", "3860c0f8c0603800", "78cccccccccccc00",
+  // 0xf0
+  "00fc00fc00fc0000", "3030fc303000fc00", "603018306000fc00", "183060301800fc00",
+  "0e1b1b1818181818", "1818181818d8d870", "303000fc00303000", "0076dc0076dc0000",
+  "386c6c3800000000", "0000001818000000", "0000000018000000", "0f0c0c0cec6c3c1c",
+  "786c6c6c6c000000", "7018306078000000", "00003c3c3c3c0000", "007e424242427e00"
+];
+
+/**
+  The box-drawing characters of CP437, as `[up, down, left, right]`,
+  where each direction is 0 (no line), 1 (single line) or 2 (double line).
+  @type {Object<number, number[]>}
+**/
+const BOX_DRAWING = {
+  0xb3: [1, 1, 0, 0], 0xb4: [1, 1, 1, 0], 0xb5: [1, 1, 2, 0], 0xb6: [2, 2, 1, 0],
+  0xb7: [0, 2, 1, 0], 0xb8: [0, 1, 2, 0], 0xb9: [2, 2, 2, 0], 0xba: [2, 2, 0, 0],
+  0xbb: [0, 2, 2, 0], 0xbc: [2, 0, 2, 0], 0xbd: [2, 0, 1, 0], 0xbe: [1, 0, 2, 0],
+  0xbf: [0, 1, 1, 0], 0xc0: [1, 0, 0, 1], 0xc1: [1, 0, 1, 1], 0xc2: [0, 1, 1, 1],
+  0xc3: [1, 1, 0, 1], 0xc4: [0, 0, 1, 1], 0xc5: [1, 1, 1, 1], 0xc6: [1, 1, 0, 2],
+  0xc7: [2, 2, 0, 1], 0xc8: [2, 0, 0, 2], 0xc9: [0, 2, 0, 2], 0xca: [2, 0, 2, 2],
+  0xcb: [0, 2, 2, 2], 0xcc: [2, 2, 0, 2], 0xcd: [0, 0, 2, 2], 0xce: [2, 2, 2, 2],
+  0xcf: [1, 0, 2, 2], 0xd0: [2, 0, 1, 1], 0xd1: [0, 1, 2, 2], 0xd2: [0, 2, 1, 1],
+  0xd3: [2, 0, 0, 1], 0xd4: [1, 0, 0, 2], 0xd5: [0, 1, 0, 2], 0xd6: [0, 2, 0, 1],
+  0xd7: [2, 2, 1, 1], 0xd8: [1, 1, 2, 2], 0xd9: [1, 0, 1, 0], 0xda: [0, 1, 0, 1]
+};
+
+/**
+  Draws the box-drawing character described by `[up, down, left, right]` as 8 rows of 8 pixels.
+  Single lines are two pixels thick and go through the center of the cell; double lines are drawn at rows/columns 2 and 5.
+
+  @param {number[]} lines
+  @returns {number[]}
+**/
+function drawBox([up, down, left, right]) {
+  let rows = new Array(8).fill(0);
+  let plot = (x, y) => rows[y] |= 0x80 >> x;
+  let vertical = (x, from, to) => { for (let y = from; y <= to; y++) plot(x, y); };
+  let horizontal = (y, from, to) => { for (let x = from; x <= to; x++) plot(x, y); };
+
+  // Single lines stop at the nearest double line if nothing continues on the other side
+  let doubleH = left === 2 || right === 2;
+  let doubleV = up === 2 || down === 2;
+  if (up === 1) [3, 4].forEach(x => vertical(x, 0, doubleH && !down ? 2 : 4));
+  if (down === 1) [3, 4].forEach(x => vertical(x, doubleH && !up ? 5 : 3, 7));
+  if (left === 1) [3, 4].forEach(y => horizontal(y, 0, doubleV && !right ? 2 : 4));
+  if (right === 1) [3, 4].forEach(y => horizontal(y, doubleV && !left ? 5 : 3, 7));
+
+  // Each line of a double arm stops at the line of the perpendicular double arm on its side, if there is one
+  if (up === 2) {
+    vertical(2, 0, left === 2 ? 2 : 5);
+    vertical(5, 0, right === 2 ? 2 : 5);
+  }
+  if (down === 2) {
+    vertical(2, left === 2 ? 5 : 2, 7);
+    vertical(5, right === 2 ? 5 : 2, 7);
+  }
+  if (left === 2) {
+    horizontal(2, 0, up === 2 ? 2 : 5);
+    horizontal(5, 0, down === 2 ? 2 : 5);
+  }
+  if (right === 2) {
+    horizontal(2, up === 2 ? 5 : 2, 7);
+    horizontal(5, down === 2 ? 5 : 2, 7);
+  }
+
+  return rows;
+}
+
+/**
+  The pixels of each of the 256 glyphs, 8 bytes per glyph (one per row), with the most significant bit on the left.
+  @type {Uint8Array}
+**/
+const DATA = new Uint8Array(256 * 8);
+
+function setGlyph(code, hex) {
+  if (!/^[0-9a-f]{16}$/.test(hex)) throw new Error(`Invalid font data for glyph ${code}: expected 16 hex digits, got "${hex}"`);
+  for (let y = 0; y < 8; y++) {
+    DATA[code * 8 + y] = Number.parseInt(hex.slice(y * 2, y * 2 + 2), 16);
+  }
+}
+
+GLYPHS.forEach((hex, code) => setGlyph(code, hex));
+GLYPHS_END.forEach((hex, i) => setGlyph(0xdb + i, hex));
+for (let code in BOX_DRAWING) {
+  DATA.set(drawBox(BOX_DRAWING[code]), code * 8);
+}
+
+module.exports.WIDTH = 8;
+module.exports.HEIGHT = 8;
+module.exports.DATA = DATA;
+module.exports.BOX_DRAWING = BOX_DRAWING;
@@ -0,0 +1,231 @@
+/*
+ * Minimal PNG encoder and decoder, used to render REXPaint images and to read font sheets.
+ * Works on plain Uint8Arrays, and compresses the image data with one of the backends of `compression.js`.
+ *
+ * See LICENSE for licensing details
+ */
+"use strict";
+
+const compression = require('./compression.js');
+const flate = require('./flate.js');
+
+const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const crc32 = flate.crc32;
+
+function readUInt16BE(data, offset) {
+  return (data[offset] << 8) | data[offset + 1];
+}
+
+function dataView(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * @typedef {Object} Bitmap
+ * A decoded image, with 8-bit RGBA pixels stored row by row.
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data
+ */
+
+function chunk(type, data) {
+  let res = new Uint8Array(12 + data.length);
+  let view = dataView(res);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) res[4 + i] = type.charCodeAt(i);
+  res.set(data, 8);
+  view.setUint32(8 + data.length, crc32(res.subarray(4, 8 + data.length)));
+  return res;
+}
+
+/**
+  Encodes an RGBA bitmap as a PNG file.
+
+  @param {Bitmap} bitmap
+  @param {{level?: number, compression?: string | CompressionBackend}} [options]
+  @returns {Uint8Array}
+**/
+function encode(bitmap, options = {}) {
+  let {width, height, data} = bitmap;
+  if (data.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${data.length}`);
+  }
+
+  let header = new Uint8Array(13);
+  dataView(header).setUint32(0, width);
+  dataView(header).setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  let stride = width * 4;
+  let raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Each scanline is stored unfiltered, and prefixed with its filter type (0)
+    raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  let backend = compression.resolve(options.compression);
+  return flate.concat([
+    SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", backend.deflateSync(raw, {format: "zlib", level: options.level})),
+    chunk("IEND", new Uint8Array(0))
+  ]);
+}
+
+const CHANNELS = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4};
+
+/**
+  Decodes a PNG file into an RGBA bitmap.
+  Supports every color type and bit depth, but not interlaced images.
+
+  @param {Uint8Array} buffer
+  @param {{compression?: string | CompressionBackend}} [options]
+  @returns {Bitmap}
+**/
+function decode(buffer, options = {}) {
+  if (buffer.length < 8 || SIGNATURE.some((byte, i) => buffer[i] !== byte)) {
+    throw new Error("Invalid PNG file: missing signature");
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let idat = [];
+
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    let length = dataView(buffer).getUint32(offset);
+    let type = String.fromCharCode(...buffer.subarray(offset + 4, offset + 8));
+    let data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (data.length !== length) throw new Error(`Invalid PNG file: truncated ${type} chunk`);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: dataView(data).getUint32(0),
+        height: dataView(data).getUint32(4),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      transparency = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) throw new Error("Invalid PNG file: missing IHDR chunk");
+  let {width, height, depth, colorType} = header;
+  if (!(colorType in CHANNELS)) throw new Error(`Invalid PNG file: unknown color type ${colorType}`);
+  if (header.interlace !== 0) throw new Error("Unsupported PNG file: interlaced images aren't supported");
+  if (colorType === 3 && !palette) throw new Error("Invalid PNG file: missing PLTE chunk");
+
+  let bitsPerPixel = CHANNELS[colorType] * depth;
+  let bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  let stride = Math.ceil(width * bitsPerPixel / 8);
+  let raw = compression.resolve(options.compression).inflateSync(flate.concat(idat));
+  if (raw.length < (stride + 1) * height) throw new Error("Invalid PNG file: truncated image data");
+
+  // Undo the per-scanline filters
+  let pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    let filter = raw[y * (stride + 1)];
+    let line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    let out = y * stride;
+    let previous = out - stride;
+
+    for (let x = 0; x < stride; x++) {
+      let left = x >= bytesPerPixel ? pixels[out + x - bytesPerPixel] : 0;
+      let up = y > 0 ? pixels[previous + x] : 0;
+      let upLeft = y > 0 && x >= bytesPerPixel ? pixels[previous + x - bytesPerPixel] : 0;
+      let value = line[x];
+
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += (left + up) >> 1;
+      } else if (filter === 4) {
+        let p = left + up - upLeft;
+        let pa = Math.abs(p - left);
+        let pb = Math.abs(p - up);
+        let pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      } else if (filter !== 0) {
+        throw new Error(`Invalid PNG file: unknown filter type ${filter}`);
+      }
+
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  // Reads the `index`-th sample of the row starting at `rowOffset`, scaled to 8 bits
+  let max = (1 << depth) - 1;
+  let sample = (rowOffset, index, scale) => {
+    if (depth === 16) return pixels[rowOffset + index * 2];
+    if (depth === 8) return pixels[rowOffset + index];
+    let bit = index * depth;
+    let value = (pixels[rowOffset + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+    return scale ? Math.round(value * 255 / max) : value;
+  };
+  let sample16 = (rowOffset, index) => depth === 16
+    ? readUInt16BE(pixels, rowOffset + index * 2)
+    : sample(rowOffset, index, false);
+
+  let data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    let row = y * stride;
+    for (let x = 0; x < width; x++) {
+      let o = (x + y * width) * 4;
+      let channels = CHANNELS[colorType];
+
+      if (colorType === 3) {
+        let index = sample(row, x, false);
+        data[o] = palette[index * 3];
+        data[o + 1] = palette[index * 3 + 1];
+        data[o + 2] = palette[index * 3 + 2];
+        data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        let gray = sample(row, x * channels, true);
+        data[o] = data[o + 1] = data[o + 2] = gray;
+        if (colorType === 4) {
+          data[o + 3] = sample(row, x * channels + 1, true);
+        } else {
+          let transparent = transparency && transparency.length >= 2
+            && sample16(row, x) === readUInt16BE(transparency, 0);
+          data[o + 3] = transparent ? 0 : 255;
+        }
+      } else {
+        data[o] = sample(row, x * channels, true);
+        data[o + 1] = sample(row, x * channels + 1, true);
+        data[o + 2] = sample(row, x * channels + 2, true);
+        if (colorType === 6) {
+          data[o + 3] = sample(row, x * channels + 3, true);
+        } else {
+          let transparent = transparency && transparency.length >= 6
+            && sample16(row, x * 3) === readUInt16BE(transparency, 0)
+            && sample16(row, x * 3 + 1) === readUInt16BE(transparency, 2)
+            && sample16(row, x * 3 + 2) === readUInt16BE(transparency, 4);
+          data[o + 3] = transparent ? 0 : 255;
+        }
+      }
+    }
+  }
+
+  return {width, height, data};
+}
+
+module.exports.encode = encode;
+module.exports.decode = decode;
+module.exports.crc32 = crc32;
@@ -12,26 +12,7 @@ rexpaintjs.fromBuffer(fs.readFileSync('test.xp'), (err, data) => {
     for (let i=0; i < data.layers.length; i++) {
       let layer = data.layers[i]
       console.log(`Layer ${i} size: ${layer.width}x${layer.height}`)
-
-      for (let y=0; y < layer.height; y++) {
-        let row = ''
-        for (let x=0; x < layer.width; x++) {
-          let cell = layer.raster[x + y * layer.width]
-
-          if (cell) {
-            if (cell.transparent) {
-              row += '\x1b[0m '
-            } else {
-              let c = String.fromCharCode(cell.asciiCode)
-              row += cell.ansiString
-            }
-          } else {
-            cell += ' '
-          }
-        }
-
-        console.log(row + "\x1b[0m")
-      }
+      console.log(layer.toAnsi())
     }
   }
 })
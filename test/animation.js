@@ -0,0 +1,84 @@
+const {Image, Layer, Pixel, Animation, toBufferSync, fromBufferSync} = require("../index.js");
+const assert = require("assert");
+
+(async () => {
+  // Slicing: 3x2 frames of 2x2 cells, with a margin of 1 and a spacing of 1
+  let sheet = new Image(-1);
+  sheet.layers.push(Layer.fromText([
+    ".........",
+    ".ab.cd.ef",
+    ".ab.cd.ef",
+    ".........",
+    ".gh.ij.kl",
+    ".gh.ij.kl",
+    "........."
+  ].join("\n")));
+  sheet.layers.push(new Layer(9, 7).fill(Pixel.TRANSPARENT));
+  sheet.layers[1].drawText(1, 1, "A");
+  sheet.layers[1].drawText(4, 4, "B");
+
+  let frames = sheet.slice({frameWidth: 2, frameHeight: 2, spacing: 1, margin: 1});
+  assert.strictEqual(frames.length, 6);
+  assert.deepStrictEqual(frames.map(frame => frame.layers[0].toText()[0]), ["ab", "cd", "ef", "gh", "ij", "kl"]);
+  assert.strictEqual(frames[0].version, -1);
+  assert.strictEqual(frames[0].layers.length, 2);
+  assert.strictEqual(frames[0].get(1, 0, 0).asciiCode, 65);
+
+  assert.strictEqual(sheet.slice({frameWidth: 4, frameHeight: 3}).length, 4);
+  assert.strictEqual(sheet.slice({frameWidth: 10, frameHeight: 1}).length, 0);
+  assert.throws(() => sheet.slice({frameWidth: 0, frameHeight: 2}));
+  assert.throws(() => sheet.slice({frameWidth: 2}));
+
+  // Animations
+  let animation = Animation.fromSheet(sheet, {frameWidth: 2, frameHeight: 2, spacing: 1, margin: 1, duration: [50, 20], labelLayer: 1});
+  assert.strictEqual(animation.frames.length, 6);
+  assert.deepStrictEqual(animation.frames.map(frame => frame.duration), [50, 20, 100, 100, 100, 100]);
+  assert.deepStrictEqual(animation.frames.map(frame => frame.label), ["A", null, null, null, "B", null]);
+  assert.strictEqual(animation.frames[0].image.layers.length, 1);
+  assert.strictEqual(animation.totalDuration, 470);
+  assert.throws(() => Animation.fromSheet(sheet, {frameWidth: 2, frameHeight: 2, labelLayer: 2}));
+
+  animation.addFrame(Layer.fromText("mn\nmn"), 10, "C");
+  assert.strictEqual(animation.frames[6].image.layers[0].toText()[0], "mn");
+  assert.throws(() => animation.addFrame("mn"));
+  assert.throws(() => animation.addFrame(new Layer(1, 1), -1));
+
+  // Packing frames back into a sheet
+  let packed = animation.toSheet({columns: 3, spacing: 1, margin: 1, labels: true});
+  assert.deepStrictEqual([packed.width, packed.height, packed.layers.length], [10, 10, 2]);
+  assert.deepStrictEqual(packed.layers[0].toText().slice(0, 6), [
+    "          ",
+    " ab cd ef ",
+    " ab cd ef ",
+    "          ",
+    " gh ij kl ",
+    " gh ij kl "
+  ]);
+  assert.ok(packed.get(0, 0, 0).transparent);
+
+  let unpacked = Animation.fromSheet(fromBufferSync(toBufferSync(packed)), {frameWidth: 2, frameHeight: 2, spacing: 1, margin: 1, labelLayer: 1});
+  assert.strictEqual(unpacked.frames.length, 9);
+  assert.deepStrictEqual(unpacked.frames.slice(0, 7).map(frame => frame.label), ["A", null, null, null, "B", null, "C"]);
+  assert.deepStrictEqual(unpacked.frames[6].image.layers[0].toText(), ["mn", "mn"]);
+  assert.throws(() => new Animation().toSheet());
+
+  // Playing to a terminal
+  let output = [];
+  let stream = {write: (chunk) => output.push(chunk)};
+  let short = new Animation({duration: 0});
+  short.addFrame(Layer.fromText("ab\ncd")).addFrame(Layer.fromText("ef\ngh"));
+  await short.play(stream, {loop: 2, colorDepth: 4});
+  assert.strictEqual(output.length, 4);
+  assert.strictEqual(output[0], short.frames[0].image.toAnsi({colorDepth: 4}) + "\n");
+  assert.strictEqual(output[1], "\x1b[2A\r" + short.frames[1].image.toAnsi({colorDepth: 4}) + "\n");
+  assert.ok(output[2].startsWith("\x1b[2A\r"));
+
+  output = [];
+  let controller = new AbortController();
+  controller.abort();
+  await short.play(stream, {loop: Infinity, signal: controller.signal});
+  assert.strictEqual(output.length, 0);
+
+  // Without an output, nothing is written to stdout if there is nothing to play
+  await new Animation().play();
+})();
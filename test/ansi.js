@@ -0,0 +1,41 @@
+const {Image, Layer, Pixel} = require("../index.js");
+const assert = require("assert");
+
+let layer = new Layer(4, 2);
+layer.fill(Pixel.from([65, "ffffff", "000000"]));
+layer.set(1, 0, Pixel.from([66, "ffffff", "000000"]));
+layer.set(2, 0, Pixel.from([67, "ff0000", "000000"]));
+layer.set(3, 0, Pixel.TRANSPARENT);
+layer.set(0, 1, Pixel.from([1, "00ff00", "0000ff"]));
+
+// Truecolor, with repeated escapes skipped and a reset at the end of each line
+assert.strictEqual(layer.toAnsi(), [
+  "\x1b[38;2;255;255;255;48;2;0;0;0mAB\x1b[38;2;255;0;0mC\x1b[0m ",
+  "\x1b[38;2;0;255;0;48;2;0;0;255m☺\x1b[38;2;255;255;255;48;2;0;0;0mAAA\x1b[0m"
+].join("\n"));
+
+// 256 colors
+let lines = layer.toAnsi({colorDepth: 8}).split("\n");
+assert.strictEqual(lines[0], "\x1b[38;5;231;48;5;16mAB\x1b[38;5;196mC\x1b[0m ");
+assert.ok(lines[1].startsWith("\x1b[38;5;46;48;5;21m☺"));
+
+// 16 colors
+lines = layer.toAnsi({colorDepth: 4}).split("\n");
+assert.strictEqual(lines[0], "\x1b[97;40mAB\x1b[31mC\x1b[0m ");
+assert.strictEqual(lines[1], "\x1b[32;44m☺\x1b[97;40mAAA\x1b[0m");
+
+// Transparent cells
+assert.strictEqual(layer.toAnsi({colorDepth: 4, transparent: "keep"}).split("\n")[0], "\x1b[97;40mAB\x1b[31mC\x1b[30;105m \x1b[0m");
+assert.strictEqual(
+  layer.toAnsi({colorDepth: 4, transparent: Pixel.from([46, "808080", "000000"])}).split("\n")[0],
+  "\x1b[97;40mAB\x1b[31mC\x1b[37m.\x1b[0m"
+);
+assert.throws(() => layer.toAnsi({colorDepth: 16}));
+
+// Images
+let image = new Image(-1);
+assert.strictEqual(image.toAnsi(), "");
+image.layers.push(layer, new Layer(4, 2).fill(Pixel.TRANSPARENT));
+image.layers[1].set(3, 0, Pixel.from([90, "ffffff", "000000"]));
+assert.strictEqual(image.toAnsi({colorDepth: 4}).split("\n")[0], "\x1b[97;40mAB\x1b[31mC\x1b[97mZ\x1b[0m");
+assert.strictEqual(image.toAnsi({colorDepth: 4, layers: 0}), layer.toAnsi({colorDepth: 4}));
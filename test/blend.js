@@ -0,0 +1,137 @@
+const {Image, Layer, Pixel, Color, toHTML, toBBCode} = require("../index.js");
+const assert = require("assert");
+
+function cell(layer, x, y) {
+  let pixel = layer.get(x, y);
+  return [pixel.unicodeChar, pixel.fg.hex, pixel.bg.hex];
+}
+
+function makeImage() {
+  let image = new Image(0);
+  image.addLayer({width: 3, height: 1, fill: Pixel.from([46, "808080", "204060"]), name: "floor"});
+  image.addLayer({name: "overlay"});
+  image.layers[1].set(0, 0, Pixel.from([64, "ffffff", "000000"]));
+  image.layers[1].set(1, 0, Pixel.from([32, "000000", "ffffff"]));
+  return image;
+}
+
+// Metadata
+let image = makeImage();
+let [floor, overlay] = image.layers;
+assert.deepStrictEqual(
+  [floor.name, floor.visible, floor.locked, floor.blendMode, floor.opacity],
+  ["floor", true, false, "replace", 1]
+);
+assert.strictEqual(new Layer(1, 1).name, null);
+assert.throws(() => image.addLayer({blendMode: "multiply"}), /Expected 'blendMode' to be one of replace, glyph, tint, alpha/);
+assert.throws(() => image.addLayer({opacity: 2}), /opacity/);
+assert.strictEqual(image.layers.length, 2);
+
+overlay.opacity = 0.25;
+let copy = Layer.from(overlay);
+assert.deepStrictEqual([copy.name, copy.opacity], ["overlay", 0.25]);
+assert.strictEqual(image.duplicateLayer(1).name, "overlay");
+image.removeLayer(2);
+overlay.opacity = 1;
+
+// "replace", the default, is the previous behavior
+let merged = image.mergeLayers();
+assert.deepStrictEqual([0, 1, 2].map(x => cell(merged, x, 0)), [
+  ["@", "ffffff", "000000"],
+  [" ", "000000", "ffffff"],
+  [".", "808080", "204060"]
+]);
+
+// Hidden layers are left out, even if they are selected explicitly
+overlay.visible = false;
+assert.deepStrictEqual(cell(image.mergeLayers(), 0, 0), [".", "808080", "204060"]);
+assert.deepStrictEqual(cell(image.mergeLayers([0, 1]), 0, 0), [".", "808080", "204060"]);
+assert.strictEqual(image.mergeLayers(1), null);
+assert.strictEqual(image.toAnsi({layers: 1}), "");
+floor.visible = false;
+assert.strictEqual(image.mergeLayers(), null);
+floor.visible = true;
+overlay.visible = true;
+
+// "glyph" keeps the background below
+overlay.blendMode = "glyph";
+merged = image.mergeLayers();
+assert.deepStrictEqual(cell(merged, 0, 0), ["@", "ffffff", "204060"]);
+assert.deepStrictEqual(cell(merged, 1, 0), [" ", "000000", "204060"]);
+
+// "tint" only mixes the background
+overlay.blendMode = "tint";
+overlay.opacity = 0.5;
+merged = image.mergeLayers();
+assert.deepStrictEqual(cell(merged, 0, 0), [".", "808080", "102030"]);
+assert.deepStrictEqual(cell(merged, 1, 0), [".", "808080", "90a0b0"]);
+assert.deepStrictEqual(cell(merged, 2, 0), [".", "808080", "204060"]);
+
+// "alpha" mixes the whole cell; blank cells tint the glyph below
+overlay.blendMode = "alpha";
+merged = image.mergeLayers();
+assert.deepStrictEqual(cell(merged, 0, 0), ["@", "c0c0c0", "102030"]);
+assert.deepStrictEqual(cell(merged, 1, 0), [".", "c0c0c0", "90a0b0"]);
+overlay.opacity = 0.25;
+merged = image.mergeLayers();
+assert.deepStrictEqual(cell(merged, 0, 0), [".", "a0a0a0", "183048"]);
+overlay.opacity = 0;
+assert.deepStrictEqual(image.mergeLayers().toText(), ["..."]);
+
+// Cells drawn over transparent cells replace them
+let fog = image.addLayer({blendMode: "alpha", opacity: 0.5, fill: Pixel.from([32, "000000", "000000"])});
+floor.set(2, 0, Pixel.TRANSPARENT);
+overlay.opacity = 1;
+overlay.blendMode = "replace";
+merged = image.mergeLayers();
+assert.deepStrictEqual(cell(merged, 0, 0), ["@", "808080", "000000"]);
+assert.deepStrictEqual(cell(merged, 2, 0), [" ", "000000", "000000"]);
+
+fog.opacity = -1;
+assert.throws(() => image.mergeLayers(), /opacity/);
+fog.opacity = 0.5;
+
+// Configurable transparency key
+let keyed = new Image(0);
+keyed.addLayer({width: 2, height: 1, fill: Pixel.from([35, "ffffff", "000000"])});
+keyed.addLayer({fill: Pixel.from([0, "000000", "00ff00"])});
+keyed.layers[1].set(1, 0, Pixel.from([64, "ffff00", "000080"]));
+assert.deepStrictEqual(keyed.mergeLayers().toText(), [" @"]);
+merged = keyed.mergeLayers("all", {transparentKey: "00ff00"});
+assert.deepStrictEqual(merged.toText(), ["#@"]);
+let keyedTop = keyed.mergeLayers([1], {transparentKey: [0, 255, 0]});
+assert.strictEqual(keyedTop.count(), 1);
+assert.deepStrictEqual(keyedTop.transparentKey, new Color(0, 255, 0));
+assert.deepStrictEqual(Layer.from(keyedTop).bounds(), {x: 1, y: 0, width: 1, height: 1});
+assert.strictEqual(keyed.mergeLayers().transparentKey, null);
+
+// Opaque magenta cells aren't mistaken for transparent ones when another key is used
+let magenta = new Image(0);
+magenta.addLayer({width: 2, height: 1, fill: Pixel.from([66, "ffffff", "ff00ff"])});
+magenta.addLayer({fill: Pixel.from([0, "000000", "000000"])});
+let opaque = magenta.mergeLayers("all", {transparentKey: "000000"});
+assert.deepStrictEqual(opaque.toText(), ["BB"]);
+assert.strictEqual(opaque.count(), 2);
+assert.strictEqual(toBBCode(magenta, {transparentKey: "000000"}), "[color=#ffffff]BB[/color]");
+assert.throws(() => keyed.mergeLayers("all", {transparentKey: "green"}), /transparentKey/);
+assert.strictEqual(
+  keyed.toAnsi({transparentKey: new Color(0, 255, 0), colorDepth: 4}),
+  keyed.mergeLayers("all", {transparentKey: "00ff00"}).toAnsi({colorDepth: 4})
+);
+assert.strictEqual(toBBCode(keyed, {transparentKey: "00ff00"}), "[color=#ffffff]#[/color][color=#ffff00]@[/color]");
+assert.strictEqual(toHTML(keyed, {transparentKey: "00ff00"}), toHTML(merged));
+
+// Locked layers aren't modified by Image::set and Image::blit
+floor.locked = true;
+assert.strictEqual(image.set(0, 0, 0, Pixel.from([88, "ffffff", "000000"])), false);
+assert.strictEqual(image.set(1, 0, 0, Pixel.from([88, "ffffff", "000000"])), true);
+let source = new Image(0);
+source.addLayer({width: 3, height: 1, fill: Pixel.from([49, "ffffff", "000000"])});
+source.addLayer({fill: Pixel.from([50, "ffffff", "000000"])});
+assert.strictEqual(image.blit(source, 0, 0), 3);
+assert.deepStrictEqual(floor.toText(), [".. "]);
+assert.deepStrictEqual(overlay.toText(), ["222"]);
+
+// The lock is advisory: the layer's own methods still write to it
+assert.strictEqual(floor.set(0, 0, Pixel.from([88, "ffffff", "000000"])), true);
+assert.strictEqual(floor.get(0, 0).unicodeChar, "X");
@@ -0,0 +1,99 @@
+const rexpaint = require("../index.js");
+const main = require("../bin/rexpaint.js");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+async function run(...args) {
+  let stdout = "";
+  let stderr = "";
+  let code = await main(args, {
+    stdout: {write: (chunk) => stdout += chunk},
+    stderr: {write: (chunk) => stderr += chunk}
+  });
+  return {code, stdout, stderr};
+}
+
+(async () => {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), "rexpaint-"));
+  let file = (name) => path.join(dir, name);
+
+  try {
+    let image = new rexpaint.Image(-1);
+    image.addLayer(rexpaint.Layer.fromText("ab\ncd", {fg: "ff0000", bg: "000000"}));
+    image.addLayer().set(1, 0, rexpaint.Pixel.from([69, "ffffff", "0000ff"]));
+    fs.writeFileSync(file("image.xp"), rexpaint.toBufferSync(image));
+
+    // info
+    let res = await run("info", file("image.xp"));
+    assert.strictEqual(res.code, 0);
+    assert.deepStrictEqual(res.stdout.split("\n"), [
+      "version: -1",
+      "size: 2x2",
+      "layers: 2",
+      "  layer 0: 2x2, 4 visible cells",
+      "  layer 1: 2x2, 1 visible cells",
+      "glyphs: 5 (69 'E' x1, 97 'a' x1, 98 'b' x1, 99 'c' x1, 100 'd' x1)",
+      "colors: 4 (#000000 x4, #ff0000 x4, #0000ff x1, #ffffff x1)",
+      ""
+    ]);
+    let info = JSON.parse((await run("info", file("image.xp"), "--json")).stdout);
+    assert.deepStrictEqual(info.layers[1], {width: 2, height: 2, visible: true, visibleCells: 1});
+
+    // info uses the transparent key and the visibility of each layer, like mergeLayers
+    let keyed = rexpaint.fromBufferSync(rexpaint.toBufferSync(image));
+    keyed.layers[0].transparentKey = rexpaint.Color.from("000000");
+    keyed.layers[1].visible = false;
+    info = main.describe(keyed);
+    assert.deepStrictEqual(info.layers.map(layer => [layer.visible, layer.visibleCells]), [[true, 0], [false, 0]]);
+    assert.deepStrictEqual(info.glyphs, []);
+
+    // cat
+    res = await run("cat", file("image.xp"), "--layers=0", "--color-depth", "4");
+    assert.strictEqual(res.stdout, image.toAnsi({layers: [0], colorDepth: 4}) + "\n");
+
+    // convert
+    for (let ext of ["csv", "xml", "txt", "ans", "html", "bbcode", "png", "xpm"]) {
+      res = await run("convert", file("image.xp"), file("image." + ext));
+      assert.strictEqual(res.code, 0, res.stderr);
+    }
+    assert.strictEqual(fs.readFileSync(file("image.txt"), "utf8"), "aE\ncd\n");
+    assert.strictEqual(fs.readFileSync(file("image.html"), "utf8"), rexpaint.toHTML(image));
+    assert.deepStrictEqual(fs.readFileSync(file("image.png")), rexpaint.renderToPng(image));
+
+    await run("convert", file("image.xml"), file("copy.xp"));
+    assert.deepStrictEqual(rexpaint.fromBufferSync(fs.readFileSync(file("copy.xp"))), image);
+    await run("convert", file("image.csv"), file("copy.xp"));
+    assert.deepStrictEqual(rexpaint.fromBufferSync(fs.readFileSync(file("copy.xp"))).layers, [image.mergeLayers()]);
+    await run("convert", file("image.xp"), file("copy.xp"), "--layers", "1");
+    assert.deepStrictEqual(rexpaint.fromBufferSync(fs.readFileSync(file("copy.xp"))).layers, [image.layers[1]]);
+
+    // merge
+    res = await run("merge", file("image.xp"), file("merged.xp"));
+    assert.strictEqual(res.code, 0);
+    assert.deepStrictEqual(rexpaint.fromBufferSync(fs.readFileSync(file("merged.xp"))).layers, [image.mergeLayers()]);
+
+    // validate
+    fs.writeFileSync(file("truncated.xp"), zlib.gzipSync(rexpaint.toBufferSync(image, {inflated: true}).subarray(0, 30)));
+    res = await run("validate", file("image.xp"), file("truncated.xp"));
+    assert.strictEqual(res.code, 1);
+    let lines = res.stdout.split("\n");
+    assert.strictEqual(lines[0], `${file("image.xp")}: ok`);
+    assert.ok(lines[1].startsWith(`${file("truncated.xp")}: `));
+    assert.strictEqual((await run("validate", file("image.xp"))).code, 0);
+
+    // Errors
+    res = await run("convert", file("image.xp"), file("image.gif"));
+    assert.strictEqual(res.code, 2);
+    assert.ok(res.stderr.startsWith("rexpaint: Unsupported output format"));
+    assert.strictEqual((await run("cat", file("missing.xp"))).code, 1);
+    assert.strictEqual((await run("cat", file("image.xp"), "--layers", "x")).code, 2);
+    assert.strictEqual((await run("validate", file("image.xp"), "--inflated")).code, 2);
+    assert.strictEqual((await run()).code, 2);
+    assert.ok((await run("--help")).stdout.startsWith("Usage: rexpaint"));
+  } finally {
+    fs.rmSync(dir, {recursive: true});
+  }
+})();
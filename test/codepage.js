@@ -0,0 +1,92 @@
+const {Image, Layer, Pixel, Codepage, toHTML, toBBCode, diff, formatDiff} = require("../index.js");
+const assert = require("assert");
+
+// The built-in CP437 codepage
+assert.strictEqual(Codepage.get("cp437"), Codepage.CP437);
+assert.strictEqual(Codepage.DEFAULT, Codepage.CP437);
+assert.strictEqual(Codepage.CP437.toUnicode(1), "☺");
+assert.strictEqual(Codepage.CP437.toUnicode(0), null);
+assert.strictEqual(Codepage.CP437.toUnicode(256), null);
+assert.strictEqual(Codepage.CP437.fromUnicode("é"), 130);
+assert.strictEqual(Codepage.CP437.fromUnicode("β"), 225);
+assert.strictEqual(Codepage.CP437.fromUnicode("🐀"), null);
+assert.strictEqual(Pixel.UNICODE_TABLE[65], "A");
+assert.strictEqual(Pixel.REVERSE_UNICODE_TABLE.get("A"), 65);
+
+// Custom codepages fall back on their base
+let tiles = Codepage.register(new Codepage("tiles", {0xe0: "🐀", 0xe1: "🐍", 0x100: "🗝"}, {base: "cp437", aliases: {"🐭": 0xe0}}));
+assert.strictEqual(Codepage.get("tiles"), tiles);
+assert.ok(Codepage.list().includes("tiles"));
+assert.deepStrictEqual([0xe0, 0xe1, 0x100, 65, 0xe2].map(code => tiles.toUnicode(code)), ["🐀", "🐍", "🗝", "A", "Γ"]);
+assert.deepStrictEqual(["🐀", "🐭", "🗝", "A", "Γ"].map(char => tiles.fromUnicode(char)), [0xe0, 0xe0, 0x100, 65, 0xe2]);
+assert.strictEqual(tiles.fromUnicode("α"), null);
+assert.strictEqual(tiles.fromUnicode("β"), null);
+
+let standalone = new Codepage("standalone", ["", "x", "y", "x"]);
+assert.strictEqual(standalone.toUnicode(3), "x");
+assert.strictEqual(standalone.fromUnicode("x"), 1);
+assert.strictEqual(standalone.fromUnicode("A"), null);
+assert.strictEqual(Codepage.get("standalone"), null);
+assert.strictEqual(new Codepage("map", new Map([[300, "@"]])).toUnicode(300), "@");
+
+assert.throws(() => new Codepage("", []), /non-empty string/);
+assert.throws(() => new Codepage("bad", "abc"), /Expected 'table'/);
+assert.throws(() => new Codepage("bad", {"-1": "a"}), /Invalid glyph code/);
+assert.throws(() => new Codepage("bad", [42]), /Invalid character for glyph 0/);
+assert.throws(() => new Codepage("bad", [], {base: "nope"}), /Unknown codepage "nope"/);
+assert.throws(() => Codepage.register({name: "fake"}), /expected `codepage` to be a Codepage/);
+
+// Pixels
+let rat = Pixel.from([0xe0, "ff0000", "000000"]);
+assert.strictEqual(rat.unicodeChar, "α");
+assert.strictEqual(rat.getUnicodeChar("tiles"), "🐀");
+assert.strictEqual(rat.getAnsiString(tiles), "\x1b[38;2;255;0;0m\x1b[48;2;0;0;0m🐀");
+assert.strictEqual(Pixel.from([0x100, "ffffff", "000000"]).unicodeChar, "");
+assert.strictEqual(Pixel.fromUnicode("🗝", "tiles"), 0x100);
+assert.strictEqual(Pixel.fromUnicode("🗝"), null);
+assert.throws(() => rat.getUnicodeChar(42), /Expected 'codepage'/);
+
+// Layers
+let layer = Layer.fromText("🐀.🗝\n@🐍", {codepage: "tiles"});
+assert.deepStrictEqual([layer.width, layer.height], [3, 2]);
+assert.deepStrictEqual([...layer.glyphs], [0xe0, 46, 0x100, 64, 0xe1, 32]);
+assert.deepStrictEqual(layer.toText(), ["α. ", "@ß "]);
+assert.deepStrictEqual(layer.toText({codepage: tiles}), ["🐀.🗝", "@🐍 "]);
+assert.deepStrictEqual(Layer.fromText("🐀").toText(), ["?"]);
+
+let drawn = new Layer(3, 1).fill(Pixel.from([32, "ffffff", "000000"]));
+assert.strictEqual(drawn.drawText(0, 0, "🐍🐀¤", null, null, {codepage: "tiles"}), 3);
+assert.deepStrictEqual([...drawn.glyphs], [0xe1, 0xe0, 63]);
+assert.strictEqual(drawn.toAnsi({codepage: "tiles", colorDepth: 4}), "\x1b[97;40m🐍🐀?\x1b[0m");
+
+// Images and exporters
+let image = new Image(-1);
+image.layers.push(layer);
+assert.strictEqual(image.toAnsi({colorDepth: 4}).split("\n")[0], "\x1b[97;40mα. \x1b[0m");
+image.codepage = "tiles";
+assert.strictEqual(image.toAnsi({colorDepth: 4}).split("\n")[0], "\x1b[97;40m🐀.🗝\x1b[0m");
+assert.strictEqual(image.toAnsi({colorDepth: 4, codepage: "cp437"}).split("\n")[0], "\x1b[97;40mα. \x1b[0m");
+assert.ok(toHTML(image).includes("🐀.🗝"));
+assert.ok(toHTML(layer).includes("α. "));
+assert.ok(toHTML(layer, {codepage: tiles}).includes("🐀.🗝"));
+assert.strictEqual(toBBCode(image), "[color=#ffffff]🐀.🗝[/color]\n[color=#ffffff]@🐍[/color]");
+assert.strictEqual(image.slice({frameWidth: 1, frameHeight: 1})[0].codepage, "tiles");
+assert.deepStrictEqual(JSON.parse(JSON.stringify(image)), JSON.parse(JSON.stringify({version: -1, layers: [layer]})));
+
+image.codepage = "unregistered";
+assert.throws(() => image.toAnsi(), /Unknown codepage "unregistered"/);
+
+let before = new Image(-1);
+before.layers.push(Layer.fromText("."));
+let after = new Image(-1);
+after.layers.push(Layer.fromText("🐀", {codepage: tiles}));
+assert.ok(formatDiff(diff(before, after), {codepage: "tiles"}).includes("'🐀' 224"));
+
+// The default codepage can be changed
+Codepage.DEFAULT = tiles;
+try {
+  assert.strictEqual(rat.unicodeChar, "🐀");
+  assert.deepStrictEqual(layer.toText(), ["🐀.🗝", "@🐍 "]);
+} finally {
+  Codepage.DEFAULT = Codepage.CP437;
+}
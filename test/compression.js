@@ -0,0 +1,131 @@
+const rexpaint = require("../index.js");
+const {Image, Layer, Pixel, Color, setCompression, compressionBackends} = rexpaint;
+const flate = require("../lib/flate.js");
+const png = require("../lib/png.js");
+const assert = require("assert");
+const fs = require("fs");
+const zlib = require("zlib");
+
+// The bundled DEFLATE implementation is compatible with zlib
+let samples = [
+  new Uint8Array(0),
+  Buffer.from("a"),
+  Buffer.from("abcabcabcabcabcabc".repeat(50)),
+  zlib.unzipSync(fs.readFileSync("test.xp")),
+  new Uint8Array(70000).map((_, i) => (i * 7919) % 251)
+];
+for (let sample of samples) {
+  for (let level of [undefined, 0, 1, 9]) {
+    assert.deepStrictEqual(zlib.gunzipSync(flate.gzip(sample, {level})), Buffer.from(sample));
+    assert.deepStrictEqual(zlib.inflateSync(flate.deflate(sample, {level})), Buffer.from(sample));
+  }
+  assert.deepStrictEqual(Buffer.from(flate.inflate(zlib.gzipSync(sample))), Buffer.from(sample));
+  assert.deepStrictEqual(Buffer.from(flate.inflate(zlib.deflateSync(sample, {level: 9}))), Buffer.from(sample));
+  assert.deepStrictEqual(Buffer.from(flate.inflateRaw(zlib.deflateRawSync(sample))), Buffer.from(sample));
+}
+assert.strictEqual(Buffer.from(flate.inflate(Buffer.concat([zlib.gzipSync("ab"), zlib.gzipSync("cd")]))).toString(), "abcd");
+assert.strictEqual(flate.adler32(Buffer.from("Wikipedia")), 0x11e60398);
+assert.throws(() => flate.inflate(zlib.gzipSync("hello").subarray(0, 12)), /unexpected end of file/);
+assert.throws(() => flate.inflate(Buffer.from("not compressed")), /incorrect header check/);
+let corrupted = zlib.gzipSync("hello");
+corrupted[corrupted.length - 8] ^= 1;
+assert.throws(() => flate.inflate(corrupted), /incorrect data check/);
+assert.throws(() => flate.gzip(samples[1], {level: 10}), RangeError);
+
+// Backends can be picked per call, and produce the same images
+let buffer = fs.readFileSync("test.xp");
+let expected = rexpaint.fromBufferSync(buffer, {compression: "node"});
+let bundledImage = rexpaint.fromBufferSync(buffer, {compression: "bundled"});
+assert.deepStrictEqual(bundledImage, expected);
+
+let written = rexpaint.toBufferSync(expected, {compression: "bundled"});
+assert.ok(Buffer.isBuffer(written));
+assert.deepStrictEqual(rexpaint.fromBufferSync(written, {compression: "node"}), expected);
+assert.deepStrictEqual(zlib.unzipSync(written), zlib.unzipSync(buffer));
+
+// Plain Uint8Arrays and ArrayBuffers are accepted as input
+let bytes = new Uint8Array(buffer);
+assert.deepStrictEqual(rexpaint.fromBufferSync(bytes, {compression: "bundled"}), expected);
+assert.deepStrictEqual(rexpaint.fromBufferSync(bytes.buffer, {compression: "bundled"}), expected);
+assert.throws(() => rexpaint.fromBufferSync("test.xp"), /Expected a Buffer/);
+
+// PNG files go through the same backends
+let layer = new Layer(3, 2);
+layer.fill(new Pixel(65, new Color(255, 255, 255), new Color(0, 0, 128)));
+let rendered = rexpaint.renderToPng(layer, {compression: "bundled"});
+assert.ok(Buffer.isBuffer(rendered));
+assert.deepStrictEqual(png.decode(rendered, {compression: "node"}), png.decode(rexpaint.renderToPng(layer, {compression: "node"})));
+
+// Custom backends only need to implement one set of functions
+let calls = [];
+let custom = {
+  name: "custom",
+  inflateSync(data) {
+    calls.push("inflate");
+    return flate.inflate(data);
+  },
+  deflateSync(data, options) {
+    calls.push(options.format);
+    return flate.gzip(data, options);
+  }
+};
+assert.deepStrictEqual(rexpaint.fromBufferSync(rexpaint.toBufferSync(expected, {compression: custom}), {compression: custom}), expected);
+assert.deepStrictEqual(calls, ["gzip", "inflate"]);
+assert.throws(() => rexpaint.toBufferSync(expected, {compression: {name: "empty"}}), /inflateSync and deflateSync/);
+assert.throws(() => rexpaint.toBufferSync(expected, {compression: "brotli"}), /Unknown compression backend "brotli"/);
+
+// The default backend can be changed
+let previous = setCompression("bundled");
+try {
+  assert.deepStrictEqual(rexpaint.fromBufferSync(rexpaint.toBufferSync(expected)), expected);
+} finally {
+  setCompression(previous);
+}
+assert.throws(() => setCompression(42));
+
+(async () => {
+  for (let name of ["node", "bundled", "streams"]) {
+    let encoded = await rexpaint.toBuffer(expected, {compression: name});
+    assert.ok(Buffer.isBuffer(encoded));
+    assert.deepStrictEqual(zlib.unzipSync(encoded), zlib.unzipSync(buffer));
+    assert.deepStrictEqual(await rexpaint.fromBuffer(buffer, {compression: name}), expected);
+  }
+
+  // The streams backend is asynchronous only
+  assert.throws(() => rexpaint.fromBufferSync(buffer, {compression: "streams"}), /doesn't support synchronous operations/);
+  assert.deepStrictEqual(
+    Buffer.from(await compressionBackends.streams.inflate(zlib.deflateSync(samples[2]))),
+    Buffer.from(samples[2])
+  );
+
+  // Custom asynchronous backends
+  let asyncBackend = {
+    inflate: async (data) => zlib.unzipSync(data),
+    deflate: async (data) => zlib.gzipSync(data)
+  };
+  let encoded = await rexpaint.toBuffer(expected, {compression: asyncBackend});
+  assert.deepStrictEqual(await rexpaint.fromBuffer(encoded, {compression: asyncBackend}), expected);
+  assert.throws(() => rexpaint.toBufferSync(expected, {compression: asyncBackend}), /"custom" compression backend/);
+
+  await assert.rejects(rexpaint.fromBuffer(Buffer.from("not gzipped"), {compression: "bundled"}), /incorrect header check/);
+
+  // The callback form still works, with or without options
+  let fromCallback = await new Promise((resolve, reject) => {
+    rexpaint.toBuffer(expected, {compression: "bundled", level: 0}, (err, res) => err ? reject(err) : resolve(res));
+  });
+  assert.deepStrictEqual(zlib.unzipSync(fromCallback), zlib.unzipSync(buffer));
+
+  // The ES module entry point exposes the same classes
+  let esm = await import("../index.mjs");
+  assert.strictEqual(esm.default, rexpaint);
+  assert.strictEqual(esm.Image, Image);
+  for (let name of Object.keys(rexpaint)) {
+    assert.strictEqual(esm[name], rexpaint[name], `index.mjs should export ${name}`);
+  }
+
+  // The files that could be required before the export map was added still can be
+  assert.strictEqual(require("rexpaintjs-fork/index.js"), rexpaint);
+  assert.strictEqual(typeof require("rexpaintjs-fork/bin/rexpaint.js"), "function");
+  assert.strictEqual(require("rexpaintjs-fork/lib/png.js"), png);
+  assert.strictEqual((await import("rexpaintjs-fork/index.mjs")).default, rexpaint);
+})();
@@ -0,0 +1,43 @@
+const {Image, Layer, Pixel, fromCSV, fromBufferSync, toBufferSync} = require("../index.js");
+const fs = require("fs");
+const assert = require("assert");
+
+let image = new Image(-1);
+let layer = new Layer(2, 2).fill(Pixel.TRANSPARENT);
+layer.set(1, 0, Pixel.from([64, "ff8000", "000000"]));
+layer.set(0, 1, Pixel.from([300, "0a0b0c", "102030"]));
+image.layers.push(layer);
+
+let csv = image.toCSV(0);
+assert.strictEqual(csv, [
+  "x,y,glyph,fg,bg",
+  "0,0,32,000000,ff00ff",
+  "1,0,64,ff8000,000000",
+  "0,1,300,0a0b0c,102030",
+  "1,1,32,000000,ff00ff",
+  ""
+].join("\n"));
+assert.deepStrictEqual(fromCSV(csv), image);
+assert.throws(() => image.toCSV(1));
+
+// Headerless files, "#" colors, CRLF line endings and missing cells
+let parsed = fromCSV("1,1,65,#FFFFFF,#000000\r\n0,0,66,ff0000,00ff00\r\n", {width: 3});
+assert.strictEqual(parsed.width, 3);
+assert.strictEqual(parsed.height, 2);
+assert.deepStrictEqual(parsed.get(0, 1, 1), Pixel.from([65, "ffffff", "000000"]));
+assert.deepStrictEqual(parsed.get(0, 0, 0), Pixel.from([66, "ff0000", "00ff00"]));
+assert.strictEqual(parsed.get(0, 2, 0).transparent, true);
+
+assert.throws(() => fromCSV("0,0,65,ffffff"), /line 1/);
+assert.throws(() => fromCSV("x,y,glyph,fg,bg\n0,0,-1,ffffff,000000"), /line 2/);
+assert.throws(() => fromCSV("0,0,65,ffffff,nope"));
+assert.throws(() => fromCSV("3,0,65,ffffff,000000", {width: 2}));
+assert.throws(() => fromCSV(""));
+
+// Every layer of the test file survives the round-trip
+let test = fromBufferSync(fs.readFileSync("test.xp"));
+let rebuilt = new Image(test.version);
+for (let l = 0; l < test.layers.length; l++) {
+  rebuilt.layers.push(fromCSV(test.toCSV(l)).layers[0]);
+}
+assert.strictEqual(toBufferSync(rebuilt, {inflated: true}).compare(toBufferSync(test, {inflated: true})), 0);
@@ -0,0 +1,84 @@
+const {Image, Layer, Pixel, diff, applyPatch, formatDiff, fromBufferSync} = require("../index.js");
+const assert = require("assert");
+const fs = require("fs");
+
+let original = fromBufferSync(fs.readFileSync("test.xp"));
+
+function clone(image) {
+  let res = new Image(image.version);
+  for (let layer of image.layers) res.layers.push(Layer.from(layer));
+  return res;
+}
+
+// No changes
+let patch = diff(original, clone(original));
+assert.deepStrictEqual(patch.layers, []);
+assert.strictEqual(formatDiff(patch), "no changes\n");
+
+// Cell changes
+let modified = clone(original);
+modified.set(0, 1, 2, Pixel.from([65, "ff0000", "000000"]));
+modified.set(0, 0, 0, Pixel.from([66, "00ff00", "0000ff"]));
+let before = original.get(0, 1, 2);
+
+patch = diff(original, modified);
+assert.strictEqual(patch.layers.length, 1);
+assert.deepStrictEqual(patch.layers[0].size, {
+  before: {width: original.width, height: original.height},
+  after: {width: original.width, height: original.height}
+});
+assert.strictEqual(patch.layers[0].type, "changed");
+assert.deepStrictEqual(patch.layers[0].cells.map(cell => [cell.x, cell.y]), [[0, 0], [1, 2]]);
+assert.deepStrictEqual(patch.layers[0].cells[1], {
+  x: 1,
+  y: 2,
+  before: {glyph: before.asciiCode, fg: before.fg.hex, bg: before.bg.hex},
+  after: {glyph: 65, fg: "ff0000", bg: "000000"}
+});
+
+let patched = applyPatch(clone(original), JSON.parse(JSON.stringify(patch)));
+assert.deepStrictEqual(patched, modified);
+
+let summary = formatDiff(patch).split("\n");
+assert.strictEqual(summary[0], "layer 0: 2 cells changed");
+assert.strictEqual(summary[2], `  (1, 2) '${before.unicodeChar || " "}' ${before.asciiCode} #${before.fg.hex} on #${before.bg.hex} -> 'A' 65 #ff0000 on #000000`);
+assert.deepStrictEqual(formatDiff(patch, {maxCells: 1}).split("\n").slice(2), ["  ... and 1 more", ""]);
+assert.ok(formatDiff(patch, {ansi: true, colorDepth: 4}).includes("\x1b[32;44mB\x1b[0m 66 #00ff00 on #0000ff"));
+
+// The image is checked against the patch before being modified
+assert.throws(() => applyPatch(clone(modified), patch), /cell \(0, 0\) of layer 0 doesn't match/);
+let copy = clone(original);
+copy.set(0, 0, 0, Pixel.from([67, "ffffff", "000000"]));
+assert.throws(() => applyPatch(copy, patch), /doesn't match/);
+assert.strictEqual(copy.get(0, 1, 2).asciiCode, before.asciiCode);
+assert.deepStrictEqual(applyPatch(copy, patch, {strict: false}), modified);
+
+// Layer count, sizes and version
+let small = new Image(-1);
+small.addLayer({width: 2, height: 1, fill: Pixel.from([46, "ffffff", "000000"])});
+small.addLayer({fill: Pixel.from([47, "ffffff", "000000"])});
+let large = new Image(0);
+large.addLayer({width: 3, height: 1, fill: Pixel.from([46, "ffffff", "000000"])});
+
+patch = diff(small, large);
+assert.deepStrictEqual(patch.version, {before: -1, after: 0});
+assert.deepStrictEqual(patch.layerCount, {before: 2, after: 1});
+assert.deepStrictEqual(patch.layers.map(change => change.type), ["resized", "removed"]);
+assert.deepStrictEqual(patch.layers[0].cells, [{x: 2, y: 0, before: null, after: {glyph: 46, fg: "ffffff", bg: "000000"}}]);
+assert.deepStrictEqual(formatDiff(patch).split("\n"), [
+  "version: -1 -> 0",
+  "layers: 2 -> 1",
+  "layer 0: resized from 2x1 to 3x1, 1 cell changed",
+  "  (2, 0) (none) -> '.' 46 #ffffff on #000000",
+  "layer 1: removed (2x1)",
+  ""
+]);
+assert.deepStrictEqual(applyPatch(clone(small), patch), large);
+
+patch = diff(large, small);
+assert.deepStrictEqual(patch.layers.map(change => change.type), ["resized", "added"]);
+assert.strictEqual(patch.layers[1].cells.length, 2);
+assert.strictEqual(formatDiff(patch).split("\n")[3], "layer 1: added (2x1)");
+assert.deepStrictEqual(applyPatch(clone(large), patch), small);
+assert.throws(() => applyPatch(clone(small), patch), /expected 1 layers, got 2/);
+assert.throws(() => applyPatch(small, {}), /Invalid patch/);
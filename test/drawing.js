@@ -0,0 +1,135 @@
+const {Layer, Pixel, Color} = require("../index.js");
+const assert = require("assert");
+
+const BLACK = Pixel.from([32, "ffffff", "000000"]);
+const RED = Pixel.from([219, "ff0000", "000000"]);
+
+function blank(width, height) {
+  return new Layer(width, height).fill(BLACK);
+}
+
+// Text
+let layer = blank(6, 3);
+assert.strictEqual(layer.drawText(1, 0, "Hé€\nok", "ffff00"), 5);
+assert.deepStrictEqual(layer.toText(), [" Hé?  ", " ok   ", "      "]);
+assert.deepStrictEqual(layer.get(1, 0), Pixel.from([72, "ffff00", "000000"]));
+assert.deepStrictEqual(layer.get(1, 1).bg, BLACK.bg);
+assert.strictEqual(layer.drawText(1, 0, "H", "ffff00"), 0);
+assert.strictEqual(layer.drawText(4, 2, "clipped"), 2);
+assert.strictEqual(layer.drawText(-1, -1, "outside"), 0);
+assert.throws(() => layer.drawText(0, 0, "a", "nope"));
+assert.throws(() => layer.drawText(0.5, 0, "a"), /Expected 'x' to be an integer/);
+
+// Lines
+layer = blank(5, 5);
+assert.strictEqual(layer.drawLine(0, 0, 4, 4, RED), 5);
+assert.strictEqual(layer.drawLine(4, 0, 0, 2, RED), 5);
+assert.deepStrictEqual(layer.toText(), [
+  "█   █",
+  " ███ ",
+  "███  ",
+  "   █ ",
+  "    █"
+]);
+assert.strictEqual(layer.drawLine(-2, 2, 10, 2, RED), 2);
+assert.throws(() => layer.drawLine(0, 0, 1, 1, [219, "ff0000", "000000"]));
+assert.throws(() => layer.drawLine(0, 0, 2.5, 0, RED), /Expected 'x1' to be an integer, got 2.5/);
+assert.throws(() => layer.drawLine(0, NaN, 2, 0, RED), /Expected 'y0' to be an integer/);
+
+// Rectangles
+layer = blank(4, 4);
+assert.strictEqual(layer.strokeRect(0, 0, 3, 3, RED), 8);
+assert.strictEqual(layer.fillRect(2, 2, 5, 5, RED), 3);
+assert.deepStrictEqual(layer.toText(), ["███ ", "█ █ ", "████", "  ██"]);
+assert.strictEqual(layer.fillRect(0, 0, 0, 4, RED), 0);
+assert.throws(() => layer.fillRect(0.5, 0, 2, 1, RED), /Expected 'x' to be an integer/);
+assert.throws(() => layer.strokeRect(0, 0, 2, 1.5, RED), /Expected 'h' to be an integer/);
+
+// Boxes
+layer = blank(6, 4);
+assert.strictEqual(layer.drawBox(0, 0, 4, 3, {fg: "00ff00", fill: Pixel.from([176, "808080", "000000"])}), 12);
+layer.drawBox(4, 0, 3, 4, {style: "double"});
+assert.deepStrictEqual(layer.toText(), [
+  "┌──┐╔═",
+  "│░░│║ ",
+  "└──┘║ ",
+  "    ╚═"
+]);
+assert.deepStrictEqual(layer.get(0, 0).fg, Color.from("00ff00"));
+assert.deepStrictEqual(layer.get(4, 0).fg, BLACK.fg);
+
+layer = blank(3, 2);
+layer.drawBox(0, 0, 3, 1, {style: "heavy-shade"});
+layer.drawBox(0, 1, 1, 1, {style: "double"});
+assert.deepStrictEqual(layer.toText(), ["▓▓▓", "■  "]);
+assert.throws(() => layer.drawBox(0, 0, 2, 2, {style: "dotted"}));
+
+// Boxes of a single cell are a small square
+layer = blank(3, 1);
+assert.strictEqual(layer.drawBox(0, 0, 1, 1), 1);
+layer.drawBox(1, 0, 1, 1, {style: "double"});
+layer.drawBox(2, 0, 1, 1, {style: "heavy-shade"});
+assert.deepStrictEqual(layer.toText(), ["■■▓"]);
+assert.throws(() => layer.drawBox(0, "0", 2, 2), /Expected 'y' to be an integer/);
+
+// Flood fill
+layer = blank(5, 3);
+layer.drawLine(2, 0, 2, 2, RED);
+layer.set(0, 0, Pixel.from([32, "00ff00", "000000"]));
+assert.strictEqual(layer.floodFill(1, 1, Pixel.from([46, "ffffff", "0000ff"])), 5);
+assert.deepStrictEqual(layer.toText(), [" .█  ", "..█  ", "..█  "]);
+
+assert.strictEqual(layer.floodFill(3, 0, Pixel.from([46, "ffffff", "0000ff"]), {match: "glyph"}), 6);
+assert.strictEqual(layer.get(4, 2).asciiCode, 46);
+
+layer = blank(3, 1);
+layer.set(1, 0, Pixel.from([65, "ffffff", "000000"]));
+assert.strictEqual(layer.floodFill(0, 0, RED, {match: "bg"}), 3);
+assert.strictEqual(layer.floodFill(9, 9, RED), 0);
+assert.throws(() => layer.floodFill(0, 0, RED, {match: "fg"}));
+assert.throws(() => layer.floodFill(0.5, 0, RED), /Expected 'x' to be an integer/);
+
+// Joining box-drawing characters
+layer = Layer.fromText([
+  " │  ║ ",
+  "──────",
+  " │  ║ ",
+  "══════",
+  " │  ║ ",
+  "      ",
+  "┌┐┌┐  ",
+  "└┘└┘  "
+].join("\n"));
+assert.strictEqual(layer.autoJoinLines(), 4);
+assert.deepStrictEqual(layer.toText(), [
+  " │  ║ ",
+  "─┼──╫─",
+  " │  ║ ",
+  "═╪══╬═",
+  " │  ║ ",
+  "      ",
+  "┌┐┌┐  ",
+  "└┘└┘  "
+]);
+assert.strictEqual(layer.autoJoinLines(), 0);
+
+layer = Layer.fromText(["─── ║ ═", "│ ─│─ │", "│ ╔═╗ ─", "└─╝ ║ ║"].join("\n"));
+assert.strictEqual(layer.autoJoinLines({x: 0, y: 0, width: 7, height: 2}), 4);
+assert.deepStrictEqual(layer.toText(), ["┌── ║ │", "│ ─┬╜ │", "│ ╔═╗ ─", "└─╝ ║ ║"]);
+assert.strictEqual(layer.autoJoinLines(), 2);
+assert.deepStrictEqual(layer.toText().slice(2), ["│ ╔╧╗ ║", "└─╝ ║ ║"]);
+assert.throws(() => layer.autoJoinLines({x: 0, y: 0}));
+
+// As an option of the drawing methods
+layer = blank(7, 4);
+assert.strictEqual(layer.drawBox(0, 0, 4, 4, {autoJoin: true}), 12);
+assert.strictEqual(layer.drawBox(3, 0, 4, 4, {style: "double", autoJoin: true}), 12);
+assert.strictEqual(layer.drawLine(0, 2, 6, 2, Pixel.from([196, "ffffff", "000000"]), {autoJoin: true}), 7);
+assert.deepStrictEqual(layer.toText(), [
+  "┌──╦══╗",
+  "│  ║  ║",
+  "├──╫──╢",
+  "└──╩══╝"
+]);
+assert.strictEqual(layer.strokeRect(1, 1, 1, 1, Pixel.from([179, "ffffff", "000000"]), {autoJoin: true}), 3);
+assert.deepStrictEqual(layer.toText().slice(0, 3), ["┌┬─╦══╗", "││ ║  ║", "├┴─╫──╢"]);
@@ -0,0 +1,80 @@
+const {fromAnsi, toBufferSync, fromBufferSync} = require("../index.js");
+const assert = require("assert");
+
+function cell(image, x, y) {
+  let pixel = image.get(0, x, y);
+  return [pixel.asciiCode, pixel.fg.hex, pixel.bg.hex];
+}
+
+function sauce(width, height, comments = []) {
+  let record = Buffer.alloc(128, 0x20);
+  record.write("SAUCE00", 0, "latin1");
+  record[94] = 1; // Character
+  record[95] = 1; // ANSi
+  record.writeUInt16LE(width, 96);
+  record.writeUInt16LE(height, 98);
+  record[104] = comments.length;
+  let block = comments.length > 0
+    ? Buffer.concat([Buffer.from("COMNT", "latin1"), ...comments.map(c => Buffer.from(c.padEnd(64), "latin1"))])
+    : Buffer.alloc(0);
+  return Buffer.concat([Buffer.from([0x1a]), block, record]);
+}
+
+// Colors and bold-as-bright
+let image = fromAnsi(Buffer.from("\x1b[1;31mA\x1b[22mB\x1b[0;44;93mC\x1b[7mD", "latin1"), {width: 4});
+assert.strictEqual(image.layers.length, 1);
+assert.strictEqual(image.width, 4);
+assert.strictEqual(image.height, 1);
+assert.deepStrictEqual(cell(image, 0, 0), [65, "ff5555", "000000"]);
+assert.deepStrictEqual(cell(image, 1, 0), [66, "aa0000", "000000"]);
+assert.deepStrictEqual(cell(image, 2, 0), [67, "ffff55", "0000aa"]);
+assert.deepStrictEqual(cell(image, 3, 0), [68, "0000aa", "ffff55"]);
+
+// 256 colors, truecolor and iCE colors
+image = fromAnsi(Buffer.from("\x1b[38;5;196;48;5;232mA\x1b[38;2;1;2;3;48;2;250;251;252mB\x1b[0;5;41mC", "latin1"), {width: 3, iceColors: true});
+assert.deepStrictEqual(cell(image, 0, 0), [65, "ff0000", "080808"]);
+assert.deepStrictEqual(cell(image, 1, 0), [66, "010203", "fafbfc"]);
+assert.deepStrictEqual(cell(image, 2, 0), [67, "aaaaaa", "ff5555"]);
+
+// CP437 glyphs, line wrapping and line endings
+image = fromAnsi(Buffer.from([0xdb, 0xb0, 0x41, 0x42, 0x0d, 0x0a, 0x43, 0x44, 0x45, 0x46, 0x47]), {width: 4});
+assert.strictEqual(image.height, 3);
+assert.deepStrictEqual(cell(image, 0, 0), [0xdb, "aaaaaa", "000000"]);
+assert.deepStrictEqual(cell(image, 1, 0), [0xb0, "aaaaaa", "000000"]);
+assert.strictEqual(cell(image, 3, 1)[0], 0x46);
+assert.strictEqual(cell(image, 0, 2)[0], 0x47);
+assert.strictEqual(cell(image, 1, 2)[0], 32);
+
+// Cursor movement
+image = fromAnsi(Buffer.from("\x1b[3;2HA\x1b[2AB\x1b[sC\x1b[5DD\x1b[BE\x1b[uF\x1b[?25l\x1b[2J", "latin1"), {width: 5});
+assert.strictEqual(image.height, 3);
+assert.strictEqual(cell(image, 1, 2)[0], 65);
+assert.strictEqual(cell(image, 2, 0)[0], 66);
+assert.strictEqual(cell(image, 3, 0)[0], 70);
+assert.strictEqual(cell(image, 0, 0)[0], 68);
+assert.strictEqual(cell(image, 1, 1)[0], 69);
+
+// SAUCE record and comments
+let art = Buffer.from("\x1b[32mAB", "latin1");
+image = fromAnsi(Buffer.concat([art, sauce(2, 3, ["made by someone"])]));
+assert.strictEqual(image.width, 2);
+assert.strictEqual(image.height, 3);
+assert.deepStrictEqual(cell(image, 1, 0), [66, "00aa00", "000000"]);
+assert.strictEqual(fromAnsi(Buffer.concat([art, sauce(2, 1)]), {width: 10}).width, 10);
+assert.strictEqual(fromAnsi(art).width, 80);
+
+// The result can be saved as a REXPaint file
+let copy = fromBufferSync(toBufferSync(image));
+assert.deepStrictEqual(copy.layers, image.layers);
+
+assert.throws(() => fromAnsi("not a buffer"));
+assert.throws(() => fromAnsi(art, {width: -1}));
+
+// Cursor movements can't allocate huge canvases
+assert.throws(() => fromAnsi(Buffer.from("a\x1b[200000Bb", "latin1")), /200001 rows high, which is more than 'maxHeight' \(10000\)/);
+assert.throws(() => fromAnsi(Buffer.from("a\x1b[99999999;1Hb", "latin1")), /maxHeight/);
+assert.strictEqual(fromAnsi(Buffer.from("a\x1b[200000B", "latin1")).height, 1);
+assert.strictEqual(fromAnsi(Buffer.from("a\x1b[3Eb", "latin1"), {maxHeight: 4}).height, 4);
+assert.throws(() => fromAnsi(Buffer.from("a\x1b[4Eb", "latin1"), {maxHeight: 4}), /maxHeight/);
+assert.throws(() => fromAnsi(Buffer.concat([art, sauce(2, 3)]), {maxHeight: 2}), /3 rows high/);
+assert.throws(() => fromAnsi(art, {maxHeight: 0}), /Expected 'maxHeight' to be a positive integer/);
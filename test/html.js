@@ -0,0 +1,50 @@
+const {Image, Layer, Pixel, toHTML, toBBCode} = require("../index.js");
+const assert = require("assert");
+
+let image = new Image(-1);
+let base = new Layer(5, 2).fill(Pixel.from([65, "ffffff", "000000"]));
+base.set(2, 0, Pixel.from([60, "ffffff", "000000"])); // <
+base.set(3, 0, Pixel.from([1, "ff0000", "000000"])); // ☺
+base.set(4, 0, Pixel.TRANSPARENT);
+base.set(1, 1, Pixel.from([32, "ffffff", "000000"]));
+let top = new Layer(5, 2).fill(Pixel.TRANSPARENT);
+top.set(0, 1, Pixel.from([38, "00ff00", "0000ff"])); // &
+image.layers.push(base, top);
+
+// Inline styles
+let span = (fg, bg, text) => `<span style="color: #${fg}; background-color: #${bg};">${text}</span>`;
+assert.strictEqual(toHTML(image), "<pre>" + [
+  span("ffffff", "000000", "AA&lt;") + span("ff0000", "000000", "☺") + " ",
+  span("00ff00", "0000ff", "&amp;") + span("ffffff", "000000", " AAA")
+].join("\n") + "</pre>\n");
+
+assert.strictEqual(toHTML(image, {layers: 1, font: "Px437 IBM VGA8"}), '<pre style="font-family: Px437 IBM VGA8;">' + [
+  "     ",
+  span("00ff00", "0000ff", "&amp;") + "    "
+].join("\n") + "</pre>\n");
+
+// CSS classes
+assert.strictEqual(toHTML(top, {cssClasses: true, classPrefix: "c-"}), [
+  "<style>",
+  ".c-fg-00ff00 { color: #00ff00; }",
+  ".c-bg-0000ff { background-color: #0000ff; }",
+  "</style>",
+  '<pre class="c-image">     ',
+  '<span class="c-fg-00ff00 c-bg-0000ff">&amp;</span>    </pre>',
+  ""
+].join("\n"));
+
+// BBCode
+let sign = new Layer(7, 1).fill(Pixel.from([32, "ffffff", "000000"]));
+sign.set(0, 0, Pixel.from([72, "ff0000", "000000"]));
+sign.set(2, 0, Pixel.from([105, "ff0000", "000000"]));
+sign.set(3, 0, Pixel.from([33, "00ff00", "000000"]));
+assert.strictEqual(toBBCode(sign), "[color=#ff0000]H i[/color][color=#00ff00]![/color]");
+assert.strictEqual(toBBCode(sign, {font: "monospace"}), "[font=monospace][color=#ff0000]H i[/color][color=#00ff00]![/color][/font]");
+assert.strictEqual(toBBCode(image), [
+  "[color=#ffffff]AA<[/color][color=#ff0000]☺[/color]",
+  "[color=#00ff00]&[/color] [color=#ffffff]AAA[/color]"
+].join("\n"));
+
+assert.throws(() => toHTML({}));
+assert.throws(() => toBBCode(new Image(-1)));
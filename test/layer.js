@@ -0,0 +1,66 @@
+const {Layer, Pixel, Color} = require("../index.js");
+const assert = require("assert");
+
+let layer = new Layer(3, 2);
+assert.strictEqual(layer.glyphs.length, 6);
+assert.strictEqual(layer.fg.length, 18);
+assert.deepStrictEqual(layer.get(2, 1), Pixel.from([0, "000000", "000000"]));
+
+// Packed, row-major storage
+layer.set(1, 1, Pixel.from([64, "102030", "405060"]));
+assert.strictEqual(layer.glyphs[4], 64);
+assert.deepStrictEqual(Array.from(layer.fg.subarray(12, 15)), [0x10, 0x20, 0x30]);
+assert.deepStrictEqual(Array.from(layer.bg.subarray(12, 15)), [0x40, 0x50, 0x60]);
+
+// Pixels are views into the layer
+let view = layer.get(1, 1);
+assert.ok(view instanceof Pixel);
+assert.ok(view.fg instanceof Color);
+assert.strictEqual(view.fg.hex, "102030");
+view.asciiCode = 65;
+view.fg.r = 255;
+view.bg.hex = "ff00ff";
+assert.strictEqual(layer.glyphs[4], 65);
+assert.strictEqual(layer.fg[12], 255);
+assert.strictEqual(view.transparent, true);
+assert.throws(() => view.fg.g = 256);
+assert.throws(() => view.asciiCode = -1);
+view.fg = new Color(1, 2, 3);
+assert.strictEqual(layer.get(1, 1).fg.hex, "010203");
+
+// set() copies the pixel
+let pixel = Pixel.from([1, "ffffff", "000000"]);
+layer.set(0, 0, pixel);
+pixel.asciiCode = 2;
+assert.strictEqual(layer.get(0, 0).asciiCode, 1);
+
+// Views are independent from clones
+let clone = Layer.from(layer);
+assert.deepStrictEqual(clone, layer);
+clone.get(0, 0).asciiCode = 3;
+assert.strictEqual(layer.get(0, 0).asciiCode, 1);
+
+// Raster and JSON
+assert.strictEqual(layer.raster.length, 6);
+assert.deepStrictEqual(layer.raster[4], layer.get(1, 1));
+let json = JSON.parse(JSON.stringify(layer));
+assert.strictEqual(json.raster[4].asciiCode, 65);
+assert.strictEqual(json.raster[4].transparent, true);
+
+// Writes to the raster reach the layer
+let raster = layer.raster;
+raster[4] = Pixel.from([66, "ff0000", "00ff00"]);
+assert.deepStrictEqual(layer.get(1, 1), Pixel.from([66, "ff0000", "00ff00"]));
+assert.deepStrictEqual(raster[4], layer.get(1, 1));
+layer.raster[4] = Pixel.from([65, "ffffff", "ff00ff"]);
+assert.strictEqual(layer.get(1, 1).transparent, true);
+assert.throws(() => { layer.raster[6] = Pixel.TRANSPARENT; }, /only the indices of its 6 cells can be set/);
+assert.throws(() => { layer.raster.push(Pixel.TRANSPARENT); }, /Cannot set 6/);
+assert.throws(() => { layer.raster[0] = [65, "ffffff", "000000"]; }, /Pixel/);
+assert.throws(() => { delete layer.raster[0]; }, /Cannot delete 0/);
+
+// Fill
+layer.fill(Pixel.from([35, "aabbcc", "112233"]));
+for (let i = 0; i < 6; i++) {
+  assert.deepStrictEqual(layer.raster[i], Pixel.from([35, "aabbcc", "112233"]));
+}
@@ -0,0 +1,60 @@
+const {Image, Layer, Pixel, toBuffer, toBufferSync, fromBufferSync} = require("../index.js");
+const assert = require("assert");
+
+(async () => {
+  let image = new Image(-1);
+  assert.throws(() => image.addLayer(), /width/);
+  assert.throws(() => toBufferSync(image), /at least one layer/);
+  await assert.rejects(toBuffer(image), /at least one layer/);
+
+  let background = image.addLayer({width: 4, height: 3, fill: Pixel.from([46, "ffffff", "000000"])});
+  assert.strictEqual(image.layers[0], background);
+  assert.deepStrictEqual(background.toText(), ["....", "....", "...."]);
+
+  let top = image.addLayer();
+  assert.ok(top.get(0, 0).transparent);
+  assert.deepStrictEqual([top.width, top.height], [4, 3]);
+
+  let middle = image.insertLayer(1, Layer.fromText("abcd\nefgh\nijkl"));
+  assert.deepStrictEqual(image.layers, [background, middle, top]);
+  assert.throws(() => image.addLayer(new Layer(3, 4)), /same size/);
+  assert.throws(() => image.addLayer({width: 5}), /same size/);
+  assert.throws(() => image.addLayer({fill: "ffffff"}));
+  assert.throws(() => image.insertLayer(4), /Invalid layer index/);
+
+  assert.strictEqual(image.moveLayer(0, 2), image);
+  assert.deepStrictEqual(image.layers, [middle, top, background]);
+  image.moveLayer(2, 0);
+  assert.deepStrictEqual(image.layers, [background, middle, top]);
+  assert.throws(() => image.moveLayer(0, 3), /Invalid layer index/);
+
+  let copy = image.duplicateLayer(1);
+  assert.notStrictEqual(copy, middle);
+  assert.deepStrictEqual(copy, middle);
+  assert.deepStrictEqual(image.layers, [background, middle, copy, top]);
+
+  assert.strictEqual(image.removeLayer(2), copy);
+  assert.deepStrictEqual(image.layers, [background, middle, top]);
+  assert.throws(() => image.removeLayer(-1), /Invalid layer index/);
+
+  assert.strictEqual(image.resizeCanvas(6, 2, {anchor: "bottom"}), image);
+  assert.deepStrictEqual(image.layers.map(layer => [layer.width, layer.height]), [[6, 2], [6, 2], [6, 2]]);
+  assert.deepStrictEqual(image.layers[1].toText(), [" efgh ", " ijkl "]);
+
+  // REXPaint's layer limit
+  while (image.layers.length < Image.MAX_LAYERS) image.addLayer();
+  assert.strictEqual(image.layers.length, 9);
+  assert.throws(() => image.addLayer(), /at most 9 layers/);
+  assert.throws(() => image.duplicateLayer(0), /at most 9 layers/);
+  assert.strictEqual(fromBufferSync(toBufferSync(image)).layers.length, 9);
+
+  // Invalid images are rejected before being written
+  image.layers.push(new Layer(6, 2));
+  assert.throws(() => toBufferSync(image), /at most 9 layers/);
+  image.layers.splice(1, 9, new Layer(2, 6));
+  assert.throws(() => image.validate(), /same size/);
+  assert.throws(() => toBufferSync(image, {inflated: true}), /same size/);
+  await assert.rejects(toBuffer(image), /same size/);
+  image.layers = [new Layer(0, 0)];
+  assert.throws(() => toBufferSync(image), /non-zero size/);
+})();
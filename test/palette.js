@@ -0,0 +1,65 @@
+const {Image, Layer, Pixel, Color, Palette} = require("../index.js");
+const assert = require("assert");
+
+let image = new Image(-1);
+image.addLayer({width: 3, height: 2, fill: Pixel.from([32, "ffffff", "000000"])});
+image.addLayer();
+image.set(0, 0, 0, Pixel.from([65, "ff0000", "000000"]));
+image.set(1, 1, 1, Pixel.from([66, "fe0101", "102030"]));
+
+// Extraction
+let palette = Palette.fromImage(image);
+assert.deepStrictEqual(palette.colors.map(c => c.hex), ["000000", "ffffff", "102030", "fe0101", "ff0000"]);
+assert.deepStrictEqual(palette.counts, [6, 5, 1, 1, 1]);
+assert.strictEqual(palette.size, 5);
+assert.deepStrictEqual(Palette.fromImage(image, {channels: "fg", layers: [1]}).colors.map(c => c.hex), ["fe0101"]);
+assert.deepStrictEqual(Palette.fromImage(image.layers[0], {channels: "bg"}).counts, [6]);
+assert.throws(() => Palette.fromImage(image, {channels: "glyph"}));
+assert.deepStrictEqual(Palette.fromImage(image, {layers: [2]}).colors, []);
+assert.deepStrictEqual(Palette.fromImage(image, {channels: "fg", layers: [1, 2]}).colors.map(c => c.hex), ["fe0101"]);
+
+// Construction and lookups
+palette = new Palette(["000000", [255, 255, 255], new Color(255, 0, 0), "ff0000"]);
+assert.strictEqual(palette.size, 3);
+assert.ok(palette.has("#ff0000"));
+assert.ok(!palette.has("fe0101"));
+assert.strictEqual(palette.indexOf([255, 255, 255]), 1);
+assert.strictEqual(palette.nearest("fe0101").hex, "ff0000");
+assert.throws(() => palette.add("nope"));
+
+// Perceptual distance: this dark green is nearer to black in RGB, but looks closer to gray
+let grays = new Palette(["000000", "808080", "0000ff"]);
+assert.strictEqual(grays.nearest("206020", "rgb").hex, "000000");
+assert.strictEqual(grays.nearest("206020", "perceptual").hex, "808080");
+assert.strictEqual(grays.nearest("4040e0", "perceptual").hex, "0000ff");
+assert.throws(() => grays.nearest("000000", "cie2000"));
+
+// Checking and remapping
+assert.deepStrictEqual(palette.findOffPalette(image), [
+  {layer: 1, x: 1, y: 1, fg: true, bg: true}
+]);
+assert.deepStrictEqual(palette.findOffPalette(image.layers[0]), []);
+
+assert.strictEqual(palette.remap(image), 1);
+assert.deepStrictEqual(image.get(1, 1, 1), Pixel.from([66, "ff0000", "000000"]));
+assert.ok(image.get(1, 0, 0).transparent);
+assert.strictEqual(palette.remap(image), 0);
+
+let night = new Palette(["000010", "8080a0", "400000"]);
+assert.strictEqual(palette.remap(image, {table: palette.mapTo(night)}), 7);
+assert.deepStrictEqual(image.get(0, 0, 0), Pixel.from([65, "400000", "000010"]));
+assert.deepStrictEqual(image.get(0, 1, 0), Pixel.from([32, "8080a0", "000010"]));
+assert.strictEqual(palette.remap(image.layers[1], {table: {"400000": "00ff00"}}), 1);
+assert.strictEqual(image.get(1, 1, 1).fg.hex, "00ff00");
+assert.throws(() => palette.remap(image, {table: {"400000": "nope"}}));
+assert.throws(() => palette.mapTo(new Palette(["000000"])));
+assert.throws(() => new Palette().remap(image));
+
+// REXPaint palette files
+let text = palette.toText({columns: 2});
+assert.strictEqual(text, "{  0,  0,  0}\t{255,255,255}\n{255,  0,  0}\n");
+assert.deepStrictEqual(Palette.fromText(text).colors, palette.colors);
+assert.deepStrictEqual(Palette.fromText("{ 1, 2,3 }  {4,5,6}").colors.map(c => c.hex), ["010203", "040506"]);
+assert.throws(() => Palette.fromText("{256,0,0}"), /Invalid palette color: {256,0,0}/);
+assert.throws(() => Palette.fromText("{1,2,3} {0, 300, 0}"), /Invalid palette color: {0, 300, 0}/);
+assert.throws(() => Palette.fromText(""));
@@ -0,0 +1,94 @@
+const rexpaint = require("../index.js");
+const {XpParseError} = rexpaint;
+const fs = require("fs");
+const assert = require("assert");
+const zlib = require("zlib");
+
+let inflated = zlib.unzipSync(fs.readFileSync("test.xp"));
+let image = rexpaint.fromBufferSync(inflated, {inflated: true});
+assert.strictEqual(image.version, -1);
+
+function parse(buffer, options = {}) {
+  return rexpaint.fromBufferSync(buffer, Object.assign({inflated: true}, options));
+}
+
+function expectError(buffer, reason, fields = {}) {
+  assert.throws(() => parse(buffer), (err) => {
+    assert.ok(err instanceof XpParseError);
+    assert.strictEqual(err.reason, reason);
+    for (let key in fields) {
+      assert.strictEqual(err[key], fields[key], key);
+    }
+    return true;
+  });
+}
+
+function header(version, layers) {
+  let res = Buffer.alloc(8);
+  res.writeInt32LE(version, 0);
+  res.writeUInt32LE(layers.length, 4);
+  return Buffer.concat([res, ...layers]);
+}
+
+function layer(width, height, cells = width * height) {
+  let res = Buffer.alloc(8 + 10 * cells);
+  res.writeUInt32LE(width, 0);
+  res.writeUInt32LE(height, 4);
+  for (let i = 0; i < cells; i++) {
+    res.writeUInt32LE(65 + i, 8 + 10 * i);
+  }
+  return res;
+}
+
+// Truncated data
+expectError(inflated.subarray(0, 4), "truncated", {offset: 4, layer: null});
+expectError(header(-1, [layer(2, 2), layer(2, 2, 3)]), "truncated", {layer: 1, x: 1, y: 1});
+expectError(header(-1, [layer(2, 2)]).subarray(0, 30), "truncated", {layer: 0, x: 0, y: 1});
+assert.throws(() => parse(header(-1, [layer(2, 2, 1)])), /expected 40 bytes for a 2x2 layer, got 10 /);
+assert.throws(() => parse(header(-1, [layer(0xffffffff, 0xffffffff, 1)])), /implausible layer size 4294967295x4294967295 for the remaining 10 bytes/);
+
+// Trailing data
+expectError(Buffer.concat([inflated, Buffer.alloc(3)]), "trailing-data", {offset: inflated.length});
+
+// Implausible layer count
+let bogus = Buffer.from(inflated);
+bogus.writeUInt32LE(0xffffffff, 4);
+expectError(bogus, "layer-count", {offset: 4});
+
+// Mismatched and empty layers
+expectError(header(-1, [layer(2, 2), layer(3, 2)]), "layer-size", {layer: 1, offset: 8 + 48});
+expectError(header(-1, [layer(0, 2)]), "empty-layer", {layer: 0});
+
+// Lenient mode
+let errors = [];
+let lenient = parse(header(-1, [layer(2, 2), layer(0, 2), layer(3, 1), layer(2, 2), layer(2, 2, 1)]), {
+  strict: false,
+  onError: (err) => errors.push(err.reason)
+});
+assert.deepStrictEqual(errors, ["empty-layer", "layer-size", "truncated"]);
+assert.strictEqual(lenient.layers.length, 2);
+assert.strictEqual(lenient.get(1, 1, 0).asciiCode, 67);
+
+errors = [];
+lenient = parse(Buffer.concat([bogus, Buffer.alloc(1)]), {strict: false, onError: (err) => errors.push(err.reason)});
+assert.deepStrictEqual(errors, ["layer-count", "truncated"]);
+assert.strictEqual(lenient.layers.length, image.layers.length);
+
+// Writing back the signed version
+assert.equal(rexpaint.toBufferSync(image, {inflated: true}).compare(inflated), 0);
+
+// Async errors
+(async () => {
+  await assert.rejects(rexpaint.fromBuffer(Buffer.from("not gzipped")), (err) => !(err instanceof XpParseError));
+  await assert.rejects(rexpaint.fromBuffer(zlib.gzipSync(inflated.subarray(0, 100))), XpParseError);
+  let recovered = await rexpaint.fromBuffer(zlib.gzipSync(inflated.subarray(0, 100)), {strict: false});
+  assert.strictEqual(recovered.layers.length, 0);
+
+  let reader = rexpaint.createReadStream({inflated: true});
+  reader.resume();
+  reader.end(inflated.subarray(0, 100));
+  await assert.rejects(new Promise((resolve, reject) => {
+    reader.on("error", reject);
+    reader.on("end", resolve);
+  }), (err) => err instanceof XpParseError && err.reason === "truncated" && err.layer === 0 && err.x === 0 && err.y === 8);
+})();
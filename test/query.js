@@ -0,0 +1,83 @@
+const {Image, Layer, Pixel, Color} = require("../index.js");
+const assert = require("assert");
+
+let map = Layer.fromText([
+  "#####",
+  "#@..+",
+  "#..@#",
+  "##+##"
+].join("\n"));
+
+// Iteration
+let cells = [...map.cells()];
+assert.strictEqual(cells.length, 20);
+assert.deepStrictEqual(cells.slice(0, 2).map(({x, y, pixel}) => [x, y, pixel.unicodeChar]), [[0, 0, "#"], [1, 0, "#"]]);
+assert.deepStrictEqual([cells[6].x, cells[6].y, cells[6].pixel.unicodeChar], [1, 1, "@"]);
+
+cells[6].pixel.asciiCode = Pixel.fromUnicode("&");
+assert.strictEqual(map.get(1, 1).unicodeChar, "&");
+cells[6].pixel.asciiCode = Pixel.fromUnicode("@");
+
+let visited = [];
+map.forEach((pixel, x, y) => visited.push(`${x},${y}:${pixel.unicodeChar}`));
+assert.strictEqual(visited.length, 20);
+assert.strictEqual(visited[9], "4,1:+");
+
+// Mapping returns a new layer
+let lit = map.map((pixel, x, y) => pixel.unicodeChar === "." ? Pixel.from([250, [x * 10, y * 10, 0], "000000"]) : pixel);
+assert.deepStrictEqual(lit.toText(), ["#####", "#@··+", "#··@#", "##+##"]);
+assert.deepStrictEqual(lit.get(2, 2).fg.hex, "141400");
+assert.deepStrictEqual(map.toText()[1], "#@..+");
+assert.throws(() => map.map(() => null), /Expected the callback to return a Pixel for the cell \(0, 0\)/);
+
+// Queries
+let players = map.findAll({glyph: "@"});
+assert.deepStrictEqual(players.map(({x, y}) => [x, y]), [[1, 1], [3, 2]]);
+assert.ok(players[0].pixel instanceof Pixel);
+assert.deepStrictEqual(map.findAll({glyph: 43}).map(({x, y}) => [x, y]), [[4, 1], [2, 3]]);
+assert.deepStrictEqual(map.findAll((pixel, x, y) => pixel.unicodeChar === "." && x === y).map(({x, y}) => [x, y]), [[2, 2]]);
+assert.deepStrictEqual(map.findAll({glyph: "X"}), []);
+
+map.set(2, 1, new Pixel(46, new Color(255, 0, 0), new Color(0, 0, 0)));
+assert.deepStrictEqual(map.findAll({glyph: ".", fg: "ff0000"}).map(({x, y}) => [x, y]), [[2, 1]]);
+assert.deepStrictEqual(map.findAll({fg: [255, 0, 0], bg: new Color(0, 0, 0)}).length, 1);
+assert.strictEqual(map.count({fg: "ffffff"}), 19);
+
+assert.throws(() => map.findAll("@"), /Expected the query/);
+assert.throws(() => map.findAll({glyph: "ab"}), /single CP437 character/);
+assert.throws(() => map.findAll({glyph: -1}), /character code/);
+assert.throws(() => map.findAll({bg: "magenta"}), /Expected 'bg' to be a color/);
+
+// Counting and bounds
+let sprite = new Layer(5, 4).fill();
+sprite.set(1, 1, Pixel.from([64, "ffffff", "000000"]));
+sprite.set(3, 2, Pixel.from([64, "ffffff", "000000"]));
+sprite.set(2, 3, Pixel.from([35, "ffffff", "000000"]));
+assert.strictEqual(sprite.count(), 3);
+assert.strictEqual(sprite.count({glyph: "@"}), 2);
+assert.strictEqual(sprite.count((pixel) => pixel.transparent), 17);
+assert.deepStrictEqual(sprite.bounds(), {x: 1, y: 1, width: 3, height: 3});
+assert.deepStrictEqual(sprite.bounds({glyph: "@"}), {x: 1, y: 1, width: 3, height: 2});
+assert.deepStrictEqual(sprite.bounds((pixel, x) => x === 4), {x: 4, y: 0, width: 1, height: 4});
+assert.strictEqual(sprite.bounds({glyph: "X"}), null);
+assert.strictEqual(new Layer(2, 2).fill().bounds(), null);
+
+// Images follow the LayerOption semantics of mergeLayers
+let image = new Image(0);
+image.addLayer(Layer.fromText("ab\ncd"));
+image.addLayer(sprite.resize(2, 2));
+image.addLayer(Layer.fromText("@.\n.@"));
+
+let all = [...image.cells()];
+assert.strictEqual(all.length, 12);
+assert.deepStrictEqual([all[0].layer, all[0].x, all[0].y, all[0].pixel.unicodeChar], [0, 0, 0, "a"]);
+assert.deepStrictEqual(all.slice(8).map(({layer, x, y}) => [layer, x, y]), [[2, 0, 0], [2, 1, 0], [2, 0, 1], [2, 1, 1]]);
+assert.deepStrictEqual([...image.cells({layers: 2})].filter(({pixel}) => pixel.unicodeChar === "@").map(({x, y}) => [x, y]), [[0, 0], [1, 1]]);
+assert.deepStrictEqual([...image.cells({layers: [2, 0, 7]})].map(({layer}) => layer), [2, 2, 2, 2, 0, 0, 0, 0]);
+assert.deepStrictEqual([...image.cells({layers: 3})], []);
+assert.deepStrictEqual([...new Image(0).cells()], []);
+
+// mergeLayers still ignores invalid selections
+assert.strictEqual(image.mergeLayers(5), null);
+assert.strictEqual(image.mergeLayers("top"), null);
+assert.deepStrictEqual(image.mergeLayers([0, 7]).toText(), ["ab", "cd"]);
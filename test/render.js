@@ -0,0 +1,75 @@
+const {Image, Layer, Pixel, Font, renderToPng} = require("../index.js");
+const png = require("../lib/png.js");
+const assert = require("assert");
+const zlib = require("zlib");
+
+function pixelAt(bitmap, x, y) {
+  let o = (x + y * bitmap.width) * 4;
+  return Array.from(bitmap.data.subarray(o, o + 4));
+}
+
+// PNG encoding round-trip
+let bitmap = {width: 3, height: 2, data: new Uint8Array(24).map((_, i) => i * 10)};
+assert.deepStrictEqual(png.decode(png.encode(bitmap)), bitmap);
+assert.strictEqual(png.crc32(Buffer.from("123456789")), 0xcbf43926);
+
+// PNG decoding of a 1-bit paletted image, with a filtered second row
+function chunk(type, data) {
+  let res = Buffer.alloc(12 + data.length);
+  res.writeUInt32BE(data.length, 0);
+  res.write(type, 4, "ascii");
+  data.copy(res, 8);
+  res.writeUInt32BE(png.crc32(res.subarray(4, 8 + data.length)), 8 + data.length);
+  return res;
+}
+let header = Buffer.from([0, 0, 0, 10, 0, 0, 0, 2, 1, 3, 0, 0, 0]);
+let raw = Buffer.from([0, 0b10110000, 0b01000000, 2, 0b01000000, 0b01000000]);
+let paletted = png.decode(Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  chunk("IHDR", header),
+  chunk("PLTE", Buffer.from([0, 0, 0, 255, 128, 0])),
+  chunk("tRNS", Buffer.from([0])),
+  chunk("IDAT", zlib.deflateSync(raw)),
+  chunk("IEND", Buffer.alloc(0))
+]));
+assert.deepStrictEqual(pixelAt(paletted, 0, 0), [255, 128, 0, 255]);
+assert.deepStrictEqual(pixelAt(paletted, 1, 0), [0, 0, 0, 0]);
+assert.deepStrictEqual(pixelAt(paletted, 9, 0), [255, 128, 0, 255]);
+// The second row is the first one, plus 0b01000000 on each byte ("up" filter)
+assert.deepStrictEqual(pixelAt(paletted, 0, 1), [255, 128, 0, 255]);
+assert.deepStrictEqual(pixelAt(paletted, 1, 1), [255, 128, 0, 255]);
+assert.deepStrictEqual(pixelAt(paletted, 2, 1), [255, 128, 0, 255]);
+assert.deepStrictEqual(pixelAt(paletted, 3, 1), [255, 128, 0, 255]);
+assert.throws(() => png.decode(Buffer.from("not a png")));
+
+// Rendering
+let layer = new Layer(2, 1);
+layer.set(0, 0, Pixel.from([219, "ff0000", "0000ff"])); // █
+layer.set(1, 0, Pixel.from([32, "ff0000", "00ff00"]));
+let rendered = png.decode(renderToPng(layer));
+assert.strictEqual(rendered.width, 16);
+assert.strictEqual(rendered.height, 8);
+assert.deepStrictEqual(pixelAt(rendered, 3, 3), [255, 0, 0, 255]);
+assert.deepStrictEqual(pixelAt(rendered, 12, 3), [0, 255, 0, 255]);
+
+// Merging layers
+let image = new Image(-1);
+image.layers.push(Layer.from(layer), new Layer(2, 1).fill(Pixel.TRANSPARENT));
+image.layers[1].set(1, 0, Pixel.from([219, "ffffff", "000000"]));
+rendered = png.decode(renderToPng(image));
+assert.deepStrictEqual(pixelAt(rendered, 3, 3), [255, 0, 0, 255]);
+assert.deepStrictEqual(pixelAt(rendered, 12, 3), [255, 255, 255, 255]);
+rendered = png.decode(renderToPng(image, {layers: 1}));
+assert.deepStrictEqual(pixelAt(rendered, 3, 3), [0, 0, 0, 0]);
+
+// Font sheets
+let sheet = new Layer(16, 16);
+for (let code = 0; code < 256; code++) {
+  sheet.set(code % 16, code >> 4, Pixel.from([code, "ffffff", "000000"]));
+}
+let font = Font.fromPng(renderToPng(sheet));
+assert.strictEqual(font.glyphWidth, 8);
+assert.strictEqual(font.glyphHeight, 8);
+assert.deepStrictEqual(font.coverage, Font.DEFAULT.coverage);
+assert.deepStrictEqual(renderToPng(layer, {font: renderToPng(sheet)}), renderToPng(layer));
+assert.throws(() => Font.fromPng(renderToPng(new Layer(3, 3)), {columns: 16, rows: 16}));
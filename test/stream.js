@@ -0,0 +1,95 @@
+const rexpaint = require("../index.js");
+const fs = require("fs");
+const assert = require("assert");
+const zlib = require("zlib");
+const stream = require("stream");
+
+let buffer = fs.readFileSync("test.xp");
+let inflated = zlib.unzipSync(buffer);
+let image = rexpaint.fromBufferSync(buffer);
+
+function collect(readable) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    readable.on("data", chunk => chunks.push(chunk));
+    readable.on("end", () => resolve(chunks));
+    readable.on("error", reject);
+  });
+}
+
+(async () => {
+  // Reading
+  let reader = rexpaint.createReadStream();
+  let objects = collect(reader);
+  // Feed the stream in small, unaligned chunks
+  for (let i = 0; i < buffer.length; i += 37) {
+    reader.write(buffer.subarray(i, i + 37));
+  }
+  reader.end();
+  objects = await objects;
+
+  assert.deepStrictEqual(objects[0], {type: "header", version: image.version, layerCount: image.layers.length});
+  let layers = [];
+  for (let object of objects.slice(1)) {
+    if (object.type === "layer") {
+      layers.push(new rexpaint.Layer(object.width, object.height));
+      assert.equal(object.layer, layers.length - 1);
+    } else {
+      assert.equal(object.type, "column");
+      object.pixels.forEach((pixel, y) => layers[object.layer].set(object.x, y, pixel));
+    }
+  }
+  assert.deepStrictEqual(layers, image.layers);
+
+  // Reading and writing back
+  let raw = rexpaint.createReadStream({raw: true});
+  let writer = rexpaint.createWriteStream();
+  let written = collect(writer);
+  await stream.promises.pipeline(stream.Readable.from([buffer]), raw, writer);
+  assert.equal(zlib.unzipSync(Buffer.concat(await written)).compare(inflated), 0);
+
+  // Writing layers
+  writer = rexpaint.createWriteStream({version: image.version, layerCount: image.layers.length, inflated: true});
+  written = collect(writer);
+  for (let layer of image.layers) writer.write(layer);
+  writer.end();
+  assert.equal(Buffer.concat(await written).compare(inflated), 0);
+
+  // Errors
+  reader = rexpaint.createReadStream({inflated: true});
+  await assert.rejects(collect(stream.Readable.from([inflated.subarray(0, inflated.length - 1)]).pipe(reader)));
+
+  writer = rexpaint.createWriteStream({layerCount: 2});
+  writer.write(image.layers[0]);
+  writer.end();
+  await assert.rejects(collect(writer));
+
+  // The layers must follow the same rules as in toBuffer
+  writer = rexpaint.createWriteStream({layerCount: 2});
+  writer.write(new rexpaint.Layer(3, 2));
+  writer.write(new rexpaint.Layer(2, 3));
+  writer.end();
+  await assert.rejects(collect(writer), /Expected all layers to have the same size: layer 0 is 3x2, layer 1 is 2x3/);
+
+  writer = rexpaint.createWriteStream({inflated: true});
+  writer.write({type: "header", version: 0, layerCount: 2});
+  writer.write({type: "layer", width: 1, height: 1});
+  writer.write({type: "column", pixels: [rexpaint.Pixel.TRANSPARENT]});
+  writer.write({type: "layer", width: 1, height: 2});
+  writer.end();
+  await assert.rejects(collect(writer), /same size/);
+
+  writer = rexpaint.createWriteStream({layerCount: 10});
+  writer.write(new rexpaint.Layer(1, 1));
+  writer.end();
+  await assert.rejects(collect(writer), /at most 9 layers, got 10/);
+
+  writer = rexpaint.createWriteStream({layerCount: 0});
+  writer.end();
+  await assert.rejects(collect(writer), /at least one layer/);
+
+  writer = rexpaint.createWriteStream({layerCount: 1});
+  writer.write(new rexpaint.Layer(0, 2));
+  writer.end();
+  await assert.rejects(collect(writer), /non-zero size, got 0x2/);
+})();
@@ -0,0 +1,21 @@
+const rexpaint = require("../index.js");
+const fs = require("fs");
+const assert = require("assert");
+const zlib = require("zlib");
+
+let buffer = fs.readFileSync("test.xp");
+let expected = JSON.parse(fs.readFileSync("test/expected.json", "utf8"));
+
+let image = rexpaint.fromBufferSync(buffer);
+assert.deepStrictEqual(JSON.parse(JSON.stringify(image)), expected);
+
+let inflated = zlib.unzipSync(buffer);
+let raw = rexpaint.fromBufferSync(inflated, {inflated: true});
+assert.deepStrictEqual(JSON.parse(JSON.stringify(raw)), expected);
+
+assert.equal(rexpaint.toBufferSync(image, {inflated: true}).compare(inflated), 0);
+assert.equal(zlib.unzipSync(rexpaint.toBufferSync(image)).compare(inflated), 0);
+assert.equal(zlib.unzipSync(rexpaint.toBufferSync(image, {level: 0})).compare(inflated), 0);
+
+assert.throws(() => rexpaint.toBufferSync({}));
+assert.throws(() => rexpaint.fromBufferSync(Buffer.from("not gzipped")));
@@ -1,5 +1,33 @@
 #! /bin/env node
 
+// Set REXPAINT_COMPRESSION to run the tests with another compression backend, like "bundled"
+if (process.env.REXPAINT_COMPRESSION) {
+  require("../index.js").setCompression(process.env.REXPAINT_COMPRESSION);
+}
+
 require("./compare.js");
 require("./write.js");
 require("./merge.js");
+require("./layer.js");
+require("./sync.js");
+require("./stream.js");
+require("./parse.js");
+require("./render.js");
+require("./ansi.js");
+require("./fromansi.js");
+require("./text.js");
+require("./csv.js");
+require("./xml.js");
+require("./html.js");
+require("./xpm.js");
+require("./drawing.js");
+require("./transform.js");
+require("./animation.js");
+require("./layers.js");
+require("./palette.js");
+require("./diff.js");
+require("./cli.js");
+require("./compression.js");
+require("./query.js");
+require("./blend.js");
+require("./codepage.js");
@@ -0,0 +1,51 @@
+const {Layer, Pixel, Image, toBufferSync, fromBufferSync} = require("../index.js");
+const assert = require("assert");
+
+// Reverse mapping
+for (let code = 1; code < 256; code++) {
+  assert.strictEqual(Pixel.fromUnicode(Pixel.UNICODE_TABLE[code]), code);
+}
+assert.strictEqual(Pixel.fromUnicode("β"), 225);
+assert.strictEqual(Pixel.fromUnicode("€"), null);
+
+// Import
+let unmapped = [];
+let layer = Layer.fromText("╔═╗ é\r\n║▒║ €\n╚═╝\n", {
+  fg: "ff8000",
+  bg: [0, 0, 64],
+  onUnmapped: (char, x, y) => unmapped.push([char, x, y])
+});
+assert.deepStrictEqual(unmapped, [["€", 4, 1]]);
+assert.strictEqual(layer.width, 5);
+assert.strictEqual(layer.height, 3);
+assert.deepStrictEqual(layer.get(0, 0), Pixel.from([0xc9, "ff8000", "000040"]));
+assert.strictEqual(layer.get(4, 0).asciiCode, 0x82);
+assert.strictEqual(layer.get(1, 1).asciiCode, 0xb1);
+assert.strictEqual(layer.get(4, 1).asciiCode, 63);
+assert.deepStrictEqual(layer.get(4, 2), Pixel.from([32, "ff8000", "000040"]));
+
+assert.strictEqual(Layer.fromText("a€", {replacement: "#"}).get(1, 0).asciiCode, 35);
+// Empty text still gives a layer that can be saved
+for (let empty of ["", "\n"]) {
+  let blank = Layer.fromText(empty);
+  assert.deepStrictEqual([blank.width, blank.height], [1, 1]);
+  assert.deepStrictEqual(blank.toText(), [" "]);
+}
+let emptyImage = new Image(-1);
+emptyImage.layers.push(Layer.fromText(""));
+assert.doesNotThrow(() => emptyImage.validate());
+
+assert.throws(() => Layer.fromText(42));
+assert.throws(() => Layer.fromText("a", {fg: "nope"}));
+
+// Export
+assert.deepStrictEqual(layer.toText(), ["╔═╗ é", "║▒║ ?", "╚═╝  "]);
+layer.set(0, 2, Pixel.from([0, "ffffff", "000000"]));
+layer.set(1, 2, Pixel.from([1000, "ffffff", "000000"]));
+assert.deepStrictEqual(layer.toText()[2], "  ╝  ");
+
+// Round-trip through .xp
+let text = ["Hello, Çà va?", "┌─┬─┐ ░▒▓█ ½¼", "└─┴─┘ αßΓπ ≤≥"];
+let image = new Image(-1);
+image.layers.push(Layer.fromText(text.join("\n")));
+assert.deepStrictEqual(fromBufferSync(toBufferSync(image)).layers[0].toText(), text);
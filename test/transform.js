@@ -0,0 +1,114 @@
+const {Image, Layer, Pixel} = require("../index.js");
+const assert = require("assert");
+
+function text(rows) {
+  return Layer.fromText(rows.join("\n"));
+}
+
+// Blit
+let layer = text(["......", "......", "......"]);
+let sprite = text(["ab", "cd"]);
+sprite.set(1, 1, Pixel.TRANSPARENT);
+
+assert.strictEqual(layer.blit(sprite, 1, 1), 4);
+assert.deepStrictEqual(layer.toText(), ["......", ".ab...", ".c ..."]);
+assert.strictEqual(layer.blit(sprite, 4, 0, {skipTransparent: true}), 3);
+assert.deepStrictEqual(layer.toText(), ["....ab", ".ab.c.", ".c ..."]);
+assert.strictEqual(layer.blit(sprite, -1, 2, {sx: 0, sy: 0, w: 2, h: 1}), 1);
+assert.deepStrictEqual(layer.toText()[2], "bc ...");
+assert.strictEqual(layer.blit(sprite, 0, 0, {sx: 1, w: 1, h: 1}), 1);
+assert.strictEqual(layer.get(0, 0).asciiCode, 98);
+assert.strictEqual(layer.blit(layer, 1, 0), 11);
+assert.deepStrictEqual(layer.toText(), ["bb...a", "..ab.c", "bbc .."]);
+assert.throws(() => layer.blit(new Image(0), 0, 0));
+assert.throws(() => layer.blit(sprite, 0.5, 0));
+
+// Crop
+layer = text(["abc", "def", "ghi"]);
+assert.strictEqual(layer.crop(1, 1, 2, 1), layer);
+assert.strictEqual(layer.width, 2);
+assert.strictEqual(layer.height, 1);
+assert.deepStrictEqual(layer.toText(), ["ef"]);
+assert.throws(() => layer.crop(1, 0, 2, 1));
+assert.throws(() => layer.crop(0, 0, 0, 1));
+
+// Resize
+layer = text(["ab", "cd"]);
+layer.resize(4, 3, {anchor: "center"});
+assert.deepStrictEqual(layer.toText(), ["    ", " ab ", " cd "]);
+assert.ok(layer.get(0, 0).transparent);
+layer.resize(3, 2, {anchor: "bottom-right", fillPixel: Pixel.from([46, "ffffff", "000000"])});
+assert.deepStrictEqual(layer.toText(), ["ab ", "cd "]);
+layer.resize(4, 2, {fillPixel: Pixel.from([46, "ffffff", "000000"])});
+assert.deepStrictEqual(layer.toText(), ["ab .", "cd ."]);
+assert.throws(() => layer.resize(2, 2, {anchor: "middle"}));
+assert.throws(() => layer.resize(0, 2));
+
+// Trim
+layer = new Layer(5, 4).fill(Pixel.TRANSPARENT);
+assert.strictEqual(layer.trim(), null);
+assert.strictEqual(layer.width, 5);
+layer.set(1, 1, Pixel.from([65, "ffffff", "000000"]));
+layer.set(3, 2, Pixel.from([66, "ffffff", "000000"]));
+assert.deepStrictEqual(layer.trim(), {x: 1, y: 1, width: 3, height: 2});
+assert.deepStrictEqual(layer.toText(), ["A  ", "  B"]);
+
+// Images
+let image = new Image(-1);
+image.layers.push(new Layer(4, 4).fill(Pixel.TRANSPARENT), new Layer(4, 4).fill(Pixel.TRANSPARENT));
+image.set(0, 1, 1, Pixel.from([65, "ffffff", "000000"]));
+image.set(1, 2, 3, Pixel.from([66, "ffffff", "000000"]));
+assert.deepStrictEqual(image.trim(), {x: 1, y: 1, width: 2, height: 3});
+assert.deepStrictEqual(image.layers.map(l => [l.width, l.height]), [[2, 3], [2, 3]]);
+assert.strictEqual(image.get(1, 1, 2).asciiCode, 66);
+
+assert.strictEqual(image.resize(3, 3, {anchor: "top-right"}), image);
+assert.strictEqual(image.get(0, 1, 0).asciiCode, 65);
+assert.strictEqual(image.crop(1, 0, 2, 3), image);
+assert.deepStrictEqual([image.width, image.height], [2, 3]);
+
+let copy = new Image(-1);
+copy.layers.push(Layer.from(image.layers[0]), Layer.from(image.layers[1]));
+image.resize(4, 3);
+assert.strictEqual(image.blit(copy, 2, 0), 2);
+assert.strictEqual(image.get(0, 2, 0).asciiCode, 65);
+assert.strictEqual(image.get(1, 3, 2).asciiCode, 66);
+
+image.layers.push(new Layer(1, 1));
+assert.throws(() => image.crop(0, 0, 1, 1), /same size/);
+assert.throws(() => image.resize(2, 2), /same size/);
+assert.throws(() => image.trim(), /same size/);
+
+// Flips and rotations
+layer = text(["╔═╤>", "║/▌│", "╟─┘►"]);
+layer.set(3, 0, Pixel.from([62, "ff0000", "0000ff"]));
+
+assert.deepStrictEqual(Layer.from(layer).flipHorizontal().toText(), ["<╤═╗", "│▐\\║", "◄└─╢"]);
+assert.deepStrictEqual(Layer.from(layer).flipHorizontal().get(0, 0), Pixel.from([60, "ff0000", "0000ff"]));
+assert.deepStrictEqual(Layer.from(layer).flipVertical().toText(), ["╟─┐►", "║\\▌│", "╚═╧>"]);
+assert.deepStrictEqual(Layer.from(layer).flipHorizontal().flipHorizontal(), layer);
+assert.deepStrictEqual(Layer.from(layer).flipVertical().flipVertical(), layer);
+
+let rotated = Layer.from(layer).rotate90();
+assert.deepStrictEqual([rotated.width, rotated.height], [3, 4]);
+assert.deepStrictEqual(rotated.toText(), ["╤═╗", "│\\║", "└▀╢", "▼─v"]);
+assert.deepStrictEqual(rotated.get(2, 3).bg, Pixel.from([0, "000000", "0000ff"]).bg);
+assert.deepStrictEqual(Layer.from(layer).rotate90(-1).toText(), ["^─▲", "╟▄┐", "║\\│", "╚═╧"]);
+assert.deepStrictEqual(Layer.from(layer).rotate90(2).toText(), ["◄┌─╢", "│▐/║", "<╧═╝"]);
+assert.deepStrictEqual(Layer.from(layer).rotate90(2).toText(), Layer.from(layer).flipHorizontal().flipVertical().toText());
+assert.deepStrictEqual(Layer.from(layer).rotate90(4), layer);
+assert.throws(() => layer.rotate90(0.5));
+
+// Remapping tables can be overriden or disabled
+assert.deepStrictEqual(Layer.from(layer).flipHorizontal({glyphs: null}).toText(), [">╤═╔", "│▌/║", "►┘─╟"]);
+assert.deepStrictEqual(Layer.from(layer).flipVertical({glyphs: {62: 1}}).toText()[2], "╔═╤☺");
+assert.strictEqual(Layer.ROTATE_90_GLYPHS[196], 179);
+
+image = new Image(-1);
+image.layers.push(text(["ab", "cd", "ef"]), text(["┌─", "│ ", "└─"]));
+image.rotate90();
+assert.deepStrictEqual(image.layers.map(l => l.toText()), [["eca", "fdb"], ["┌─┐", "│ │"]]);
+image.flipHorizontal().flipVertical();
+assert.deepStrictEqual(image.layers.map(l => l.toText()), [["bdf", "ace"], ["│ │", "└─┘"]]);
+image.layers.push(new Layer(1, 1));
+assert.throws(() => image.rotate90(), /same size/);
@@ -0,0 +1,53 @@
+const {Image, Layer, Pixel, fromXML, fromBufferSync, toBufferSync} = require("../index.js");
+const fs = require("fs");
+const assert = require("assert");
+
+let image = new Image(-1);
+image.layers.push(new Layer(2, 1).fill(Pixel.from([65, "ffffff", "000000"])));
+image.layers.push(new Layer(2, 1).fill(Pixel.TRANSPARENT));
+image.layers[1].set(1, 0, Pixel.from([1, "ff8000", "102030"]));
+
+let xml = image.toXML();
+assert.strictEqual(xml, [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<image version="-1" width="2" height="1" layers="2">',
+  '  <layer index="0" width="2" height="1">',
+  '    <row index="0">',
+  '      <cell ascii="65" fg="ffffff" bg="000000"/>',
+  '      <cell ascii="65" fg="ffffff" bg="000000"/>',
+  '    </row>',
+  '  </layer>',
+  '  <layer index="1" width="2" height="1">',
+  '    <row index="0">',
+  '      <cell ascii="32" fg="000000" bg="ff00ff"/>',
+  '      <cell ascii="1" fg="ff8000" bg="102030"/>',
+  '    </row>',
+  '  </layer>',
+  '</image>',
+  ''
+].join("\n"));
+assert.deepStrictEqual(fromXML(xml), image);
+
+// Other ways of writing the same document
+let parsed = fromXML(`<!-- exported -->
+<image width='1' height="1" layers="1"><layer>
+  <row><cell ascii="&#54;4" fg="#FF0000" bg="#00ff00"></cell></row>
+</layer></image>`);
+assert.strictEqual(parsed.version, -1);
+assert.deepStrictEqual(parsed.get(0, 0, 0), Pixel.from([64, "ff0000", "00ff00"]));
+
+// Errors
+let cell = '<cell ascii="65" fg="ffffff" bg="000000"/>';
+assert.throws(() => fromXML(`<image width="1" height="1" layers="2"><layer><row>${cell}</row></layer></image>`), /Expected 2 layers, got 1/);
+assert.throws(() => fromXML(`<image width="2" height="1" layers="1"><layer><row>${cell}</row></layer></image>`), /Missing cells in layer 0, row 0/);
+assert.throws(() => fromXML(`<image width="1" height="2" layers="1"><layer><row>${cell}</row></layer></image>`), /Missing rows in layer 0/);
+assert.throws(() => fromXML(`<image width="1" height="1" layers="1"><layer><row><cell fg="ffffff" bg="000000"/></row></layer></image>`), /cell \(0, 0\) of layer 0/);
+assert.throws(() => fromXML(`<image width="1" height="1" layers="1"><layer><row><cell ascii="1" fg="red" bg="000000"/></row></layer></image>`), /'fg'/);
+assert.throws(() => fromXML(`<image height="1" layers="0"></image>`), /'width'/);
+assert.throws(() => fromXML(`<picture/>`), /<image>/);
+assert.throws(() => fromXML(`<image width="1" height="1" layers="0">`), /line 1.*unclosed/);
+assert.throws(() => fromXML(`<image>\n</layer>`), /line 2/);
+
+// The test file survives the round-trip
+let test = fromBufferSync(fs.readFileSync("test.xp"));
+assert.strictEqual(toBufferSync(fromXML(test.toXML()), {inflated: true}).compare(toBufferSync(test, {inflated: true})), 0);
@@ -0,0 +1,43 @@
+const {Image, Layer, Pixel, Font, toXPM} = require("../index.js");
+const assert = require("assert");
+
+let layer = new Layer(2, 1);
+layer.set(0, 0, Pixel.from([219, "ff0000", "000000"])); // █
+layer.set(1, 0, Pixel.TRANSPARENT);
+
+let xpm = toXPM(layer, {name: "block"}).split("\n");
+assert.deepStrictEqual(xpm.slice(0, 7), [
+  "/* XPM */",
+  "static char *block[] = {",
+  "/* columns rows colors chars-per-pixel */",
+  '"16 8 2 1",',
+  '"  c #ff0000",',
+  '". c None",',
+  "/* pixels */"
+]);
+assert.strictEqual(xpm.length, 7 + 8 + 2);
+for (let y = 0; y < 8; y++) {
+  assert.strictEqual(xpm[7 + y], '"        ........"' + (y < 7 ? "," : ""));
+}
+assert.deepStrictEqual(xpm.slice(15), ["};", ""]);
+
+// A custom font, and merged layers
+let font = new Font(1, 1, new Uint8Array(256).fill(255));
+let image = new Image(-1);
+image.layers.push(new Layer(3, 1).fill(Pixel.from([65, "ffffff", "000000"])), new Layer(3, 1).fill(Pixel.TRANSPARENT));
+image.layers[1].set(2, 0, Pixel.from([66, "00ff00", "000000"]));
+assert.deepStrictEqual(toXPM(image, {font}).split("\n").slice(3, 8), [
+  '"3 1 2 1",',
+  '"  c #ffffff",',
+  '". c #00ff00",',
+  "/* pixels */",
+  '"  ."'
+]);
+
+// More colors than keys
+let wide = new Layer(200, 1);
+for (let x = 0; x < 200; x++) wide.set(x, 0, Pixel.from([65, [x, 0, 0], "000000"]));
+let header = toXPM(wide, {font}).split("\n")[3];
+assert.strictEqual(header, '"200 1 200 2",');
+
+assert.throws(() => toXPM(layer, {name: "not valid"}));